@@ -145,6 +145,15 @@ const webhookRoutes = require("./src/routes/webhooks");
 const apiKeyRoutes = require("./src/routes/apiKeys");
 const workflowRoutes = require("./src/routes/workflows");
 const humanReviewRoutes = require("./src/routes/humanReview");
+const secretRoutes = require("./src/routes/secrets");
+const budgetRoutes = require("./src/routes/budgets");
+const modelRoutes = require("./src/routes/models");
+const analyticsRoutes = require("./src/routes/analytics");
+const executionEvents = require("./src/utils/executionEvents");
+const ExecutionJobQueue = require("./src/services/ExecutionJobQueue");
+const ExecutionRecoveryService = require("./src/services/ExecutionRecoveryService");
+const ExecutionEngineRegistry = require("./src/services/ExecutionEngineRegistry");
+const NotificationService = require("./src/services/NotificationService");
 
 // Health check
 app.get("/health", (req, res) => {
@@ -156,6 +165,9 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Shared so routes read the notifications services send
+app.set("notificationService", NotificationService.shared());
+
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/executions", executionRoutes);
@@ -166,6 +178,10 @@ app.use("/api/universal", require("./src/routes/universal"));
 app.use("/api/templates", require("./src/routes/templates"));
 app.use("/api/workflows", workflowRoutes);
 app.use("/api/human-review", humanReviewRoutes);
+app.use("/api/secrets", secretRoutes);
+app.use("/api/budgets", budgetRoutes);
+app.use("/api/models", modelRoutes);
+app.use("/api/analytics", analyticsRoutes);
 
 // Legacy endpoints for backward compatibility
 app.post("/api/workflows/execute", async (req, res) => {
@@ -328,6 +344,34 @@ io.on("connection", (socket) => {
   });
 });
 
+// Relay live execution events (node progress, LLM tokens, tool calls) to the execution room
+executionEvents.subscribeAll((event) => {
+  io.to(`execution_${event.executionId}`).emit(event.type, event);
+});
+
+// With a worker pool, executions run in worker processes; pull their events in over the queue
+const jobQueue = ExecutionJobQueue.fromEnv();
+if (jobQueue) {
+  jobQueue.subscribeEvents((event) => executionEvents.relay(event)).catch((error) => {
+    logger.error("Failed to subscribe to worker execution events:", error);
+  });
+}
+
+// The in-memory queue is only visible to this process, so it gets an embedded worker
+if (process.env.EXECUTION_QUEUE === "memory") {
+  const ExecutionWorker = require("./src/services/ExecutionWorker");
+  new ExecutionWorker({
+    queue: jobQueue,
+    engine: ExecutionEngineRegistry.shared().get("langgraph"),
+    concurrency: Number(process.env.EXECUTION_WORKER_CONCURRENCY) || undefined,
+  }).start();
+}
+
+// Resume or fail executions left running by a crashed process (on startup, then periodically),
+// whichever engine they ran on
+const recoveryService = new ExecutionRecoveryService(ExecutionEngineRegistry.shared());
+mongoose.connection.once("open", () => recoveryService.start());
+
 // Global error handler
 app.use((error, req, res, next) => {
   logger.error("Unhandled error:", error);
@@ -26,6 +26,24 @@ const errorHandler = (err, req, res, next) => {
   // Don't expose sensitive error details in production
   const isDevelopment = process.env.NODE_ENV === 'development';
 
+  // Application validation errors (e.g. input schema violations) carry their own details
+  if (err instanceof ValidationError) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: err.message,
+      details: err.details
+    });
+  }
+
+  // Spending caps report which budget is exhausted
+  if (err instanceof BudgetExceededError) {
+    return res.status(402).json({
+      error: 'Budget Exceeded',
+      message: err.message,
+      details: err.details
+    });
+  }
+
   // Handle specific error types
   if (err.name === 'ValidationError') {
     return res.status(400).json({
@@ -170,6 +188,15 @@ class RateLimitError extends AppError {
   }
 }
 
+class BudgetExceededError extends AppError {
+  constructor(message = 'Budget exceeded', details = {}) {
+    super(message, 402);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.details = details;
+  }
+}
+
 // Handle 404 for undefined routes
 const notFoundHandler = (req, res, next) => {
   const error = new NotFoundError(`Route ${req.originalUrl} not found`);
@@ -211,5 +238,6 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  BudgetExceededError
 };
\ No newline at end of file
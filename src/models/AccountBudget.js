@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// LLM spending budget of a Noam account, in USD (see BudgetService).
+// A workflow's own budget lives in Workflow.config.budget.
+const accountBudgetSchema = new mongoose.Schema({
+  noamAccountId: { type: String, required: true, unique: true },
+  daily: { type: Number, min: 0 },
+  monthly: { type: Number, min: 0 },
+  alertThresholds: { type: [Number], default: [80] }, // Percent of a limit that triggers a notification
+  hardCap: { type: Boolean, default: true }, // Block and halt executions once a limit is reached
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+  collection: 'account_budgets',
+});
+
+module.exports = mongoose.model('AccountBudget', accountBudgetSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One document per budget notification sent, so each threshold notifies once
+// per budget period across all processes. Expires after the longest period.
+const budgetAlertSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // scope:scopeId:period:periodKey:threshold
+  scope: { type: String, enum: ['workflow', 'account'], required: true },
+  scopeId: { type: String, required: true },
+  period: { type: String, enum: ['daily', 'monthly'], required: true },
+  threshold: { type: Number, required: true },
+  spent: Number,
+  limit: Number,
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 40 },
+}, {
+  collection: 'budget_alerts',
+});
+
+module.exports = mongoose.model('BudgetAlert', budgetAlertSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Lease on a workflow's execution queue, held while one process counts its
+// running executions and admits or dispatches. The unique key makes a second
+// holder's upsert fail; a holder that died is taken over once its lease expires.
+const executionQueueLockSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // workflow ID
+  owner: { type: String, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+}, {
+  collection: 'execution_queue_locks',
+});
+
+module.exports = mongoose.model('ExecutionQueueLock', executionQueueLockSchema);
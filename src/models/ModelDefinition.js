@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Model registered through the API (see ModelRegistry). Entries here override
+// the built-in defaults and MODEL_REGISTRY_FILE for the same `provider:model` key.
+const modelDefinitionSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // provider:model
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  label: String,
+
+  params: { type: mongoose.Schema.Types.Mixed, default: {} }, // Default temperature, maxTokens, ...
+  capabilities: { type: mongoose.Schema.Types.Mixed, default: {} }, // tools, structuredOutput, vision, streaming
+  contextWindow: Number,
+
+  // Overrides of the provider's settings for this model
+  baseURL: String,
+  credentials: String, // "env:NAME" or "{{secrets.NAME}}", never a raw key
+
+  // Tried in order when this model is rate-limited or down: references or { model, retries, timeoutMs }
+  fallbacks: { type: [mongoose.Schema.Types.Mixed], default: [] },
+
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+  timestamps: true,
+  collection: 'model_definitions',
+});
+
+module.exports = mongoose.model('ModelDefinition', modelDefinitionSchema);
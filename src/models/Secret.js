@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Account-scoped secret, encrypted at rest (AES-256-GCM, see SecretService).
+// Node configs reference it as {{secrets.NAME}}; the value is only decrypted while a node runs.
+const secretSchema = new mongoose.Schema({
+  noamAccountId: { type: String, required: true, index: true },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    match: /^[A-Za-z_][A-Za-z0-9_]*$/,
+  },
+  description: { type: String, maxlength: 500 },
+
+  // Encrypted value; never selected unless asked for
+  ciphertext: { type: String, required: true, select: false },
+  iv: { type: String, required: true, select: false },
+  authTag: { type: String, required: true, select: false },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastUsedAt: Date,
+}, {
+  timestamps: true,
+  collection: 'secrets',
+});
+
+secretSchema.index({ noamAccountId: 1, name: 1 }, { unique: true });
+
+// Metadata only: the value never leaves the service
+secretSchema.methods.toJSON = function() {
+  const { _id, name, description, noamAccountId, createdBy, updatedBy, lastUsedAt, createdAt, updatedAt } = this.toObject();
+  return { id: _id, name, description, noamAccountId, createdBy, updatedBy, lastUsedAt, createdAt, updatedAt };
+};
+
+module.exports = mongoose.model('Secret', secretSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Daily LLM usage totals of live executions, one document per workflow or
+// account and UTC day. Written by UsageService as steps finish.
+const usageRecordSchema = new mongoose.Schema({
+  scope: { type: String, enum: ['workflow', 'account'], required: true },
+  scopeId: { type: String, required: true }, // Workflow _id or noamAccountId
+  noamAccountId: { type: String, index: true },
+  date: { type: String, required: true }, // YYYY-MM-DD (UTC)
+
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }, // USD
+  llmCalls: { type: Number, default: 0 },
+  cacheHits: { type: Number, default: 0 }, // LLM steps answered from the response cache
+  savedCost: { type: Number, default: 0 }, // USD those steps would have cost
+}, {
+  timestamps: true,
+  collection: 'usage_records',
+});
+
+usageRecordSchema.index({ scope: 1, scopeId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
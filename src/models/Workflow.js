@@ -7,7 +7,7 @@ const workflowNodeSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["trigger", "start", "end", "agent", "llm", "tool", "condition", "loop", "humanReview", "webhook", "delay", "parallel", "merge", "agent_with_hitl"],
+      enum: ["trigger", "start", "end", "agent", "llm", "tool", "condition", "loop", "humanReview", "webhook", "delay", "parallel", "merge", "agent_with_hitl", "subworkflow"],
     },
     position: {
       x: { type: Number, required: true },
@@ -59,6 +59,30 @@ const workflowEdgeSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Test Case Schema - run as a dry run and checked against its assertions
+const workflowTestSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: String,
+    inputs: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Mocked LLM and tool responses: { nodes: { nodeId: output }, tools: { toolName: response } }
+    fixtures: mongoose.Schema.Types.Mixed,
+    assertions: [
+      {
+        // status: final execution status; route: executed node IDs in order;
+        // output: a node's output (nodeId) or the final output
+        target: { type: String, enum: ["status", "route", "output"], required: true },
+        nodeId: String,
+        path: String, // JSONPath into the target, e.g. "$.items[0].sku"
+        operator: { type: String, enum: ["equals", "contains", "regex", "jsonPath"], default: "equals" },
+        expected: mongoose.Schema.Types.Mixed,
+        _id: false,
+      },
+    ],
+  },
+  { _id: false }
+);
+
 // Main Workflow Schema
 const workflowSchema = new mongoose.Schema(
   {
@@ -104,13 +128,41 @@ const workflowSchema = new mongoose.Schema(
     nodes: [workflowNodeSchema],
     edges: [workflowEdgeSchema],
 
+    // Execution engine for new runs; unset follows the USE_LANGGRAPH default
+    engine: { type: String, enum: ["langgraph", "legacy"] },
+
+    // Test suite; activating a workflow that has tests requires them to pass
+    tests: [workflowTestSchema],
+
     // Configuration
     config: {
-      timeout: { type: Number, default: 300000 }, // 5 minutes
-      maxConcurrentExecutions: { type: Number, default: 10 },
+      timeout: { type: Number, default: 300000 }, // Execution time budget in ms (5 minutes); 0 disables
+      maxConcurrentExecutions: { type: Number, default: 10 }, // 0 disables the limit
+      // Order in which queued executions start once a slot frees up
+      queueStrategy: { type: String, enum: ['fifo', 'priority'], default: 'fifo' },
+      // What the recovery sweep does with a running execution whose process died
+      recoveryPolicy: { type: String, enum: ['resume', 'fail'], default: 'resume' },
+      // JSON Schemas (or the `inputs` shorthand) checked when an execution starts and completes
+      inputSchema: mongoose.Schema.Types.Mixed,
+      outputSchema: mongoose.Schema.Types.Mixed,
+      // An output that fails outputSchema either fails the execution or is logged as a warning
+      outputValidation: { type: String, enum: ['warn', 'fail'], default: 'warn' },
+      // Dry-run stand-ins: { nodes: { nodeId: output }, tools: { toolName: response } }
+      fixtures: mongoose.Schema.Types.Mixed,
+      // LLM spending limits in USD (see BudgetService); the account's budget applies as well
+      budget: {
+        daily: { type: Number, min: 0 },
+        monthly: { type: Number, min: 0 },
+        alertThresholds: { type: [Number], default: undefined }, // Percent of a limit; default [80]
+        hardCap: { type: Boolean, default: true },
+      },
+      // Default for retryable nodes; a node's config.retryPolicy overrides it
       retryPolicy: {
         maxRetries: { type: Number, default: 3 },
-        retryDelay: { type: Number, default: 5000 },
+        retryDelay: { type: Number, default: 5000 }, // Base delay in ms
+        strategy: { type: String, enum: ["none", "linear", "exponential"], default: "exponential" },
+        maxDelay: { type: Number, default: 60000 },
+        jitter: { type: Boolean, default: true },
       },
       errorNotifications: {
         enabled: { type: Boolean, default: true },
@@ -149,6 +201,16 @@ const workflowSchema = new mongoose.Schema(
     validationErrors: [String],
     lastValidatedAt: Date,
 
+    // Outcome of the latest test suite run
+    lastTestRun: {
+      status: { type: String, enum: ["passed", "failed"] },
+      total: Number,
+      passed: Number,
+      failed: Number,
+      ranAt: Date,
+      ranBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+
     // Analytics & Metrics
     metrics: {
       totalExecutions: { type: Number, default: 0 },
@@ -157,6 +219,13 @@ const workflowSchema = new mongoose.Schema(
       averageExecutionTime: Number,
       lastExecutionAt: Date,
       avgDailyExecutions: Number,
+      // Lifetime LLM usage of live runs (see UsageService)
+      tokenUsage: {
+        promptTokens: { type: Number, default: 0 },
+        completionTokens: { type: Number, default: 0 },
+        totalTokens: { type: Number, default: 0 },
+      },
+      totalCost: { type: Number, default: 0 },
     },
 
     // Metadata
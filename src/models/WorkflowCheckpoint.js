@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// LangGraph checkpoint for an execution thread (thread_${executionId})
+const workflowCheckpointSchema = new mongoose.Schema({
+  threadId: { type: String, required: true },
+  checkpointNs: { type: String, default: '' },
+  checkpointId: { type: String, required: true },
+  parentCheckpointId: { type: String },
+  type: { type: String, required: true }, // Serializer type tag
+  checkpoint: { type: Buffer, required: true },
+  metadata: { type: Buffer, required: true },
+  createdAt: { type: Date, default: Date.now },
+  // Set once the execution settles; unset while it runs or is paused, so those never expire
+  expiresAt: { type: Date, expires: 0 },
+});
+
+workflowCheckpointSchema.index({ threadId: 1, checkpointNs: 1, checkpointId: -1 }, { unique: true });
+
+module.exports = mongoose.model('WorkflowCheckpoint', workflowCheckpointSchema);
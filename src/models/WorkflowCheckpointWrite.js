@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Pending channel writes recorded against a LangGraph checkpoint
+const workflowCheckpointWriteSchema = new mongoose.Schema({
+  threadId: { type: String, required: true },
+  checkpointNs: { type: String, default: '' },
+  checkpointId: { type: String, required: true },
+  taskId: { type: String, required: true },
+  idx: { type: Number, required: true },
+  channel: { type: String, required: true },
+  type: { type: String, required: true }, // Serializer type tag
+  value: { type: Buffer },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, expires: 0 }, // See WorkflowCheckpoint
+});
+
+workflowCheckpointWriteSchema.index({ threadId: 1, checkpointNs: 1, checkpointId: 1, taskId: 1, idx: 1 }, { unique: true });
+
+module.exports = mongoose.model('WorkflowCheckpointWrite', workflowCheckpointWriteSchema);
@@ -42,7 +42,12 @@ const executionStepSchema = new mongoose.Schema({
       completionTokens: Number,
       totalTokens: Number
     },
-    cost: Number,
+    calls: Number, // Model calls made by the node (an agent makes one per step)
+    cost: Number, // USD, from utils/modelPricing
+    estimated: Boolean, // Token counts are estimates, not provider-reported
+    fallbacks: [{ _id: false, model: String, error: String }], // Models that failed before `model` answered
+    cache: { type: String, enum: ['hit', 'miss', 'bypass'] }, // Set when the node caches responses
+    savedCost: Number, // USD the cached call cost (cache hits)
     responseTime: Number
   },
   
@@ -88,6 +93,9 @@ const executionStepSchema = new mongoose.Schema({
     }
   },
   
+  // Step of a dry run (stubbed LLMs and tools, see utils/simulation)
+  simulated: Boolean,
+
   // Metadata
   metadata: mongoose.Schema.Types.Mixed,
   logs: [{
@@ -108,6 +116,15 @@ const workflowExecutionSchema = new mongoose.Schema({
     index: true
   },
   workflowVersion: String,
+  // Engine that started this execution; resume and abort are routed back to it
+  engine: { type: String, enum: ['langgraph', 'legacy'] },
+  // Dry runs stub out LLMs, tools and outbound calls (see utils/simulation)
+  mode: { type: String, enum: ['live', 'dry-run'], default: 'live', index: true },
+  simulation: {
+    fixtures: mongoose.Schema.Types.Mixed
+  },
+  // LLM nodes skip the response cache for this run and refresh it with new answers
+  bypassCache: { type: Boolean, default: false },
   executionId: {
     type: String,
     required: true,
@@ -130,7 +147,7 @@ const workflowExecutionSchema = new mongoose.Schema({
   // Status & Lifecycle
   status: {
     type: String,
-    enum: ['pending', 'running', 'completed', 'failed', 'cancelled', 'paused', 'waiting', 'waiting_human_review'],
+    enum: ['pending', 'queued', 'running', 'completed', 'failed', 'cancelled', 'paused', 'waiting', 'waiting_human_review', 'timeout', 'budget_exceeded'],
     default: 'pending',
     index: true
   },
@@ -140,6 +157,14 @@ const workflowExecutionSchema = new mongoose.Schema({
   completedAt: Date,
   duration: Number, // milliseconds
   estimatedDuration: Number,
+
+  // Concurrency queue (set while status is `queued`)
+  queuedAt: Date,
+  priorityRank: Number, // priority as a sortable number, critical highest
+
+  // Crash recovery: stamped periodically by the process running the execution
+  heartbeatAt: Date,
+  recoveryAttempts: { type: Number, default: 0 },
   
   // Execution Steps
   steps: [executionStepSchema],
@@ -148,6 +173,11 @@ const workflowExecutionSchema = new mongoose.Schema({
   // Input/Output
   initialInput: mongoose.Schema.Types.Mixed,
   finalOutput: mongoose.Schema.Types.Mixed,
+  // Result of checking finalOutput against the workflow's output schema
+  outputValidation: {
+    valid: Boolean,
+    violations: mongoose.Schema.Types.Mixed
+  },
   variables: mongoose.Schema.Types.Mixed, // Workflow variables
   
   // Error handling
@@ -157,6 +187,8 @@ const workflowExecutionSchema = new mongoose.Schema({
     stack: String,
     nodeId: String, // Node where error occurred
     stepId: String,
+    reason: String, // Machine-readable cause, e.g. 'orphaned'
+
     retryable: { type: Boolean, default: false }
   },
   
@@ -169,6 +201,8 @@ const workflowExecutionSchema = new mongoose.Schema({
     },
     estimatedCost: { type: Number, default: 0 },
     apiCalls: { type: Number, default: 0 },
+    cacheHits: { type: Number, default: 0 }, // LLM steps answered from the response cache
+    savedCost: { type: Number, default: 0 },
     executionTime: { type: Number, default: 0 }
   },
   
@@ -183,6 +217,18 @@ const workflowExecutionSchema = new mongoose.Schema({
 
   // Pause State for HITL workflows
   pauseState: mongoose.Schema.Types.Mixed,
+
+  // Subworkflow runs: the execution and node that started this one
+  parentExecutionId: { type: String, index: true },
+  parentNodeId: String,
+
+  // Time-travel replay: the execution and step this run was forked from
+  forkedFrom: {
+    executionId: { type: String, index: true },
+    nodeId: String,
+    checkpointId: String,
+    statePatch: mongoose.Schema.Types.Mixed
+  },
   
   // Audit & Compliance
   auditLog: [{
@@ -241,7 +287,9 @@ const workflowExecutionSchema = new mongoose.Schema({
 
 // Indexes
 workflowExecutionSchema.index({ workflowId: 1, status: 1 });
+workflowExecutionSchema.index({ workflowId: 1, status: 1, priorityRank: -1, queuedAt: 1 });
 workflowExecutionSchema.index({ status: 1, startedAt: -1 });
+workflowExecutionSchema.index({ status: 1, heartbeatAt: 1 });
 workflowExecutionSchema.index({ 'triggeredBy.userId': 1, startedAt: -1 });
 workflowExecutionSchema.index({ noamAccountId: 1, startedAt: -1 });
 workflowExecutionSchema.index({ environment: 1, status: 1 });
@@ -296,6 +344,16 @@ workflowExecutionSchema.methods.calculateMetrics = function() {
   this.resourceUsage.tokenUsage.totalTokens = 
     this.resourceUsage.tokenUsage.totalPromptTokens + 
     this.resourceUsage.tokenUsage.totalCompletionTokens;
+  this.resourceUsage.estimatedCost = this.steps.reduce(
+    (sum, step) => sum + (step.agentExecution?.cost || 0), 0
+  );
+  this.resourceUsage.apiCalls = this.steps.reduce(
+    (sum, step) => sum + (step.agentExecution?.calls || 0), 0
+  );
+  this.resourceUsage.cacheHits = this.steps.filter(step => step.agentExecution?.cache === 'hit').length;
+  this.resourceUsage.savedCost = this.steps.reduce(
+    (sum, step) => sum + (step.agentExecution?.savedCost || 0), 0
+  );
 };
 
 workflowExecutionSchema.methods.addAuditEntry = function(action, performedBy, details = {}, req = null) {
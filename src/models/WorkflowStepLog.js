@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const secretRedactor = require('../utils/secretRedactor');
 
 const workflowStepLogSchema = new mongoose.Schema({
   executionId: { type: String, required: true, index: true },
@@ -10,10 +11,24 @@ const workflowStepLogSchema = new mongoose.Schema({
   outputData: { type: mongoose.Schema.Types.Mixed }, // Data produced by this node
   previousNodeId: { type: String },
   previousOutput: { type: mongoose.Schema.Types.Mixed },
-  status: { type: String, enum: ['started', 'completed', 'failed', 'waiting_human_review'], default: 'started' },
+  status: { type: String, enum: ['started', 'completed', 'failed', 'waiting_human_review', 'recovered'], default: 'started' },
   error: { type: mongoose.Schema.Types.Mixed },
   timestamp: { type: Date, default: Date.now },
   durationMs: { type: Number },
+  model: { type: String }, // provider:model that answered (LLM and agent nodes)
+  fallbacks: [{ _id: false, model: String, error: String }], // Models that failed over before it
+  cache: { type: String, enum: ['hit', 'miss', 'bypass'] }, // Response cache outcome, for nodes that cache
+  simulated: { type: Boolean, default: false }, // Produced by a dry run
+});
+
+// Step data can echo resolved {{secrets.NAME}} values (e.g. a tool's request headers)
+workflowStepLogSchema.pre('save', function(next) {
+  for (const field of ['inputData', 'outputData', 'previousOutput', 'error']) {
+    if (this[field] !== undefined) {
+      this[field] = secretRedactor.redact(this[field]);
+    }
+  }
+  next();
 });
 
 module.exports = mongoose.model('WorkflowStepLog', workflowStepLogSchema);
@@ -48,6 +48,9 @@ const workflowTemplateSchema = new mongoose.Schema(
       required: false,
     },
 
+    // Execution engine for runs of this template; unset follows the USE_LANGGRAPH default
+    engine: { type: String, enum: ["langgraph", "legacy"] },
+
     // Workflow Configuration
     configuration: {
       // Execution settings
@@ -77,6 +80,7 @@ const workflowTemplateSchema = new mongoose.Schema(
       // Input/Output schema for validation
       inputSchema: Object, // JSON Schema for input validation
       outputSchema: Object, // JSON Schema for output validation
+      outputValidation: { type: String, enum: ["warn", "fail"], default: "warn" }, // On output schema mismatch
 
       // Environment requirements
       requiredEnvironment: [String], // Required env vars
@@ -404,6 +404,14 @@ module.exports = {
   Workflow: require("./Workflow"),
   WorkflowExecution: require("./WorkflowExecution"),
   WorkflowStepLog: require("./WorkflowStepLog"),
+  WorkflowCheckpoint: require("./WorkflowCheckpoint"),
+  WorkflowCheckpointWrite: require("./WorkflowCheckpointWrite"),
+  Secret: require("./Secret"),
+  UsageRecord: require("./UsageRecord"),
+  AccountBudget: require("./AccountBudget"),
+  BudgetAlert: require("./BudgetAlert"),
+  ExecutionQueueLock: require("./ExecutionQueueLock"),
+  ModelDefinition: require("./ModelDefinition"),
   Task: require("./Task"),
   User: require("./User"),
   ApiKey: mongoose.model("ApiKey", apiKeySchema),
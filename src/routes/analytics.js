@@ -1,7 +1,12 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware } = require('../middleware/auth');
+const UsageService = require('../services/UsageService');
 
 const router = express.Router();
+const usageService = new UsageService();
+
+router.use(authMiddleware);
 
 /**
  * @swagger
@@ -54,7 +59,9 @@ router.get('/overview', asyncHandler(async (req, res) => {
     activeWorkflows: await Workflow.countDocuments({ 
       ownerId: userId, 
       status: 'published' 
-    })
+    }),
+    totalTokens: executions.reduce((sum, e) => sum + (e.resourceUsage?.tokenUsage?.totalTokens || 0), 0),
+    totalCost: executions.reduce((sum, e) => sum + (e.resourceUsage?.estimatedCost || 0), 0)
   };
 
   // Calculate average duration for completed executions
@@ -203,7 +210,9 @@ router.get('/workflows', asyncHandler(async (req, res) => {
             ]
           }
         },
-        lastExecution: { $max: '$metrics.startTime' }
+        lastExecution: { $max: '$metrics.startTime' },
+        totalTokens: { $sum: '$resourceUsage.tokenUsage.totalTokens' },
+        totalCost: { $sum: '$resourceUsage.estimatedCost' }
       }
     },
     {
@@ -232,7 +241,9 @@ router.get('/workflows', asyncHandler(async (req, res) => {
           ]
         },
         averageDuration: 1,
-        lastExecution: 1
+        lastExecution: 1,
+        totalTokens: 1,
+        totalCost: 1
       }
     },
     { $sort: { totalExecutions: -1 } }
@@ -246,6 +257,63 @@ router.get('/workflows', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/analytics/costs:
+ *   get:
+ *     summary: Get LLM token usage and cost
+ *     description: >
+ *       Totals of the caller's live executions broken down by workflow, model and day,
+ *       plus the daily usage of the caller's Noam account. Costs are in USD, priced per
+ *       model from the configured price table (MODEL_PRICES).
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, 1y]
+ *           default: 30d
+ *       - in: query
+ *         name: workflowId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token usage and cost breakdown
+ */
+router.get('/costs', asyncHandler(async (req, res) => {
+  const period = req.query.period || '30d';
+  const periodDays = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+  const days = periodDays[period] || 30;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const match = { 'triggeredBy.userId': req.user._id, startedAt: { $gte: startDate } };
+  if (req.query.workflowId) {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(req.query.workflowId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid workflow ID',
+        message: 'workflowId must be a valid ID'
+      });
+    }
+    match.workflowId = new mongoose.Types.ObjectId(req.query.workflowId);
+  }
+
+  const [costs, account] = await Promise.all([
+    usageService.getCostBreakdown(match),
+    req.user.noamAccountId
+      ? usageService.getUsage('account', req.user.noamAccountId, { from: startDate })
+      : null
+  ]);
+
+  res.json({
+    success: true,
+    data: { costs, account, period }
+  });
+}));
+
 /**
  * @swagger
  * /api/analytics/errors:
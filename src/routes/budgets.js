@@ -0,0 +1,111 @@
+const express = require('express');
+const { AccountBudget } = require('../models');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const BudgetService = require('../services/BudgetService');
+
+const router = express.Router();
+const budgetService = new BudgetService();
+
+// The LLM budget of the caller's Noam account; workflow budgets live under /api/workflows/{id}/budget
+router.use(authMiddleware);
+
+const accountOf = req => req.user.noamAccountId;
+
+/**
+ * @swagger
+ * /api/budgets:
+ *   get:
+ *     summary: Get the account's LLM budget and this period's spend
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Budget, daily and monthly spend, and the limits that are spent
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const budget = await AccountBudget.findOne({ noamAccountId: accountOf(req) }).lean();
+
+  res.json({
+    success: true,
+    data: await budgetService.getStatus('account', accountOf(req), budget)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/budgets:
+ *   put:
+ *     summary: Set the account's LLM budget
+ *     description: |
+ *       Limits are in USD per UTC day and month and cover every workflow of the account. Each alert
+ *       threshold (percent of a limit) notifies the account's admins and managers once per period.
+ *       With `hardCap` (default) a spent limit blocks new executions and stops running ones before
+ *       their next model call with status `budget_exceeded`.
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               daily:
+ *                 type: number
+ *                 example: 50
+ *               monthly:
+ *                 type: number
+ *                 example: 1000
+ *               alertThresholds:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [50, 80, 95]
+ *               hardCap:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Budget saved
+ *       400:
+ *         description: Invalid budget
+ *       403:
+ *         description: Only admins and managers can change the account budget
+ */
+router.put('/', requireRole(['admin', 'manager']), asyncHandler(async (req, res) => {
+  const errors = budgetService.validateBudget(req.body);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid budget',
+      message: errors.join(', '),
+      errors
+    });
+  }
+
+  const { daily, monthly, alertThresholds, hardCap } = budgetService.normalizeBudget(req.body);
+  const budget = await AccountBudget.findOneAndUpdate(
+    { noamAccountId: accountOf(req) },
+    {
+      $set: {
+        daily,
+        monthly,
+        alertThresholds: alertThresholds || [80],
+        hardCap: hardCap !== false,
+        updatedBy: req.user._id
+      }
+    },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+
+  res.json({
+    success: true,
+    message: 'Account budget saved',
+    data: await budgetService.getStatus('account', accountOf(req), budget)
+  });
+}));
+
+module.exports = router;
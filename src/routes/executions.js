@@ -1,20 +1,19 @@
 const express = require('express');
-const WorkflowExecutionService = require('../services/WorkflowExecutionService');
-const LangGraphWorkflowService = require('../services/LangGraphWorkflowService');
+const ExecutionEngineRegistry = require('../services/ExecutionEngineRegistry');
 const { WorkflowService } = require('../services/WorkflowService');
-const { asyncHandler } = require('../middleware/errorHandler');
+const UsageService = require('../services/UsageService');
+const { asyncHandler, BudgetExceededError } = require('../middleware/errorHandler');
 const { authMiddleware } = require('../middleware/auth');
+const executionEvents = require('../utils/executionEvents');
 
 const router = express.Router();
 const workflowService = new WorkflowService();
+const usageService = new UsageService();
 
-// Feature flag: Use LangGraph for new workflow executions
-const USE_LANGGRAPH = process.env.USE_LANGGRAPH === 'true';
-const workflowExecutionService = USE_LANGGRAPH 
-  ? new LangGraphWorkflowService(null) // LangGraph-based execution
-  : new WorkflowExecutionService(null);  // Legacy custom execution
+// New executions run on the workflow's engine; abort and replay go to the execution's engine
+const executionEngines = ExecutionEngineRegistry.shared();
 
-console.log(`🔧 Workflow Execution Engine: ${USE_LANGGRAPH ? 'LangGraph (Native)' : 'Legacy (Custom)'}`);
+console.log(`🔧 Default Workflow Execution Engine: ${ExecutionEngineRegistry.defaultEngine === 'langgraph' ? 'LangGraph (Native)' : 'Legacy (Custom)'}`);
 
 
 // Apply authentication middleware to all execution routes
@@ -53,7 +52,7 @@ router.get('/', asyncHandler(async (req, res) => {
     limit: parseInt(req.query.limit) || 50
   };
 
-  const executions = await workflowExecutionService.listExecutions(userId, filters);
+  const executions = await executionEngines.listExecutions(userId, filters);
 
   res.json({
     success: true,
@@ -86,9 +85,15 @@ router.get('/', asyncHandler(async (req, res) => {
  *                 type: object
  *               options:
  *                 type: object
+ *                 properties:
+ *                   bypassCache:
+ *                     type: boolean
+ *                     description: LLM nodes with `cache` enabled call their model instead of answering from the response cache, and refresh it
  *     responses:
  *       201:
  *         description: Execution started successfully
+ *       400:
+ *         description: Inputs do not match the workflow's input schema (`details.violations`)
  */
 router.post('/', asyncHandler(async (req, res) => {
   const userId = req.user._id.toString();
@@ -112,16 +117,18 @@ router.post('/', asyncHandler(async (req, res) => {
   }
 
   // Start execution
-  const execution = await workflowExecutionService.executeWorkflow(
+  const execution = await executionEngines.executeWorkflow(
     workflow,
     userId,
     inputs,
     options
   );
 
+  const queued = execution.status === 'queued';
+
   res.status(201).json({
     success: true,
-    message: 'Workflow execution started',
+    message: queued ? 'Workflow execution queued' : 'Workflow execution started',
     data: { execution }
   });
 }));
@@ -140,7 +147,7 @@ router.post('/', asyncHandler(async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Execution details
+ *         description: Execution details with token usage and cost (`usage`); queued executions include their queue position
  *       404:
  *         description: Execution not found
  */
@@ -148,7 +155,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
   const executionId = req.params.id;
   const userId = req.user._id.toString();
 
-  const execution = await workflowExecutionService.getExecutionStatus(executionId);
+  const execution = await executionEngines.getExecutionStatus(executionId);
 
   if (!execution) {
     return res.status(404).json({
@@ -166,9 +173,15 @@ router.get('/:id', asyncHandler(async (req, res) => {
     });
   }
 
+  const queue = execution.status === 'queued'
+    ? await executionEngines.getQueuePosition(execution)
+    : null;
+
+  const usage = usageService.summarizeExecution(execution);
+
   res.json({
     success: true,
-    data: { execution }
+    data: queue ? { execution, usage, queue } : { execution, usage }
   });
 }));
 
@@ -177,6 +190,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * /api/executions/{id}/abort:
  *   post:
  *     summary: Abort workflow execution
+ *     description: Child executions started by subworkflow nodes are cancelled too.
  *     tags: [Executions]
  *     parameters:
  *       - in: path
@@ -202,7 +216,7 @@ router.post('/:id/abort', asyncHandler(async (req, res) => {
   const { reason = 'User requested abort' } = req.body;
   
   // Get execution to check ownership
-  const execution = await workflowExecutionService.getExecutionStatus(executionId);
+  const execution = await executionEngines.getExecutionStatus(executionId);
 
   if (!execution) {
     return res.status(404).json({
@@ -226,7 +240,7 @@ router.post('/:id/abort', asyncHandler(async (req, res) => {
     });
   }
 
-  const aborted = await workflowExecutionService.abortExecution(executionId, reason);
+  const aborted = await executionEngines.abortExecution(executionId, reason);
 
   if (aborted) {
     res.json({
@@ -241,6 +255,211 @@ router.post('/:id/abort', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @swagger
+ * /api/executions/{id}/stream:
+ *   get:
+ *     summary: Stream live execution events (Server-Sent Events)
+ *     description: Emits node_started, node_completed, token, tool_start, tool_end and execution_* events until the execution finishes
+ *     tags: [Executions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream of execution events
+ *       404:
+ *         description: Execution not found
+ */
+router.get('/:id/stream', asyncHandler(async (req, res) => {
+  const executionId = req.params.id;
+  const userId = req.user._id.toString();
+
+  // Subscribe before reading the status, so a run that settles in between still
+  // delivers its terminal event; events are buffered until the stream is open
+  const buffered = [];
+  let deliver = (event) => buffered.push(event);
+  const unsubscribe = executionEvents.subscribe(executionId, (event) => deliver(event));
+
+  let execution;
+  try {
+    execution = await executionEngines.getExecutionStatus(executionId);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  if (!execution) {
+    unsubscribe();
+    return res.status(404).json({
+      error: 'Execution not found',
+      message: 'The requested execution does not exist'
+    });
+  }
+
+  // Allow access if triggeredBy.userId is null (for backwards compatibility) or matches current user
+  if (execution.triggeredBy?.userId && execution.triggeredBy.userId.toString() !== userId) {
+    unsubscribe();
+    return res.status(403).json({
+      error: 'Access forbidden',
+      message: 'You do not have permission to view this execution'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    // compression() buffers responses unless flushed explicitly
+    if (res.flush) res.flush();
+  };
+
+  let closed = false;
+  let heartbeat = null;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // Current status first, so late subscribers know where the run stands
+  send({ type: 'execution_status', executionId, status: execution.status, timestamp: new Date().toISOString() });
+
+  if (['completed', 'failed', 'timeout', 'cancelled', 'aborted', 'budget_exceeded'].includes(execution.status)) {
+    return close();
+  }
+
+  deliver = (event) => {
+    if (closed) return;
+    send(event);
+    if (executionEvents.isTerminal(event)) {
+      close();
+    }
+  };
+  buffered.splice(0).forEach(deliver);
+  if (closed) return;
+
+  heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (res.flush) res.flush();
+  }, 15000);
+
+  req.on('close', close);
+}));
+
+/**
+ * @swagger
+ * /api/executions/{id}/replay:
+ *   post:
+ *     summary: Replay an execution from a step as a new forked execution
+ *     description: A finished execution's checkpoints are kept for CHECKPOINT_RETENTION_DAYS (default 30); after that it can no longer be replayed.
+ *     tags: [Executions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nodeId
+ *             properties:
+ *               nodeId:
+ *                 type: string
+ *                 description: Node to re-run from
+ *               statePatch:
+ *                 type: object
+ *                 description: Deep-merged into the graph state before the node runs. Only `context`, `outputs` and `nodeResults` can be patched (e.g. nodeResults.<id>.output)
+ *     responses:
+ *       201:
+ *         description: Forked execution started, or queued when the workflow is at maxConcurrentExecutions
+ *       400:
+ *         description: Invalid request or replay not supported
+ *       402:
+ *         description: A hard-capped budget of the workflow or its account is spent
+ *       404:
+ *         description: Execution not found
+ */
+router.post('/:id/replay', asyncHandler(async (req, res) => {
+  const executionId = req.params.id;
+  const userId = req.user._id.toString();
+  const { nodeId, statePatch = null } = req.body;
+
+  if (!nodeId) {
+    return res.status(400).json({
+      error: 'Missing node ID',
+      message: 'nodeId is required to replay an execution'
+    });
+  }
+
+  if (statePatch !== null && (typeof statePatch !== 'object' || Array.isArray(statePatch))) {
+    return res.status(400).json({
+      error: 'Invalid state patch',
+      message: 'statePatch must be an object'
+    });
+  }
+
+  const execution = await executionEngines.getExecutionStatus(executionId);
+
+  if (!execution) {
+    return res.status(404).json({
+      error: 'Execution not found',
+      message: 'The requested execution does not exist'
+    });
+  }
+
+  // Allow access if triggeredBy.userId is null (for backwards compatibility) or matches current user
+  if (execution.triggeredBy?.userId && execution.triggeredBy.userId.toString() !== userId) {
+    return res.status(403).json({
+      error: 'Access forbidden',
+      message: 'You do not have permission to replay this execution'
+    });
+  }
+
+  if (executionEngines.engineOf(execution) !== 'langgraph') {
+    return res.status(400).json({
+      error: 'Replay not supported',
+      message: 'Replay requires an execution run on the LangGraph engine'
+    });
+  }
+
+  let fork;
+  try {
+    fork = await executionEngines.replayExecution(executionId, { nodeId, statePatch, userId });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) throw error;
+    return res.status(400).json({
+      error: 'Cannot replay execution',
+      message: error.message
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: fork.status === 'queued' ? 'Replay execution queued' : 'Replay execution started',
+    data: {
+      execution: fork,
+      forkedFrom: fork.forkedFrom
+    }
+  });
+}));
+
 /**
  * @swagger
  * /api/executions/{id}/logs:
@@ -271,7 +490,7 @@ router.get('/:id/logs', asyncHandler(async (req, res) => {
   const executionId = req.params.id;
   const userId = req.user._id.toString();
   const { level, limit = 100 } = req.query;
-  const execution = await workflowExecutionService.getExecutionStatus(executionId);
+  const execution = await executionEngines.getExecutionStatus(executionId);
 
   if (!execution) {
     return res.status(404).json({
@@ -327,7 +546,7 @@ router.get('/:id/logs', asyncHandler(async (req, res) => {
 router.get('/:id/steps', asyncHandler(async (req, res) => {
   const executionId = req.params.id;
   const userId = req.user._id.toString();
-  const execution = await workflowExecutionService.getExecutionStatus(executionId);
+  const execution = await executionEngines.getExecutionStatus(executionId);
 
   if (!execution) {
     return res.status(404).json({
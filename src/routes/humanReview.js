@@ -1,13 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const WorkflowExecutionService = require('../services/WorkflowExecutionService');
-const LangGraphWorkflowService = require('../services/LangGraphWorkflowService');
+const ExecutionEngineRegistry = require('../services/ExecutionEngineRegistry');
 const LangChainService = require('../services/LangChainService');
 const Task = require('../models/Task');
 const { WorkflowExecution, Workflow } = require('../models');
 
-// Feature flag: Use LangGraph for workflow execution
-const USE_LANGGRAPH = process.env.USE_LANGGRAPH === 'true';
+// Paused executions resume on the engine that started them
+const executionEngines = ExecutionEngineRegistry.shared();
 
 /**
  * GET /api/human-review/tasks
@@ -69,16 +68,15 @@ router.post('/complete', async (req, res) => {
     if (isLangGraphHITL) {
       console.log('[HITL] Resuming workflow after approval');
       
-      if (USE_LANGGRAPH) {
+      if (executionEngines.engineOf(execution) === 'langgraph') {
         // LangGraph native HITL resume
         console.log('[HITL] Using LangGraph native resume');
         
-        const langGraphService = new LangGraphWorkflowService(null);
-        
         // Resume workflow with approval data
         // resumeWorkflow will rebuild from database if not in memory
-        const result = await langGraphService.resumeWorkflow(task.executionId, {
-          actionId,
+        const result = await executionEngines.resumeExecution(task.executionId, {
+          nodeId: task.nodeId,
+          decision: actionId,
           feedback
         });
         
@@ -173,9 +171,8 @@ router.post('/complete', async (req, res) => {
           edgeMap.get(edge.source).push(edge);
         }
         
-        // Create a WorkflowExecutionService instance to continue execution
-        const WorkflowExecutionService = require('../services/WorkflowExecutionService');
-        const service = new WorkflowExecutionService();
+        // Continue on the shared legacy engine, so aborts can reach the run
+        const service = executionEngines.get('legacy');
         
         // Get the workflow execution service singleton or create active execution entry
         service.activeExecutions.set(task.executionId, {
@@ -0,0 +1,129 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const ModelRegistry = require('../services/ModelRegistry');
+
+const router = express.Router();
+const modelRegistry = ModelRegistry.shared();
+
+// The model registry LLM and agent nodes select from ("provider:model")
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * /api/models:
+ *   get:
+ *     summary: List the registered models and providers
+ *     description: Each model reports its capabilities (tools, structuredOutput, vision, streaming), context window, default params and whether its credentials are configured.
+ *     tags: [Models]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Models and providers
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const models = await modelRegistry.listModels();
+
+  res.json({
+    success: true,
+    data: {
+      models,
+      providers: modelRegistry.listProviders(),
+      totalCount: models.length
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/models:
+ *   post:
+ *     summary: Register a model, or replace a registered one
+ *     tags: [Models]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *               - model
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 example: "local"
+ *               model:
+ *                 type: string
+ *                 example: "llama3.1:8b"
+ *               label:
+ *                 type: string
+ *               params:
+ *                 type: object
+ *                 example: { "temperature": 0.2 }
+ *               capabilities:
+ *                 type: object
+ *                 example: { "tools": true, "structuredOutput": false, "vision": false, "streaming": true }
+ *               contextWindow:
+ *                 type: number
+ *                 example: 131072
+ *               baseURL:
+ *                 type: string
+ *                 description: Overrides the provider's base URL
+ *               credentials:
+ *                 type: string
+ *                 description: '"env:NAME" or "{{secrets.NAME}}"; raw keys are rejected'
+ *     responses:
+ *       201:
+ *         description: Model registered
+ *       400:
+ *         description: Invalid model definition
+ *       403:
+ *         description: Admins only
+ */
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+  const model = await modelRegistry.register(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: `Model ${model.key} registered`,
+    data: { model }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/models/{key}:
+ *   delete:
+ *     summary: Remove a model registered through the API
+ *     tags: [Models]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL-encoded provider:model
+ *     responses:
+ *       200:
+ *         description: Model removed
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: No API-registered model with this key
+ */
+router.delete('/:key', requireRole('admin'), asyncHandler(async (req, res) => {
+  await modelRegistry.unregister(req.params.key);
+
+  res.json({
+    success: true,
+    message: `Model ${req.params.key} removed`
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const SecretService = require('../services/SecretService');
+
+const router = express.Router();
+const secretService = new SecretService();
+
+// Secrets belong to the caller's Noam account; values are write-only and only admins write them
+router.use(authMiddleware);
+
+const accountOf = req => req.user.noamAccountId;
+
+/**
+ * @swagger
+ * /api/secrets:
+ *   get:
+ *     summary: List the account's secrets (names and metadata only)
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of secrets
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const secrets = await secretService.listSecrets(accountOf(req));
+
+  res.json({
+    success: true,
+    data: {
+      secrets,
+      totalCount: secrets.length
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/secrets:
+ *   post:
+ *     summary: Store a secret
+ *     description: The value is encrypted at rest and never returned. Reference it from node configs as {{secrets.NAME}}.
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - value
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "CRM_API_KEY"
+ *               value:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Secret stored
+ *       400:
+ *         description: Missing name or value
+ *       403:
+ *         description: Admins only
+ *       409:
+ *         description: A secret with this name already exists
+ */
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { name, value, description } = req.body;
+  const secret = await secretService.createSecret(accountOf(req), { name, value, description }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Secret stored successfully',
+    data: { secret }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/secrets/{name}:
+ *   get:
+ *     summary: Get secret metadata
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Secret metadata
+ *       404:
+ *         description: Secret not found
+ */
+router.get('/:name', asyncHandler(async (req, res) => {
+  const secret = await secretService.getSecret(accountOf(req), req.params.name);
+
+  res.json({
+    success: true,
+    data: { secret }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/secrets/{name}:
+ *   put:
+ *     summary: Rotate a secret's value or update its description
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret updated
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Secret not found
+ */
+router.put('/:name', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { value, description } = req.body;
+  const secret = await secretService.updateSecret(accountOf(req), req.params.name, { value, description }, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Secret updated successfully',
+    data: { secret }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/secrets/{name}:
+ *   delete:
+ *     summary: Delete a secret
+ *     tags: [Secrets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Secret deleted
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Secret not found
+ */
+router.delete('/:name', requireRole('admin'), asyncHandler(async (req, res) => {
+  await secretService.deleteSecret(accountOf(req), req.params.name);
+
+  res.json({
+    success: true,
+    message: 'Secret deleted successfully'
+  });
+}));
+
+module.exports = router;
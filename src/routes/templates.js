@@ -3,6 +3,7 @@ const { WorkflowTemplate } = require("../models");
 const { asyncHandler } = require("../middleware/errorHandler");
 const { optionalAuth, authMiddleware } = require("../middleware/auth");
 const { WorkflowService } = require("../services/WorkflowService");
+const secretRedactor = require("../utils/secretRedactor");
 
 const router = express.Router();
 const workflowService = new WorkflowService();
@@ -353,7 +354,8 @@ router.post(
               id: node.id || `node-${Math.random().toString(36).substr(2, 9)}`,
               type: node.type || "default",
               position: node.position || { x: 0, y: 0 },
-              data: {
+              // Exports never carry inline credentials; {{secrets.NAME}} references are kept
+              data: secretRedactor.redactFields({
                 label: node.data?.label || node.name || "Node",
                 description: node.data?.description || "",
                 tool: node.data?.tool,
@@ -363,7 +365,7 @@ router.post(
                 imported: true,
                 source: "universal-engine",
                 originalTemplate: template.templateId ? template.templateId.toString() : null,
-              },
+              }),
             })),
             edges: (template.edges || []).map((edge) => ({
               id: edge.id || `edge-${Math.random().toString(36).substr(2, 9)}`,
@@ -479,10 +481,11 @@ router.get(
           id: node.id || `node-${Math.random().toString(36).substr(2, 9)}`,
           type: node.type || "default",
           position: node.position || { x: 0, y: 0 },
-          data: {
+          // Inline credentials are masked; {{secrets.NAME}} references are kept
+          data: secretRedactor.redactFields({
             label: node.data?.label || node.name || "Node",
             ...node.data,
-          },
+          }),
         })),
 
         // Metadata
@@ -555,7 +558,11 @@ router.post(
         category: templateData.category || "automation", // Required at root level
         nodes: templateData.nodes || [],
         edges: templateData.edges || [],
-        configuration: templateData.configuration || {},
+        configuration: {
+          ...templateData.configuration,
+          // A top-level `inputs` block (workflows/*.json format) doubles as the input schema
+          inputSchema: templateData.configuration?.inputSchema || templateData.inputs,
+        },
         metadata: {
           tags: templateData.tags || [],
           complexity: templateData.complexity || "medium",
@@ -1,17 +1,13 @@
 const express = require("express");
 const { asyncHandler } = require("../middleware/errorHandler");
 const { authMiddleware } = require("../middleware/auth");
-const WorkflowExecutionService = require("../services/WorkflowExecutionService");
-const LangGraphWorkflowService = require("../services/LangGraphWorkflowService");
+const ExecutionEngineRegistry = require("../services/ExecutionEngineRegistry");
 const { WorkflowService } = require("../services/WorkflowService");
 
 const router = express.Router();
 
-// Feature flag: Use LangGraph for workflow execution
-const USE_LANGGRAPH = process.env.USE_LANGGRAPH === 'true';
-const workflowExecutionService = USE_LANGGRAPH
-  ? new LangGraphWorkflowService()
-  : new WorkflowExecutionService();
+// Each workflow runs on its own engine (Workflow.engine, else the USE_LANGGRAPH default)
+const executionEngines = ExecutionEngineRegistry.shared();
 
 const workflowService = new WorkflowService();
 
@@ -32,8 +28,20 @@ router.use(authMiddleware);
  * /api/universal/workflows/execute:
  *   post:
  *     summary: Execute any workflow by ID with input data
- *     description: Universal endpoint that can execute any workflow without code changes
+ *     description: |
+ *       Universal endpoint that can execute any workflow without code changes.
+ *       With `mode=dry-run` the workflow is simulated instead: LLM and agent nodes answer from a
+ *       deterministic fake model, tools return fixtures (tools that call external systems are
+ *       blocked without one), webhooks are not sent and human reviews are auto-approved. The
+ *       response is the full simulated step trace.
  *     tags: [Universal Workflow Engine]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [live, dry-run]
+ *           default: live
  *     requestBody:
  *       required: true
  *       content:
@@ -58,9 +66,29 @@ router.use(authMiddleware);
  *               metadata:
  *                 type: object
  *                 description: Additional metadata for execution tracking
+ *               priority:
+ *                 type: string
+ *                 enum: [low, normal, high, critical]
+ *                 description: Queue priority when the workflow is at maxConcurrentExecutions
+ *               bypassCache:
+ *                 type: boolean
+ *                 default: false
+ *                 description: LLM nodes with `cache` enabled call their model instead of answering from the response cache, and refresh it
+ *               fixtures:
+ *                 type: object
+ *                 description: Dry-run stand-ins, merged over the workflow's config.fixtures
+ *                 properties:
+ *                   nodes:
+ *                     type: object
+ *                     description: Output per node ID (for human review nodes, `decision` picks the branch)
+ *                   tools:
+ *                     type: object
+ *                     description: Response per tool name
  *     responses:
  *       200:
- *         description: Workflow execution started
+ *         description: Workflow execution started, or queued when the workflow is at capacity. For a dry run, the settled simulated execution and its steps
+ *       400:
+ *         description: Inputs do not match the workflow's input schema; `violations` lists each field and problem
  *       404:
  *         description: Workflow not found
  *       500:
@@ -69,7 +97,8 @@ router.use(authMiddleware);
 router.post(
   "/workflows/execute",
   asyncHandler(async (req, res) => {
-    const { workflowId, templateId, input = {}, variables = {}, metadata = {} } = req.body;
+    const { workflowId, templateId, input = {}, variables = {}, metadata = {}, priority, fixtures, bypassCache } = req.body;
+    const mode = req.query.mode || "live";
 
     // Validate required fields
     if (!workflowId && !templateId) {
@@ -80,6 +109,14 @@ router.post(
       });
     }
 
+    if (!["live", "dry-run"].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid mode",
+        message: "mode must be live or dry-run",
+      });
+    }
+
     try {
       let workflow;
 
@@ -111,8 +148,31 @@ router.post(
         },
       };
 
+      // Dry runs settle before responding and never notify Noam
+      if (mode === "dry-run") {
+        const execution = await executionEngines.simulateWorkflow(workflow, req.user?.id || "anonymous", executionInput, { fixtures, metadata });
+
+        return res.status(200).json({
+          success: true,
+          message: "Dry run finished",
+          data: {
+            executionId: execution.executionId,
+            workflowId: workflow.id,
+            workflowName: workflow.name,
+            mode,
+            simulated: true,
+            status: execution.status,
+            input: executionInput,
+            outputs: execution.finalOutput,
+            steps: execution.steps,
+            error: execution.error?.message ? execution.error : null,
+          },
+        });
+      }
+
       // Execute the workflow
-      const executionResult = await workflowExecutionService.executeWorkflow(workflow, req.user?.id || "anonymous", executionInput, { metadata });
+      const executionResult = await executionEngines.executeWorkflow(workflow, req.user?.id || "anonymous", executionInput, { metadata, priority, bypassCache });
+      const queued = executionResult.status === "queued";
 
       // Check if this workflow was imported from Noam and send notification
       if (workflow.noamIntegration && workflow.noamIntegration.imported) {
@@ -138,13 +198,13 @@ router.post(
 
       res.status(200).json({
         success: true,
-        message: "Workflow execution started",
+        message: queued ? "Workflow execution queued" : "Workflow execution started",
         data: {
           executionId: executionResult.executionId,
           workflowId: workflow.id,
           workflowName: workflow.name,
           templateId: workflow.templateId,
-          status: "started",
+          status: queued ? "queued" : "started",
           input: executionInput,
           noamIntegration: workflow.noamIntegration
             ? {
@@ -155,6 +215,24 @@ router.post(
         },
       });
     } catch (error) {
+      if (error.name === "ValidationError" && error.details?.violations) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid workflow inputs",
+          message: error.message,
+          violations: error.details.violations,
+        });
+      }
+
+      if (error.code === "BUDGET_EXCEEDED") {
+        return res.status(402).json({
+          success: false,
+          error: "Budget exceeded",
+          message: error.message,
+          budget: error.details,
+        });
+      }
+
       console.error("Universal workflow execution error:", error);
       res.status(500).json({
         success: false,
@@ -264,7 +342,7 @@ router.post(
 
       // TODO: Store schedule in database and set up actual cron job
       // For now, we'll use the scheduler tool
-      const scheduleResult = await workflowExecutionService.langChainService.tools.get("scheduler").func(
+      const scheduleResult = await executionEngines.get().langChainService.tools.get("scheduler").func(
         JSON.stringify({
           workflowId: workflow.id,
           schedule: schedule,
@@ -370,7 +448,7 @@ router.post(
             },
           };
 
-          const executionResult = await workflowExecutionService.executeWorkflow(workflow.id, executionInput);
+          const executionResult = await executionEngines.executeWorkflow(workflow, req.user?.id || "anonymous", executionInput);
 
           executionResults.push({
             workflowId: workflow.id,
@@ -384,6 +462,7 @@ router.post(
             workflowName: workflow.name,
             status: "failed",
             error: error.message,
+            violations: error.details?.violations,
           });
         }
       }
@@ -434,7 +513,7 @@ router.get(
     const { executionId } = req.params;
 
     try {
-      const execution = await workflowExecutionService.getExecutionStatus(executionId);
+      const execution = await executionEngines.getExecutionStatus(executionId);
 
       if (!execution) {
         return res.status(404).json({
@@ -486,7 +565,7 @@ router.get(
   "/tools",
   asyncHandler(async (req, res) => {
     try {
-      const langChainService = workflowExecutionService.langChainService;
+      const langChainService = executionEngines.get().langChainService;
       const tools = [];
 
       // Get all available tools
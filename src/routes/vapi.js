@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const WorkflowExecutionService = require('../services/WorkflowExecutionService');
+const ExecutionEngineRegistry = require('../services/ExecutionEngineRegistry');
 const { Workflow } = require('../models');
 
+// Bookings run on the test-drive workflow's own engine
+const executionEngines = ExecutionEngineRegistry.shared();
+
 /**
  * VAPI Function Call Webhook - Create Booking
  * 
@@ -55,8 +58,9 @@ router.post('/vapi/create-booking', async (req, res) => {
     console.log(`✅ [VAPI] Using workflow: ${workflow.name} (${workflow._id})`);
     
     // Execute workflow - skip straight to human approval node
-    const execution = await WorkflowExecutionService.executeWorkflow(
-      workflow._id.toString(),
+    const execution = await executionEngines.executeWorkflow(
+      workflow,
+      'anonymous',
       {
         // Input data for workflow
         customerPreferences: {
@@ -81,10 +85,12 @@ router.post('/vapi/create-booking', async (req, res) => {
         source: 'vapi'
       },
       {
-        // Context
-        skipToNode: 'human-approval', // Skip voice nodes, go to approval
-        platform: 'vapi',
-        callId
+        metadata: {
+          // Context
+          skipToNode: 'human-approval', // Skip voice nodes, go to approval
+          platform: 'vapi',
+          callId
+        }
       }
     );
     
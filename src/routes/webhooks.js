@@ -1,19 +1,26 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const WorkflowExecutionService = require('../services/WorkflowExecutionService');
-const LangGraphWorkflowService = require('../services/LangGraphWorkflowService');
+const ExecutionEngineRegistry = require('../services/ExecutionEngineRegistry');
 const { WorkflowService } = require('../services/WorkflowService');
 
 const router = express.Router();
 
-// Feature flag: Use LangGraph for workflow execution
-const USE_LANGGRAPH = process.env.USE_LANGGRAPH === 'true';
-const workflowExecutionService = USE_LANGGRAPH
-  ? new LangGraphWorkflowService()
-  : new WorkflowExecutionService();
+// Each workflow runs on its own engine; resumes go to the engine that started the execution
+const executionEngines = ExecutionEngineRegistry.shared();
 
 const workflowService = new WorkflowService();
 
+/**
+ * Load the call deflection workflow by template ID, which picks the engine it runs on
+ */
+async function getCallDeflectionWorkflow(templateId) {
+  const workflow = await workflowService.getWorkflowByTemplateId(templateId);
+  if (!workflow) {
+    throw new Error(`Call deflection workflow not found: ${templateId}`);
+  }
+  return workflow;
+}
+
 /**
  * @swagger
  * /api/webhooks/workflow-complete:
@@ -118,18 +125,17 @@ router.post('/human-review/:executionId/:nodeId', asyncHandler(async (req, res)
 
   try {
     // Resume workflow with the review decision
-    await workflowExecutionService.resumeWorkflowAfterReview(
-      executionId, 
-      nodeId, 
-      action, // Use "approve"/"reject" directly from NOAM
-      {
+    await executionEngines.resumeExecution(executionId, {
+      nodeId,
+      decision: action, // Use "approve"/"reject" directly from NOAM
+      feedback: comments, // NOAM sends comments field
+      reviewData: {
         reviewedBy,
-        notes: comments, // NOAM sends comments field
         taskId,
         taskData,
         reviewedAt: new Date()
       }
-    );
+    });
 
     res.json({
       success: true,
@@ -325,10 +331,8 @@ router.post('/call-transcription', asyncHandler(async (req, res) => {
     };
 
     // Trigger the call deflection workflow
-    const executionResult = await workflowExecutionService.executeWorkflow(
-      CALL_DEFLECTION_WORKFLOW_ID,
-      workflowInput
-    );
+    const workflow = await getCallDeflectionWorkflow(CALL_DEFLECTION_WORKFLOW_ID);
+    const executionResult = await executionEngines.executeWorkflow(workflow, 'anonymous', workflowInput);
 
     res.status(200).json({
       success: true,
@@ -476,10 +480,8 @@ router.post('/call-test', asyncHandler(async (req, res) => {
   try {
     const CALL_DEFLECTION_WORKFLOW_ID = process.env.CALL_DEFLECTION_WORKFLOW_ID || 'call-deflection-v1';
     
-    const executionResult = await workflowExecutionService.executeWorkflow(
-      CALL_DEFLECTION_WORKFLOW_ID,
-      webhookPayload
-    );
+    const workflow = await getCallDeflectionWorkflow(CALL_DEFLECTION_WORKFLOW_ID);
+    const executionResult = await executionEngines.executeWorkflow(workflow, 'anonymous', webhookPayload);
 
     res.status(200).json({
       success: true,
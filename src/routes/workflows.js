@@ -2,13 +2,44 @@
 
 const express = require("express");
 const { Workflow } = require("../models");
-const { asyncHandler } = require("../middleware/errorHandler");
+const { asyncHandler, ValidationError } = require("../middleware/errorHandler");
 const { authMiddleware } = require("../middleware/auth");
 const { WorkflowService } = require("../services/WorkflowService");
 const { getHumanReviewNodes } = require('../services/WorkflowService');
+const WorkflowTestService = require("../services/WorkflowTestService");
+const BudgetService = require("../services/BudgetService");
 
 const router = express.Router();
 const workflowService = new WorkflowService();
+const workflowTestService = new WorkflowTestService();
+const budgetService = new BudgetService();
+
+// The workflow when it exists and the caller owns it; otherwise sends the 404/403 and returns null
+async function findOwnedWorkflow(req, res) {
+  const userId = req.user?.id || req.user?._id;
+  const workflow = await Workflow.findById(req.params.id);
+
+  if (!workflow) {
+    res.status(404).json({
+      success: false,
+      error: "Workflow not found",
+      message: "The requested workflow does not exist",
+    });
+    return null;
+  }
+
+  // Ownerless workflows are not editable by anyone
+  if (!workflow.owner || !userId || workflow.owner.toString() !== userId.toString()) {
+    res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: "You don't have access to this workflow",
+    });
+    return null;
+  }
+
+  return workflow;
+}
 
 router.get('/human-review-nodes/:workflowId', asyncHandler(async (req, res) => {
   try {
@@ -90,6 +121,10 @@ router.use(authMiddleware);
  *                       type: string
  *                     target:
  *                       type: string
+ *               engine:
+ *                 type: string
+ *                 enum: [langgraph, legacy]
+ *                 description: Execution engine for new runs (defaults to the deployment's USE_LANGGRAPH setting)
  *               configuration:
  *                 type: object
  *                 properties:
@@ -148,6 +183,8 @@ router.use(authMiddleware);
  *         description: Invalid workflow data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: metadata.noamAccountId is not the caller's Noam account
  *       500:
  *         description: Server error
  */
@@ -205,12 +242,22 @@ router.post(
         });
       }
 
+      // A workflow belongs to its creator's Noam account; its secrets are resolved from there
+      const requestedAccountId = workflowData.metadata?.noamAccountId;
+      if (requestedAccountId && String(requestedAccountId) !== String(req.user.noamAccountId)) {
+        return res.status(403).json({
+          success: false,
+          error: "Forbidden",
+          message: "metadata.noamAccountId must be your own Noam account",
+        });
+      }
+
       // Transform Universal Workflow Engine format to WorkflowService format
       const transformedData = {
         ...workflowData,
         // Map required fields
         owner: userId, // Use 'owner' not 'ownerId'
-        noamAccountId: String(workflowData.metadata?.noamAccountId || req.user?.noamAccountId || "default-account"), // Required field - convert to string
+        noamAccountId: String(req.user.noamAccountId || "default-account"), // Required field - convert to string
         nodes: workflowData.nodes.map((node) => {
           // Map node types from Universal Engine to WorkflowService format
           let mappedType = node.type;
@@ -453,6 +500,389 @@ router.get(
   })
 );
 
+/**
+ * @swagger
+ * /api/workflows/{id}/tests:
+ *   get:
+ *     summary: List a workflow's test cases
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test cases and the latest run's outcome
+ *       404:
+ *         description: Workflow not found
+ */
+router.get(
+  "/:id/tests",
+  asyncHandler(async (req, res) => {
+    const workflow = await findOwnedWorkflow(req, res);
+    if (!workflow) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tests: workflow.tests,
+        lastTestRun: workflow.lastTestRun,
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/tests:
+ *   put:
+ *     summary: Replace a workflow's test cases
+ *     description: |
+ *       Each case runs as a dry run with its `inputs` and `fixtures` (mocked node outputs and tool
+ *       responses). Assertions target the final `status`, the `route` (executed node IDs in order)
+ *       or an `output` (one node's with `nodeId`, else all outputs keyed by node ID). An optional
+ *       JSONPath `path` narrows the value. Operators are `equals`, `contains`, `regex` and `jsonPath`.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tests
+ *             properties:
+ *               tests:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     inputs:
+ *                       type: object
+ *                     fixtures:
+ *                       type: object
+ *                     assertions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           target:
+ *                             type: string
+ *                             enum: [status, route, output]
+ *                           nodeId:
+ *                             type: string
+ *                           path:
+ *                             type: string
+ *                             example: "$.items[0].sku"
+ *                           operator:
+ *                             type: string
+ *                             enum: [equals, contains, regex, jsonPath]
+ *                           expected: {}
+ *     responses:
+ *       200:
+ *         description: Test cases saved
+ *       400:
+ *         description: Invalid test cases, or the workflow is active and fails them (`testReport` has the details)
+ *       404:
+ *         description: Workflow not found
+ */
+router.put(
+  "/:id/tests",
+  asyncHandler(async (req, res) => {
+    const workflow = await findOwnedWorkflow(req, res);
+    if (!workflow) return;
+
+    const errors = workflowTestService.validateTests(req.body.tests);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid workflow tests",
+        message: errors.join(", "),
+        errors,
+      });
+    }
+
+    try {
+      // Goes through updateWorkflow so an active workflow only takes tests it passes
+      const updated = await workflowService.updateWorkflow(workflow._id, { tests: req.body.tests }, String(req.user?.id || req.user?._id));
+
+      res.status(200).json({
+        success: true,
+        message: "Workflow tests saved",
+        data: { tests: updated.tests, lastTestRun: updated.lastTestRun },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError && error.details?.testReport) {
+        return res.status(400).json({
+          success: false,
+          error: "Workflow tests failed",
+          message: error.message,
+          testReport: error.details.testReport,
+        });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/tests/run:
+ *   post:
+ *     summary: Run a workflow's test cases
+ *     description: Runs each case in isolation as a dry run and returns a pass/fail report. A full-suite run is stored as the workflow's lastTestRun.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tests:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Names of the cases to run (default all)
+ *     responses:
+ *       200:
+ *         description: Test report
+ *       400:
+ *         description: Unknown test case names
+ *       404:
+ *         description: Workflow not found
+ */
+router.post(
+  "/:id/tests/run",
+  asyncHandler(async (req, res) => {
+    const workflow = await findOwnedWorkflow(req, res);
+    if (!workflow) return;
+
+    const report = await workflowTestService.runTests(workflow, {
+      userId: req.user?.id || "anonymous",
+      names: req.body?.tests,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${report.passed} of ${report.total} tests passed`,
+      data: report,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/status:
+ *   patch:
+ *     summary: Change a workflow's status
+ *     description: Activating a workflow that has test cases runs them first; it stays inactive unless all pass.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active, paused, archived, deprecated]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid status, or the workflow's tests failed (`testReport` has the details)
+ *       404:
+ *         description: Workflow not found
+ */
+router.patch(
+  "/:id/status",
+  asyncHandler(async (req, res) => {
+    const { status } = req.body;
+    const statuses = Workflow.schema.path("status").enumValues;
+
+    if (!statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid status",
+        message: `status must be one of ${statuses.join(", ")}`,
+      });
+    }
+
+    const workflow = await findOwnedWorkflow(req, res);
+    if (!workflow) return;
+
+    try {
+      const updated = await workflowService.updateWorkflow(workflow._id, { status }, String(req.user?.id || req.user?._id));
+
+      res.status(200).json({
+        success: true,
+        message: `Workflow is now ${status}`,
+        data: {
+          id: updated._id,
+          status: updated.status,
+          lastTestRun: updated.lastTestRun,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError && error.details?.testReport) {
+        return res.status(400).json({
+          success: false,
+          error: "Workflow tests failed",
+          message: error.message,
+          testReport: error.details.testReport,
+        });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/budget:
+ *   get:
+ *     summary: Get a workflow's LLM budget and this period's spend
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Budget, daily and monthly spend, and the limits that are spent
+ *       404:
+ *         description: Workflow not found
+ */
+router.get(
+  "/:id/budget",
+  asyncHandler(async (req, res) => {
+    const workflow = await findOwnedWorkflow(req, res);
+    if (!workflow) return;
+
+    const status = await budgetService.getStatus("workflow", workflow._id, workflow.config?.budget);
+
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/workflows/{id}/budget:
+ *   put:
+ *     summary: Set a workflow's LLM budget
+ *     description: |
+ *       Limits are in USD per UTC day and month. Each alert threshold (percent of a limit) notifies the
+ *       workflow owner once per period. With `hardCap` (default) a spent limit blocks new executions
+ *       and stops running ones before their next model call with status `budget_exceeded`.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               daily:
+ *                 type: number
+ *                 example: 5
+ *               monthly:
+ *                 type: number
+ *                 example: 100
+ *               alertThresholds:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [50, 80]
+ *               hardCap:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Budget saved
+ *       400:
+ *         description: Invalid budget
+ *       404:
+ *         description: Workflow not found
+ */
+router.put(
+  "/:id/budget",
+  asyncHandler(async (req, res) => {
+    const workflow = await findOwnedWorkflow(req, res);
+    if (!workflow) return;
+
+    const errors = budgetService.validateBudget(req.body);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid budget",
+        message: errors.join(", "),
+        errors,
+      });
+    }
+
+    workflow.config = workflow.config || {};
+    workflow.config.budget = budgetService.normalizeBudget(req.body);
+    workflow.markModified("config.budget");
+    await workflow.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Workflow budget saved",
+      data: await budgetService.getStatus("workflow", workflow._id, workflow.config.budget),
+    });
+  })
+);
+
 router.post('/create-direct', async (req, res) => {
   try {
     const userId = req.user?.id || req.body.userId; // Adjust as needed for auth
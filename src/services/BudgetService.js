@@ -0,0 +1,272 @@
+const { BaseCallbackHandler } = require("@langchain/core/callbacks/base");
+const { AccountBudget, BudgetAlert, User } = require("../models");
+const UsageService = require("./UsageService");
+const NotificationService = require("./NotificationService");
+const workflowLogger = require("../utils/workflowLogger");
+const { BudgetExceededError } = require("../middleware/errorHandler");
+
+const PERIODS = ["daily", "monthly"];
+const DEFAULT_THRESHOLDS = [80];
+
+/**
+ * Daily and monthly LLM spending budgets (USD) on workflows and Noam accounts.
+ *
+ * Spend comes from the UsageRecords UsageService keeps. Crossing an alert
+ * threshold notifies once per period. With `hardCap` (the default) a spent
+ * limit blocks new executions and stops running ones before their next model
+ * call; those end as `budget_exceeded`. The engines record a node's usage
+ * whether it completes, fails or is halted, so a stopped runaway agent's
+ * spend is not lost. Dry runs cost nothing and are never checked.
+ */
+class BudgetService {
+  constructor({ usageService = new UsageService(), notificationService = NotificationService.shared() } = {}) {
+    this.usageService = usageService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Problems with a budget definition, empty when it is valid
+   */
+  validateBudget(budget) {
+    if (budget === null || typeof budget !== "object" || Array.isArray(budget)) {
+      return ["budget must be an object"];
+    }
+
+    const errors = [];
+    for (const period of PERIODS) {
+      if (budget[period] !== undefined && budget[period] !== null && !(Number(budget[period]) >= 0)) {
+        errors.push(`${period} must be a non-negative amount in USD`);
+      }
+    }
+    if (budget.alertThresholds !== undefined) {
+      const valid = Array.isArray(budget.alertThresholds) &&
+        budget.alertThresholds.every((threshold) => Number(threshold) > 0 && Number(threshold) <= 100);
+      if (!valid) {
+        errors.push("alertThresholds must be an array of percentages between 1 and 100");
+      }
+    }
+    if (budget.hardCap !== undefined && typeof budget.hardCap !== "boolean") {
+      errors.push("hardCap must be true or false");
+    }
+    return errors;
+  }
+
+  /**
+   * The fields of a budget that are set
+   */
+  normalizeBudget(budget = {}) {
+    const normalized = {};
+    for (const period of PERIODS) {
+      if (budget[period] !== undefined && budget[period] !== null) normalized[period] = Number(budget[period]);
+    }
+    if (budget.alertThresholds) normalized.alertThresholds = budget.alertThresholds.map(Number).sort((a, b) => a - b);
+    if (budget.hardCap !== undefined) normalized.hardCap = budget.hardCap;
+    return normalized;
+  }
+
+  hasLimit(budget) {
+    return PERIODS.some((period) => typeof budget?.[period] === "number");
+  }
+
+  /**
+   * The budgets that apply to a run of `workflow`: its own and its account's
+   */
+  async getBudgets(workflow, noamAccountId = workflow?.noamAccountId) {
+    const budgets = [];
+    const workflowBudget = workflow?.config?.budget;
+
+    if (this.hasLimit(workflowBudget)) {
+      budgets.push({ scope: "workflow", scopeId: String(workflow._id), label: `workflow "${workflow.name}"`, budget: workflowBudget });
+    }
+
+    if (noamAccountId) {
+      const accountBudget = await AccountBudget.findOne({ noamAccountId }).lean();
+      if (this.hasLimit(accountBudget)) {
+        budgets.push({ scope: "account", scopeId: noamAccountId, label: `account ${noamAccountId}`, budget: accountBudget });
+      }
+    }
+
+    return budgets;
+  }
+
+  /**
+   * Keys of the current UTC day and month
+   */
+  periodKeys(now = new Date()) {
+    const day = this.usageService.dayOf(now);
+    return { daily: day, monthly: day.slice(0, 7) };
+  }
+
+  /**
+   * Spend against each limit of a budget in the current day and month
+   */
+  async getStatus(scope, scopeId, budget, now = new Date()) {
+    const keys = this.periodKeys(now);
+    const usage = await this.usageService.getUsage(scope, scopeId, { from: new Date(`${keys.monthly}-01T00:00:00Z`), to: now });
+    const spent = {
+      daily: usage.daily.find((day) => day.date === keys.daily)?.cost || 0,
+      monthly: usage.totals.cost,
+    };
+
+    const periods = {};
+    for (const period of PERIODS) {
+      const limit = budget?.[period];
+      periods[period] = typeof limit === "number"
+        ? {
+          limit,
+          spent: spent[period],
+          remaining: Math.max(limit - spent[period], 0),
+          percent: limit > 0 ? (spent[period] / limit) * 100 : 100,
+          periodKey: keys[period],
+        }
+        : { limit: null, spent: spent[period], periodKey: keys[period] };
+    }
+
+    return {
+      scope,
+      scopeId: String(scopeId),
+      budget: budget ? this.normalizeBudget(budget) : null,
+      hardCap: budget?.hardCap !== false,
+      alertThresholds: budget?.alertThresholds?.length ? budget.alertThresholds : DEFAULT_THRESHOLDS,
+      periods,
+      exceeded: PERIODS.filter((period) => periods[period].limit !== null && periods[period].spent >= periods[period].limit),
+      currency: "USD",
+    };
+  }
+
+  /**
+   * The first hard-capped limit the run would break, counting `pendingCost`
+   * (spend of the current node not yet recorded), or null
+   */
+  async findExceeded(workflow, { noamAccountId, pendingCost = 0 } = {}) {
+    for (const { scope, scopeId, label, budget } of await this.getBudgets(workflow, noamAccountId)) {
+      if (budget.hardCap === false) continue;
+
+      const status = await this.getStatus(scope, scopeId, budget);
+      for (const period of PERIODS) {
+        const { limit, spent } = status.periods[period];
+        if (limit !== null && spent + pendingCost >= limit) {
+          return { scope, scopeId, label, period, limit, spent: spent + pendingCost };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Throw a BudgetExceededError when a hard-capped budget is spent
+   */
+  async assertWithinBudget(workflow, options = {}) {
+    const exceeded = await this.findExceeded(workflow, options);
+    if (exceeded) {
+      const { label, period, limit, spent } = exceeded;
+      throw new BudgetExceededError(
+        `The ${period} LLM budget of ${label} is spent ($${spent.toFixed(4)} of $${limit})`,
+        exceeded
+      );
+    }
+  }
+
+  /**
+   * LangChain callback that checks the budgets before every model call of a
+   * node, counting what the node has spent so far (`tracker`, from
+   * utils/tokenUsage). Throwing from the callback stops an agent mid-loop.
+   */
+  createGuard(workflow, { noamAccountId, tracker } = {}) {
+    const check = () => this.assertWithinBudget(workflow, {
+      noamAccountId,
+      pendingCost: tracker ? tracker.summary().cost : 0,
+    });
+
+    const handler = BaseCallbackHandler.fromMethods({
+      handleChatModelStart: check,
+      handleLLMStart: check,
+    });
+    handler.raiseError = true;
+    handler.awaitHandlers = true;
+    return handler;
+  }
+
+  /**
+   * Notify once for each alert threshold (and limit) a budget has crossed in
+   * the current period. Called after usage is recorded; never throws.
+   */
+  async checkThresholds(workflow, noamAccountId = workflow?.noamAccountId) {
+    try {
+      for (const { scope, scopeId, label, budget } of await this.getBudgets(workflow, noamAccountId)) {
+        const status = await this.getStatus(scope, scopeId, budget);
+
+        for (const period of PERIODS) {
+          const { limit, spent, percent, periodKey } = status.periods[period];
+          if (limit === null) continue;
+
+          const crossed = [...new Set([...status.alertThresholds, 100])].filter((threshold) => percent >= threshold);
+          if (!crossed.length) continue;
+
+          // Only the highest new threshold notifies, so a jump past several sends one alert
+          const claimed = [];
+          for (const threshold of crossed) {
+            if (await this.claimAlert({ scope, scopeId, period, periodKey, threshold, spent, limit })) {
+              claimed.push(threshold);
+            }
+          }
+          if (claimed.length) {
+            await this.notify(workflow, { scope, scopeId, label, period, limit, spent, threshold: Math.max(...claimed), hardCap: status.hardCap });
+          }
+        }
+      }
+    } catch (error) {
+      workflowLogger.error("Failed to check budget thresholds", {
+        workflowId: workflow?._id && String(workflow._id),
+        noamAccountId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * True if this process is the first to record the alert
+   */
+  async claimAlert({ scope, scopeId, period, periodKey, threshold, spent, limit }) {
+    try {
+      await BudgetAlert.create({ key: `${scope}:${scopeId}:${period}:${periodKey}:${threshold}`, scope, scopeId, period, threshold, spent, limit });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Workflow budgets alert the workflow's owner; account budgets alert the
+   * account's admins and managers
+   */
+  async getRecipients(workflow, scope, scopeId) {
+    if (scope === "account") {
+      const admins = await User.find({ noamAccountId: scopeId, role: { $in: ["admin", "manager"] }, isActive: { $ne: false } });
+      if (admins.length) return admins;
+    }
+    const owner = workflow?.owner ? await User.findById(workflow.owner) : null;
+    return owner ? [owner] : [];
+  }
+
+  async notify(workflow, alert) {
+    const recipients = await this.getRecipients(workflow, alert.scope, alert.scopeId);
+
+    workflowLogger.warn("LLM budget threshold crossed", {
+      scope: alert.scope,
+      scopeId: alert.scopeId,
+      period: alert.period,
+      threshold: alert.threshold,
+      spent: alert.spent,
+      limit: alert.limit,
+      recipients: recipients.length
+    });
+
+    for (const user of recipients) {
+      await this.notificationService.notifyBudgetThreshold(user, alert);
+    }
+  }
+}
+
+module.exports = BudgetService;
@@ -0,0 +1,184 @@
+const { WorkflowExecution } = require("../models");
+const LangGraphWorkflowService = require("./LangGraphWorkflowService");
+const WorkflowExecutionService = require("./WorkflowExecutionService");
+const BudgetService = require("./BudgetService");
+const workflowLogger = require("../utils/workflowLogger");
+const schemaValidator = require("../utils/schemaValidator");
+const simulation = require("../utils/simulation");
+const { ValidationError } = require("../middleware/errorHandler");
+
+// Engine name -> factory. Workflow.engine and WorkflowExecution.engine hold these names.
+const ENGINES = {
+  langgraph: (io) => new LangGraphWorkflowService(io),
+  legacy: (io) => new WorkflowExecutionService(io),
+};
+
+let shared = null;
+
+/**
+ * Dispatches execution operations to the engine that owns them.
+ * New executions run on the workflow's `engine` (falling back to the
+ * USE_LANGGRAPH deployment default); resume, abort and replay always go to
+ * the engine recorded on the execution, so a paused run finishes where it started.
+ */
+class ExecutionEngineRegistry {
+  constructor(io = null) {
+    this.io = io;
+    this.engines = new Map();
+    this.budgetService = new BudgetService();
+  }
+
+  /**
+   * Process-wide registry, so routes share engine instances and their in-memory run state
+   */
+  static shared() {
+    if (!shared) {
+      shared = new ExecutionEngineRegistry();
+    }
+    return shared;
+  }
+
+  static get engineNames() {
+    return Object.keys(ENGINES);
+  }
+
+  static get defaultEngine() {
+    return process.env.USE_LANGGRAPH === "true" ? "langgraph" : "legacy";
+  }
+
+  /**
+   * Engine instance by name, created on first use
+   */
+  get(name = ExecutionEngineRegistry.defaultEngine) {
+    if (!ENGINES[name]) {
+      throw new Error(`Unknown execution engine: ${name}`);
+    }
+    if (!this.engines.has(name)) {
+      this.engines.set(name, ENGINES[name](this.io));
+    }
+    return this.engines.get(name);
+  }
+
+  /**
+   * Engine a workflow's new executions run on
+   */
+  engineFor(workflow) {
+    return workflow?.engine || ExecutionEngineRegistry.defaultEngine;
+  }
+
+  /**
+   * Engine an execution was started on. Executions recorded before the
+   * `engine` field existed are told apart by their trigger source.
+   */
+  engineOf(execution) {
+    if (execution.engine) {
+      return execution.engine;
+    }
+    return /^langgraph/.test(execution.triggeredBy?.source || "") ? "langgraph" : "legacy";
+  }
+
+  /**
+   * Start an execution once its inputs pass the workflow's input schema and
+   * no hard-capped budget of the workflow or its account is spent
+   * (BudgetExceededError otherwise). Dry runs always use LangGraph, where
+   * simulation lives.
+   */
+  async executeWorkflow(workflow, userId, inputs = {}, options = {}) {
+    const value = this.validateInputs(workflow, inputs);
+    const dryRun = options.mode === simulation.DRY_RUN;
+    if (!dryRun) {
+      await this.budgetService.assertWithinBudget(workflow);
+    }
+    const engine = dryRun ? "langgraph" : this.engineFor(workflow);
+    workflowLogger.log("Dispatching workflow execution", { workflowId: workflow._id || workflow.id, engine });
+    return this.get(engine).executeWorkflow(workflow, userId, value, options);
+  }
+
+  /**
+   * Dry run: execute with a fake chat model, tool fixtures and blocked
+   * outbound calls (see utils/simulation), resolving with the settled
+   * execution. Simulation lives in the LangGraph engine, so dry runs use it
+   * whichever engine the workflow runs on live.
+   */
+  async simulateWorkflow(workflow, userId, inputs = {}, { fixtures, metadata } = {}) {
+    const value = this.validateInputs(workflow, inputs);
+    const engine = this.get("langgraph");
+    workflowLogger.log("Dispatching dry run", { workflowId: workflow._id || workflow.id });
+
+    const execution = await engine.executeWorkflow(workflow, userId, value, { mode: simulation.DRY_RUN, fixtures, metadata });
+    return engine.waitForExecution(execution.executionId);
+  }
+
+  /**
+   * Inputs with schema defaults applied. Throws a ValidationError listing
+   * every violation (`details.violations`).
+   */
+  validateInputs(workflow, inputs) {
+    const { valid, violations, value } = schemaValidator.validateInputs(workflow, inputs);
+    if (!valid) {
+      throw new ValidationError(
+        `Workflow inputs do not match the input schema: ${schemaValidator.describeViolations(violations)}`,
+        { violations }
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Resume an execution paused for human review.
+   * `decision` is the selected action (e.g. "approve"); `reviewData` carries
+   * feedback and reviewer details.
+   */
+  async resumeExecution(executionId, { nodeId, decision, feedback, reviewData = {} } = {}) {
+    const execution = await this.findExecution(executionId);
+    const engine = this.engineOf(execution);
+
+    if (engine === "langgraph") {
+      return this.get(engine).resumeWorkflow(executionId, { ...reviewData, actionId: decision, feedback });
+    }
+    return this.get(engine).resumeWorkflowAfterReview(
+      executionId,
+      nodeId || execution.pauseState?.nodeId,
+      decision,
+      { notes: feedback, ...reviewData }
+    );
+  }
+
+  async abortExecution(executionId, reason) {
+    const execution = await this.findExecution(executionId);
+    return this.get(this.engineOf(execution)).abortExecution(executionId, reason);
+  }
+
+  async replayExecution(executionId, options) {
+    const execution = await this.findExecution(executionId);
+    const engine = this.get(this.engineOf(execution));
+    if (!engine.replayExecution) {
+      throw new Error(`Replay is not supported by the ${this.engineOf(execution)} engine`);
+    }
+    return engine.replayExecution(executionId, options);
+  }
+
+  async getQueuePosition(execution) {
+    const engine = this.get(this.engineOf(execution));
+    return engine.getQueuePosition ? engine.getQueuePosition(execution) : null;
+  }
+
+  async getExecutionStatus(executionId) {
+    return WorkflowExecution.findOne({ executionId });
+  }
+
+  async listExecutions(userId, filters = {}) {
+    // Execution records are engine-agnostic; the legacy engine owns the query
+    return this.get("legacy").listExecutions(userId, filters);
+  }
+
+  async findExecution(executionId) {
+    const execution = await WorkflowExecution.findOne({ executionId });
+    if (!execution) {
+      throw new Error(`Execution ${executionId} not found`);
+    }
+    return execution;
+  }
+}
+
+module.exports = ExecutionEngineRegistry;
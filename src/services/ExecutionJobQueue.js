@@ -0,0 +1,149 @@
+/**
+ * Execution job queue shared by API nodes and workers
+ *
+ * API nodes enqueue admitted executions; workers (see worker.js) claim them
+ * under a lease they renew on every heartbeat. Jobs whose lease lapses, because
+ * the worker died or stalled, are reclaimed and retried on another worker, and
+ * resume from the execution's last checkpoint. Storage is pluggable: Redis in
+ * production, in-memory for tests.
+ *
+ * Enable with EXECUTION_QUEUE=redis (or memory); unset keeps executions in-process.
+ */
+
+const os = require("os");
+const MemoryJobQueueAdapter = require("./MemoryJobQueueAdapter");
+const workflowLogger = require("../utils/workflowLogger");
+
+const DEFAULT_LEASE_MS = 30000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// One queue per process; every engine instance shares its connection
+let sharedQueue;
+
+class ExecutionJobQueue {
+  constructor(adapter = new MemoryJobQueueAdapter(), options = {}) {
+    this.adapter = adapter;
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Queue configured by EXECUTION_QUEUE, or null when executions run in-process
+   */
+  static fromEnv() {
+    if (sharedQueue !== undefined) {
+      return sharedQueue;
+    }
+
+    const type = process.env.EXECUTION_QUEUE;
+    const options = {
+      leaseMs: Number(process.env.EXECUTION_JOB_LEASE_MS) || undefined,
+      maxAttempts: Number(process.env.EXECUTION_JOB_MAX_ATTEMPTS) || undefined
+    };
+
+    if (!type) {
+      sharedQueue = null;
+    } else if (type === "redis") {
+      const RedisJobQueueAdapter = require("./RedisJobQueueAdapter");
+      sharedQueue = new ExecutionJobQueue(new RedisJobQueueAdapter({ prefix: process.env.EXECUTION_QUEUE_PREFIX }), options);
+    } else if (type === "memory") {
+      sharedQueue = new ExecutionJobQueue(new MemoryJobQueueAdapter(), options);
+    } else {
+      throw new Error(`Unknown EXECUTION_QUEUE adapter: ${type}`);
+    }
+
+    return sharedQueue;
+  }
+
+  static createWorkerId() {
+    return `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 6)}`;
+  }
+
+  async enqueue(execution) {
+    const job = {
+      id: execution.executionId,
+      executionId: execution.executionId,
+      workflowId: String(execution.workflowId),
+      enqueuedAt: new Date().toISOString()
+    };
+
+    await this.adapter.enqueue(job);
+    workflowLogger.log("Execution job enqueued", { executionId: job.executionId });
+    return job;
+  }
+
+  async claim(workerId) {
+    return this.adapter.claim(workerId, Date.now() + this.leaseMs);
+  }
+
+  /**
+   * Record the worker as alive and extend the leases on its jobs.
+   * Returns the job ids whose lease the worker still holds.
+   */
+  async heartbeat(workerId, jobIds = [], info = {}) {
+    await this.adapter.heartbeat(workerId, {
+      ...info,
+      jobs: jobIds,
+      lastSeen: Date.now()
+    });
+    return this.adapter.renew(workerId, jobIds, Date.now() + this.leaseMs);
+  }
+
+  async ack(jobId) {
+    return this.adapter.ack(jobId);
+  }
+
+  /**
+   * Whether the job is pending or being worked on
+   */
+  async has(jobId) {
+    return this.adapter.has(jobId);
+  }
+
+  /**
+   * Requeue jobs whose lease expired; jobs out of attempts come back as `dead`
+   */
+  async reclaimStalled() {
+    const { requeued, dead } = await this.adapter.reclaim(Date.now(), this.maxAttempts);
+
+    if (requeued.length || dead.length) {
+      workflowLogger.warn("Reclaimed stalled execution jobs", {
+        requeued: requeued.map(job => job.executionId),
+        dead: dead.map(job => job.executionId)
+      });
+    }
+
+    return { requeued, dead };
+  }
+
+  /**
+   * Registered workers, flagged alive if seen within one lease period
+   */
+  async getWorkers() {
+    const cutoff = Date.now() - this.leaseMs;
+    const workers = await this.adapter.listWorkers();
+    return workers.map(worker => ({ ...worker, alive: worker.lastSeen >= cutoff }));
+  }
+
+  async removeWorker(workerId) {
+    return this.adapter.removeWorker(workerId);
+  }
+
+  async stats() {
+    return this.adapter.stats();
+  }
+
+  async publishEvent(event) {
+    return this.adapter.publishEvent(event);
+  }
+
+  async subscribeEvents(listener) {
+    return this.adapter.subscribeEvents(listener);
+  }
+
+  async close() {
+    return this.adapter.close();
+  }
+}
+
+module.exports = ExecutionJobQueue;
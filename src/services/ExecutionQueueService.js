@@ -0,0 +1,189 @@
+/**
+ * Per-workflow admission control for `maxConcurrentExecutions`
+ *
+ * Executions over the limit are persisted as `queued` and started in FIFO
+ * (or priority) order as running executions finish. MongoDB is the source of
+ * truth, so any engine instance can dispatch a workflow's queue. Admission
+ * and dispatch count running executions before writing, so each holds a
+ * per-workflow lease in MongoDB (ExecutionQueueLock) that API nodes and
+ * workers share. Dry runs bypass admission and do not count against the limit.
+ */
+
+const crypto = require("crypto");
+const { Workflow, WorkflowExecution, ExecutionQueueLock } = require("../models");
+const workflowLogger = require("../utils/workflowLogger");
+
+const PRIORITY_RANK = { low: 0, normal: 1, high: 2, critical: 3 };
+
+// A lease outlives any count-and-write; a crashed holder's lease lapses after this
+const LOCK_LEASE_MS = 10000;
+const LOCK_WAIT_MS = 15000;
+const LOCK_RETRY_MS = 25;
+
+// Queues this process's own callers per workflow, so only one of them polls for the lease
+const workflowLocks = new Map();
+
+class ExecutionQueueService {
+  /**
+   * 0 or unset means unlimited
+   */
+  resolveLimit(workflow) {
+    const limit = workflow?.config?.maxConcurrentExecutions ?? workflow?.configuration?.maxConcurrentExecutions;
+    return Number(limit) || 0;
+  }
+
+  resolveStrategy(workflow) {
+    return (workflow?.config?.queueStrategy || workflow?.configuration?.queueStrategy) === 'priority' ? 'priority' : 'fifo';
+  }
+
+  sortOrder(strategy) {
+    return strategy === 'priority' ? { priorityRank: -1, queuedAt: 1 } : { queuedAt: 1 };
+  }
+
+  async withLock(workflowId, fn) {
+    const locked = () => this.withLease(workflowId, fn);
+    const previous = workflowLocks.get(workflowId) || Promise.resolve();
+    const run = previous.then(locked, locked);
+    const tail = run.catch(() => {});
+    workflowLocks.set(workflowId, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (workflowLocks.get(workflowId) === tail) {
+        workflowLocks.delete(workflowId);
+      }
+    }
+  }
+
+  /**
+   * Run `fn` holding the workflow's queue lease, shared by every process
+   */
+  async withLease(workflowId, fn) {
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_WAIT_MS;
+
+    for (;;) {
+      try {
+        // Inserts the lock or takes over an expired one; a live lease makes the upsert hit the unique key
+        await ExecutionQueueLock.findOneAndUpdate(
+          { key: workflowId, expiresAt: { $lte: new Date() } },
+          { $set: { owner, expiresAt: new Date(Date.now() + LOCK_LEASE_MS) } },
+          { upsert: true }
+        );
+        break;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the execution queue of workflow ${workflowId}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await ExecutionQueueLock.deleteOne({ key: workflowId, owner }).catch(error =>
+        workflowLogger.error("Failed to release execution queue lock", { workflowId, error: error.message }));
+    }
+  }
+
+  /**
+   * Save a new execution as `running` if a slot is free and nothing is queued
+   * ahead of it, otherwise as `queued`. Returns true when it may start now.
+   */
+  async admit(workflow, execution) {
+    const limit = this.resolveLimit(workflow);
+    if (!limit) {
+      await execution.save();
+      return true;
+    }
+
+    return this.withLock(String(workflow._id), async () => {
+      const [running, queued] = await Promise.all([
+        WorkflowExecution.countDocuments({ workflowId: execution.workflowId, status: 'running', mode: { $ne: 'dry-run' } }),
+        WorkflowExecution.countDocuments({ workflowId: execution.workflowId, status: 'queued' })
+      ]);
+
+      const admitted = running < limit && queued === 0;
+      if (!admitted) {
+        execution.status = 'queued';
+        execution.queuedAt = new Date();
+        execution.priorityRank = PRIORITY_RANK[execution.priority] ?? PRIORITY_RANK.normal;
+      }
+
+      await execution.save();
+      return admitted;
+    });
+  }
+
+  /**
+   * Claim queued executions for the free slots and hand each to `start`
+   */
+  async dispatch(workflow, start) {
+    const limit = this.resolveLimit(workflow);
+    const order = this.sortOrder(this.resolveStrategy(workflow));
+
+    const claimed = await this.withLock(String(workflow._id), async () => {
+      const running = await WorkflowExecution.countDocuments({ workflowId: workflow._id, status: 'running', mode: { $ne: 'dry-run' } });
+      const executions = [];
+
+      for (let free = limit ? limit - running : Infinity; free > 0; free--) {
+        const next = await WorkflowExecution.findOneAndUpdate(
+          { workflowId: workflow._id, status: 'queued' },
+          { $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date() }, $unset: { queuedAt: 1 } },
+          { sort: order, new: true }
+        );
+        if (!next) break;
+        executions.push(next);
+      }
+
+      return executions;
+    });
+
+    for (const execution of claimed) {
+      workflowLogger.log("Dequeued execution", { executionId: execution.executionId, workflowId: String(workflow._id) });
+      Promise.resolve()
+        .then(() => start(execution))
+        .catch(error => workflowLogger.error("Failed to start queued execution", {
+          executionId: execution.executionId,
+          error: error.message
+        }));
+    }
+
+    return claimed;
+  }
+
+  /**
+   * 1-based position of a queued execution, or null if it is not queued
+   */
+  async getQueuePosition(execution) {
+    if (execution.status !== 'queued') {
+      return null;
+    }
+
+    const workflow = await Workflow.findById(execution.workflowId).select('config').lean();
+    const strategy = this.resolveStrategy(workflow);
+    const base = { workflowId: execution.workflowId, status: 'queued' };
+
+    const ahead = strategy === 'priority'
+      ? {
+          ...base,
+          $or: [
+            { priorityRank: { $gt: execution.priorityRank } },
+            { priorityRank: execution.priorityRank, queuedAt: { $lt: execution.queuedAt } }
+          ]
+        }
+      : { ...base, queuedAt: { $lt: execution.queuedAt } };
+
+    const [position, length] = await Promise.all([
+      WorkflowExecution.countDocuments(ahead),
+      WorkflowExecution.countDocuments(base)
+    ]);
+
+    return { position: position + 1, length, strategy, queuedAt: execution.queuedAt };
+  }
+}
+
+module.exports = ExecutionQueueService;
@@ -0,0 +1,183 @@
+/**
+ * Crash recovery for executions of every engine
+ *
+ * An execution left `running` by a process that died stops getting
+ * heartbeatAt stamps. On startup and then periodically, this sweep finds such
+ * orphans and applies the workflow's config.recoveryPolicy: `resume` continues
+ * a LangGraph run from its last checkpoint, `fail` marks the execution failed
+ * with reason `orphaned`. Legacy-engine runs keep their state in memory, so
+ * they are always failed. Every recovery is recorded in the step logs.
+ */
+
+const { Workflow, WorkflowExecution, WorkflowStepLog } = require("../models");
+const workflowLogger = require("../utils/workflowLogger");
+
+// Several missed heartbeats before an execution counts as orphaned
+const DEFAULT_ORPHAN_TIMEOUT = 60000;
+const DEFAULT_SWEEP_INTERVAL = 60000;
+// Resumes before an execution that keeps taking its process down is failed
+const MAX_RECOVERY_ATTEMPTS = 3;
+const SWEEP_BATCH_SIZE = 100;
+
+class ExecutionRecoveryService {
+  constructor(engines, options = {}) {
+    this.engines = engines; // ExecutionEngineRegistry
+    this.orphanTimeout = options.orphanTimeout || Number(process.env.EXECUTION_ORPHAN_TIMEOUT_MS) || DEFAULT_ORPHAN_TIMEOUT;
+    this.sweepInterval = options.sweepInterval || Number(process.env.EXECUTION_RECOVERY_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL;
+    this.maxAttempts = options.maxAttempts || MAX_RECOVERY_ATTEMPTS;
+    this.sweeping = false;
+  }
+
+  start() {
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.timer.unref?.();
+    workflowLogger.log("Execution recovery sweep started", {
+      orphanTimeout: this.orphanTimeout,
+      sweepInterval: this.sweepInterval
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async findOrphans() {
+    const cutoff = new Date(Date.now() - this.orphanTimeout);
+
+    return WorkflowExecution.find({
+      status: 'running',
+      $or: [
+        { heartbeatAt: { $lt: cutoff } },
+        { heartbeatAt: null, startedAt: { $lt: cutoff } }
+      ]
+    }).limit(SWEEP_BATCH_SIZE);
+  }
+
+  /**
+   * Recover every orphan found; returns one { executionId, action } per recovery
+   */
+  async sweep() {
+    if (this.sweeping) return [];
+    this.sweeping = true;
+
+    try {
+      const recovered = [];
+
+      for (const execution of await this.findOrphans()) {
+        // A worker still holds (or is about to claim) its job; lease expiry covers that case
+        const { jobQueue } = this.engines.get(this.engines.engineOf(execution));
+        if (jobQueue && await jobQueue.has(execution.executionId)) {
+          continue;
+        }
+
+        const outcome = await this.recover(execution).catch(error => {
+          workflowLogger.error("Failed to recover execution", { executionId: execution.executionId, error: error.message });
+          return null;
+        });
+        if (outcome) recovered.push(outcome);
+      }
+
+      if (recovered.length) {
+        workflowLogger.warn("Recovered orphaned executions", { recovered });
+      }
+      return recovered;
+    } catch (error) {
+      workflowLogger.error("Execution recovery sweep failed", { error: error.message });
+      return [];
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  async recover(execution) {
+    const { executionId } = execution;
+
+    // Claim by the heartbeat we saw, so only one process recovers a given orphan
+    const claimed = await WorkflowExecution.findOneAndUpdate(
+      { _id: execution._id, status: 'running', heartbeatAt: execution.heartbeatAt ?? null },
+      { $set: { heartbeatAt: new Date() }, $inc: { recoveryAttempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const engineName = this.engines.engineOf(claimed);
+    const engine = this.engines.get(engineName);
+    // Only LangGraph runs are checkpointed, so only they can be resumed
+    const resumable = Boolean(engine.recoverExecution);
+
+    const workflow = await Workflow.findById(claimed.workflowId).select('config').lean();
+    const policy = workflow?.config?.recoveryPolicy || 'resume';
+    const exhausted = claimed.recoveryAttempts > this.maxAttempts;
+    // A dry run tested a definition that may never have been saved, and its caller is gone
+    const dryRun = claimed.mode === 'dry-run';
+    const action = workflow && resumable && policy === 'resume' && !exhausted && !dryRun ? 'resumed' : 'failed';
+
+    const progress = resumable ? await this.readCheckpoint(engine, executionId) : this.readSteps(claimed);
+
+    await this.logRecovery(claimed, action, {
+      engine: engineName,
+      policy,
+      attempt: claimed.recoveryAttempts,
+      lastHeartbeatAt: execution.heartbeatAt || null,
+      ...progress
+    });
+
+    if (action === 'resumed') {
+      await engine.recoverExecution(claimed);
+    } else {
+      const reason = !workflow
+        ? 'workflow no longer exists'
+        : !resumable ? `the ${engineName} engine cannot resume a run`
+          : dryRun ? 'dry runs are not resumed'
+            : exhausted ? `gave up after ${this.maxAttempts} recovery attempts` : 'recovery policy is fail';
+      const error = new Error(`Execution orphaned: its process stopped responding (${reason})`);
+      error.code = 'ORPHANED';
+      error.reason = 'orphaned';
+      await engine.failOrphanedExecution(executionId, error);
+    }
+
+    return { executionId, action };
+  }
+
+  /**
+   * How far a LangGraph run got, from its last checkpoint
+   */
+  async readCheckpoint(engine, executionId) {
+    const tuple = await engine.checkpointer.getTuple({ configurable: { thread_id: `thread_${executionId}` } });
+    const checkpointValues = tuple?.checkpoint?.channel_values || {};
+
+    return {
+      checkpointId: tuple?.checkpoint?.id || null,
+      completedNodes: checkpointValues.completedNodes || [],
+      resumeFrom: checkpointValues.currentNode || null
+    };
+  }
+
+  /**
+   * How far a legacy run got, from the steps it recorded
+   */
+  readSteps(execution) {
+    const completedNodes = [...new Set(
+      (execution.steps || []).filter(step => step.status === 'completed').map(step => step.nodeId)
+    )];
+
+    return { checkpointId: null, completedNodes, resumeFrom: null };
+  }
+
+  async logRecovery(execution, action, details) {
+    await WorkflowStepLog.create({
+      executionId: execution.executionId,
+      workflowId: execution.workflowId,
+      nodeId: details.resumeFrom || '__recovery__',
+      nodeType: 'recovery',
+      status: action === 'resumed' ? 'recovered' : 'failed',
+      outputData: { action, ...details },
+      error: action === 'failed' ? { message: 'Execution orphaned', reason: 'orphaned' } : undefined,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = ExecutionRecoveryService;
@@ -0,0 +1,124 @@
+/**
+ * Claims execution jobs from the ExecutionJobQueue and runs them through
+ * LangGraphWorkflowService, heartbeating so its leases stay valid and
+ * reclaiming jobs abandoned by dead workers.
+ */
+
+const ExecutionJobQueue = require("./ExecutionJobQueue");
+const workflowLogger = require("../utils/workflowLogger");
+
+class ExecutionWorker {
+  constructor({ queue, engine, workerId, concurrency = 2, pollInterval = 1000, heartbeatInterval } = {}) {
+    this.queue = queue;
+    this.engine = engine;
+    this.workerId = workerId || ExecutionJobQueue.createWorkerId();
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    // Renew well inside the lease so one slow beat doesn't lose the job
+    this.heartbeatInterval = heartbeatInterval || Math.floor(queue.leaseMs / 3);
+    this.jobs = new Map(); // jobId -> run promise
+    this.running = false;
+  }
+
+  async start() {
+    this.running = true;
+    workflowLogger.log("Execution worker started", {
+      workerId: this.workerId,
+      concurrency: this.concurrency
+    });
+
+    await this.beat();
+    this.heartbeatTimer = setInterval(() => this.beat(), this.heartbeatInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop claiming work. With `drain`, wait for in-flight jobs first; otherwise
+   * their leases lapse and another worker picks them up.
+   */
+  async stop({ drain = true } = {}) {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+
+    if (drain) {
+      await Promise.allSettled(this.jobs.values());
+    }
+
+    clearInterval(this.heartbeatTimer);
+    await this.queue.removeWorker(this.workerId);
+    workflowLogger.log("Execution worker stopped", { workerId: this.workerId, drained: drain });
+  }
+
+  async poll() {
+    if (!this.running) return;
+    clearTimeout(this.pollTimer);
+
+    try {
+      while (this.running && this.jobs.size < this.concurrency) {
+        const job = await this.queue.claim(this.workerId);
+        if (!job) break;
+        this.runJob(job);
+      }
+    } catch (error) {
+      workflowLogger.error("Failed to claim execution job", { workerId: this.workerId, error: error.message });
+    }
+
+    if (this.running) {
+      this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  runJob(job) {
+    workflowLogger.log("Execution job claimed", {
+      workerId: this.workerId,
+      executionId: job.executionId,
+      attempt: job.attempts
+    });
+
+    const run = this.engine.runQueuedJob(job)
+      .catch(error => workflowLogger.error("Execution job failed", {
+        executionId: job.executionId,
+        error: error.message
+      }))
+      .then(() => this.queue.ack(job.id))
+      .catch(error => workflowLogger.error("Failed to acknowledge execution job", {
+        executionId: job.executionId,
+        error: error.message
+      }))
+      .finally(() => {
+        this.jobs.delete(job.id);
+        this.poll();
+      });
+
+    this.jobs.set(job.id, run);
+  }
+
+  async beat() {
+    try {
+      const jobIds = [...this.jobs.keys()];
+      const held = await this.queue.heartbeat(this.workerId, jobIds, {
+        pid: process.pid,
+        concurrency: this.concurrency
+      });
+
+      const lost = jobIds.filter(id => !held.includes(id));
+      if (lost.length) {
+        workflowLogger.warn("Execution job leases lost; jobs may be running elsewhere", {
+          workerId: this.workerId,
+          jobs: lost
+        });
+      }
+
+      const { dead } = await this.queue.reclaimStalled();
+      for (const job of dead) {
+        const error = new Error(`Execution abandoned after ${job.attempts} worker attempts`);
+        error.code = "WORKER_LOST";
+        await this.engine.completeExecution(job.executionId, "failed", null, error);
+      }
+    } catch (error) {
+      workflowLogger.error("Execution worker heartbeat failed", { workerId: this.workerId, error: error.message });
+    }
+  }
+}
+
+module.exports = ExecutionWorker;
@@ -0,0 +1,106 @@
+/**
+ * Response cache for LLM nodes
+ *
+ * Opt-in per node (`config.cache`). A response is keyed by a hash of the
+ * account, the resolved model, its params and the processed messages, so
+ * only an exact repeat of a call is answered from the cache. Storage is
+ * pluggable: Redis when REDIS_URL is set, otherwise an in-process LRU.
+ *
+ * LLM_CACHE=redis|memory picks the storage explicitly; LLM_CACHE=off turns
+ * caching off for every node.
+ */
+
+const crypto = require("crypto");
+const MemoryLLMCacheAdapter = require("./MemoryLLMCacheAdapter");
+const workflowLogger = require("../utils/workflowLogger");
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// One cache per process; every engine instance shares its connection
+let sharedCache;
+
+class LLMResponseCache {
+  constructor(adapter = new MemoryLLMCacheAdapter(), options = {}) {
+    this.adapter = adapter;
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+  }
+
+  /**
+   * Cache configured by LLM_CACHE (and REDIS_URL), or null when caching is off
+   */
+  static shared() {
+    if (sharedCache !== undefined) {
+      return sharedCache;
+    }
+
+    const type = process.env.LLM_CACHE || (process.env.REDIS_URL ? "redis" : "memory");
+    const options = { ttlSeconds: Number(process.env.LLM_CACHE_TTL_SECONDS) || undefined };
+
+    if (type === "off") {
+      sharedCache = null;
+    } else if (type === "redis") {
+      const RedisLLMCacheAdapter = require("./RedisLLMCacheAdapter");
+      sharedCache = new LLMResponseCache(new RedisLLMCacheAdapter({ prefix: process.env.LLM_CACHE_PREFIX }), options);
+    } else if (type === "memory") {
+      sharedCache = new LLMResponseCache(
+        new MemoryLLMCacheAdapter({ maxEntries: Number(process.env.LLM_CACHE_MAX_ENTRIES) || undefined }),
+        options
+      );
+    } else {
+      throw new Error(`Unknown LLM_CACHE adapter: ${type}`);
+    }
+
+    return sharedCache;
+  }
+
+  /**
+   * `{ ttlSeconds }` for a node's `cache` setting (true or { ttlSeconds }), null when it is off
+   */
+  settingsFor(cache) {
+    if (!cache || cache.enabled === false) {
+      return null;
+    }
+    return { ttlSeconds: Number(cache.ttlSeconds) || this.ttlSeconds };
+  }
+
+  /**
+   * Hash of one model call. `messages` are LangChain messages or `{ role, content }`.
+   */
+  key({ scope, model, params, messages }) {
+    const payload = JSON.stringify({
+      scope: scope ? String(scope) : null,
+      model,
+      params: Object.keys(params || {}).sort().reduce((sorted, name) => {
+        if (params[name] !== undefined) sorted[name] = params[name];
+        return sorted;
+      }, {}),
+      messages: messages.map(message => ({
+        role: typeof message._getType === "function" ? message._getType() : message.role,
+        content: message.content
+      }))
+    });
+    return crypto.createHash("sha256").update(payload).digest("hex");
+  }
+
+  /**
+   * The cached `{ content, usage, cachedAt }`, or null. Storage errors count as a miss.
+   */
+  async get(key) {
+    try {
+      return await this.adapter.get(key);
+    } catch (error) {
+      workflowLogger.error("LLM cache read failed", { error: error.message });
+      return null;
+    }
+  }
+
+  async set(key, { content, usage }, ttlSeconds = this.ttlSeconds) {
+    try {
+      await this.adapter.set(key, { content, usage, cachedAt: new Date().toISOString() }, ttlSeconds);
+    } catch (error) {
+      workflowLogger.error("LLM cache write failed", { error: error.message });
+    }
+  }
+}
+
+module.exports = LLMResponseCache;
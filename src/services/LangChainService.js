@@ -1,4 +1,3 @@
-const { ChatOpenAI } = require("@langchain/openai");
 const { HumanMessage, SystemMessage, AIMessage } = require("@langchain/core/messages");
 const { PromptTemplate } = require("@langchain/core/prompts");
 const { LLMChain } = require("langchain/chains");
@@ -6,32 +5,18 @@ const { Tool } = require("@langchain/core/tools");
 const { DynamicTool } = require("@langchain/community/tools/dynamic");
 const { Calculator } = require("@langchain/community/tools/calculator");
 const { SerpAPI } = require("@langchain/community/tools/serpapi");
+const expressionEvaluator = require("../utils/expressionEvaluator");
+const tokenUsage = require("../utils/tokenUsage");
+const structuredOutput = require("../utils/structuredOutput");
+const chatMessages = require("../utils/chatMessages");
+const ModelRegistry = require("./ModelRegistry");
+const LLMResponseCache = require("./LLMResponseCache");
 
 class LangChainService {
   constructor() {
-    // Initialize models
-    this.models = {
-      "gpt-4": new ChatOpenAI({
-        modelName: "gpt-4",
-        temperature: 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      }),
-      "gpt-3.5-turbo": new ChatOpenAI({
-        modelName: "gpt-3.5-turbo",
-        temperature: 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      }),
-      "gpt-4-turbo": new ChatOpenAI({
-        modelName: "gpt-4-turbo-preview",
-        temperature: 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      }),
-      "gpt-4o-mini": new ChatOpenAI({
-        modelName: "gpt-4o-mini",
-        temperature: 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      }),
-    };
+    // Chat models are built per call from the registry ("provider:model")
+    this.modelRegistry = ModelRegistry.shared();
+    this.responseCache = LLMResponseCache.shared(); // null when LLM_CACHE=off
 
     // Initialize tools
     this.tools = new Map();
@@ -774,7 +759,7 @@ class LangChainService {
 
   async createChain(modelName, promptTemplate) {
     try {
-      const model = this.models[modelName] || this.models["gpt-3.5-turbo"];
+      const { model } = await this.modelRegistry.createChatModel(modelName || "gpt-3.5-turbo");
 
       return new LLMChain({
         llm: model,
@@ -785,7 +770,14 @@ class LangChainService {
     }
   }
 
-  async executeNode(nodeConfig, context = {}) {
+  /**
+   * `options.createGuard(tracker)` may return a callback handler that LLM and
+   * agent nodes run before each model call (e.g. a budget check);
+   * `options.resolveSecrets(names)` decrypts {{secrets.NAME}} model credentials;
+   * LLM nodes that cache responses key them under `options.cacheScope` (the
+   * account) and skip the lookup with `options.bypassCache`
+   */
+  async executeNode(nodeConfig, context = {}, options = {}) {
     const { type, config, model = "gpt-3.5-turbo" } = nodeConfig;
 
     try {
@@ -797,7 +789,7 @@ class LangChainService {
           return await this.executeEndNode(nodeConfig, context);
 
         case "llm":
-          return await this.executeLLMNode(nodeConfig.config || config, model, context);
+          return await this.executeLLMNode(nodeConfig.config || config, model, context, options);
 
         case "tool":
           return await this.executeToolNode(nodeConfig.config || config, context);
@@ -806,7 +798,7 @@ class LangChainService {
           return await this.executeHumanReviewNode(nodeConfig, context);
 
         case "agent":
-          return await this.executeAgentNode(nodeConfig, context);
+          return await this.executeAgentNode(nodeConfig, context, options);
 
         case "agent_with_hitl":
           return await this.executeAgentWithHITLNode(nodeConfig, context);
@@ -835,7 +827,8 @@ class LangChainService {
    * Execute an agent node (without HITL)
    * Agents can use tools to complete tasks autonomously
    */
-  async executeAgentNode(nodeConfig, context = {}) {
+  async executeAgentNode(nodeConfig, context = {}, { createGuard, resolveSecrets } = {}) {
+    let usage;
     try {
       const { createReactAgent } = require("@langchain/langgraph/prebuilt");
       const { HumanMessage } = require("@langchain/core/messages");
@@ -854,7 +847,9 @@ class LangChainService {
           if (toolName === 'search' || toolName === 'serp_api') {
             // SERP API tool
             const { SerpAPI } = require("@langchain/community/tools/serpapi");
-            const serpApiKey = process.env.SERP_API_KEY || toolConfig.config?.apiKey?.replace('${SERP_API_KEY}', process.env.SERP_API_KEY);
+            // A configured key ({{secrets.NAME}}, resolved before the node runs) wins over the environment
+            const configuredKey = toolConfig.config?.apiKey;
+            const serpApiKey = configuredKey && !configuredKey.includes('${') ? configuredKey : process.env.SERP_API_KEY;
             if (serpApiKey) {
               tools.push(new SerpAPI(serpApiKey));
             }
@@ -868,54 +863,54 @@ class LangChainService {
       }
       
       // Get LLM model
-      const { ChatOpenAI } = require("@langchain/openai");
       const llmConfig = config.llm || {};
-      const model = new ChatOpenAI({
-        modelName: llmConfig.model || "gpt-4",
-        temperature: llmConfig.temperature || 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      });
-      
-      // Create React agent
-      const agent = createReactAgent({
-        llm: model,
-        tools,
-      });
+      const modelRef = llmConfig.model || "gpt-4";
+      await this.modelRegistry.refresh();
+      const spec = this.modelRegistry.resolve(modelRef);
+      usage = tokenUsage.createUsageTracker(spec.model, spec.provider);
 
       // Process template variables in prompt
       const processedPrompt = this.processTemplate(prompt, context);
       
-      // Execute agent
+      // Execute a React agent, restarting it on the next fallback model if one fails
       const messages = [new HumanMessage(processedPrompt)];
-      const result = await agent.invoke({ messages });
+      const callbacks = [usage.handler, ...(createGuard ? [createGuard(usage)] : [])];
+      const { result } = await this.modelRegistry.runWithFallbacks(
+        modelRef,
+        llmConfig.fallbacks,
+        (model, attempt) => {
+          if (tools.length > 0 && !this.modelRegistry.supports(attempt, "tools")) {
+            throw new Error(`Model ${attempt.key} does not support tool calling`);
+          }
+          return createReactAgent({ llm: model, tools }).invoke({ messages }, { callbacks });
+        },
+        this.modelChainOptions(usage, llmConfig, resolveSecrets, { temperature: llmConfig.temperature })
+      );
 
       // Extract output
       const lastMessage = result.messages[result.messages.length - 1];
       const output = lastMessage.content;
       
-      // Try to parse structured output if specified
+      // Try to parse structured output if specified (fenced or wrapped in prose included)
       let parsedOutput = output;
-      if (config.outputFormat) {
-        try {
-          // Check if output is JSON
-          if (typeof output === 'string' && output.trim().startsWith('{')) {
-            parsedOutput = JSON.parse(output);
-          }
-        } catch (e) {
-          // Keep as string if not valid JSON
-          parsedOutput = output;
-        }
+      if (config.outputFormat && typeof output === 'string') {
+        parsedOutput = structuredOutput.parseJson(output) ?? output;
       }
 
       return { 
         success: true, 
         output: parsedOutput,
         rawOutput: output,
-        messageCount: result.messages.length
+        messageCount: result.messages.length,
+        usage: usage.summary()
       };
     } catch (error) {
       console.error("Error in executeAgentNode:", error);
-      throw new Error(`Agent execution failed: ${error.message}`);
+      // Steps the agent paid for before failing or being halted still count
+      if (error.code === "BUDGET_EXCEEDED") {
+        throw tokenUsage.attachUsage(error, usage?.summary());
+      }
+      throw tokenUsage.attachUsage(new Error(`Agent execution failed: ${error.message}`), usage?.summary());
     }
   }
 
@@ -936,13 +931,13 @@ class LangChainService {
       // Get tools for the agent
       const tools = Array.from(this.tools.values());
       
-      // Get model - use a fresh instance with explicit API key to avoid placeholder issues
-      const { ChatOpenAI } = require("@langchain/openai");
-      const model = new ChatOpenAI({
-        modelName: "gpt-4o-mini",
-        temperature: 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      });
+      // Get model - a fresh instance per run
+      const llmConfig = nodeConfig.data?.llm || nodeConfig.config?.llm || {};
+      const { model } = await this.modelRegistry.createChatModel(
+        llmConfig.model || "gpt-4o-mini",
+        { temperature: llmConfig.temperature },
+        { apiKey: llmConfig.apiKey }
+      );
       
       // Create agent with checkpointer for state persistence
       const checkpointer = new MemorySaver();
@@ -1001,7 +996,22 @@ class LangChainService {
     }
   }
 
-  async executeLLMNode(config, modelName, context) {
+  /**
+   * runWithFallbacks options for a node's model chain; the usage tracker
+   * follows the model in use
+   */
+  modelChainOptions(usage, { apiKey, retries }, resolveSecrets, params) {
+    return {
+      params,
+      apiKey,
+      retries,
+      resolveSecrets,
+      onAttempt: (spec) => usage.useModel(spec.model, spec.provider),
+      onFallback: (spec, error) => usage.recordFallback(spec.key, error),
+    };
+  }
+
+  async executeLLMNode(config, modelName, context, { createGuard, resolveSecrets, cacheScope, bypassCache } = {}) {
     // Handle different config structures
     const parameters = config.parameters || config;
     const {
@@ -1011,59 +1021,123 @@ class LangChainService {
       model: configModel,
       temperature = 0.7,
       maxTokens = 1000,
-      apiKey, // NEW: Custom API key
-      responseFormat, // NEW: Response format for structured output
+      apiKey, // Custom API key, e.g. {{secrets.OPENAI_API_KEY}}
+      fallbacks, // Models tried in order when the selected one is rate-limited or down
+      retries, // Attempts of the selected model before falling back
+      cache: cacheConfig, // true or { ttlSeconds }: answer exact repeats of a call from the response cache
+      responseFormat, // OpenAI response_format; a json_schema format is enforced like structuredOutput
+      repairAttempts, // Re-prompts when the answer does not match the schema
+      messages: chatEntries, // [{ role: system | user | assistant, content }]
+      examples, // Few-shot [{ input, output }]
+      history, // Earlier turns: a context path ("conversation" or "{{conversation}}") or an array
     } = parameters;
 
+    // structuredOutput: true (or a json_schema responseFormat) makes the node answer in JSON matching its schema
+    const responseSchema = structuredOutput.getResponseSchema({
+      structuredOutput: parameters.structuredOutput ?? config.structuredOutput,
+      outputSchema: parameters.outputSchema || config.outputSchema,
+      responseFormat,
+    });
+    const jsonMode = !responseSchema && responseFormat?.type === "json_object";
+
     // Use model from config if specified, otherwise use the passed modelName
     const selectedModelName = configModel || modelName || "gpt-3.5-turbo";
 
-    // Use custom API key if provided, otherwise use default model
-    let model;
-    if (apiKey) {
-      // Create a new model instance with custom API key
-      model = new ChatOpenAI({
-        modelName: selectedModelName,
-        temperature: temperature,
-        maxTokens: maxTokens,
-        openAIApiKey: apiKey,
-        ...(responseFormat && { response_format: responseFormat }),
-      });
-    } else {
-      // Use pre-initialized model
-      model = this.models[selectedModelName] || this.models["gpt-3.5-turbo"];
-      model.temperature = temperature;
-      model.maxTokens = maxTokens;
+    // System prompt, examples, history and the prompt as separate chat messages, variables replaced
+    const messages = chatMessages.build(
+      { systemPrompt, messages: chatEntries, examples, prompt: prompt || userPrompt },
+      {
+        history: typeof history === "string"
+          ? this.getNestedValue(context, history.replace(/^\{\{\s*|\s*\}\}$/g, ""))
+          : history,
+        render: (text) => this.processPromptVariables(text, context),
+      }
+    );
+    if (!messages.some((message) => message._getType() !== "system")) {
+      throw new Error('No prompt found. Expected "prompt", "userPrompt" or user "messages"');
     }
 
-    // Build the prompt - handle different prompt structures
-    let finalPrompt;
-    if (prompt) {
-      // Single prompt field
-      finalPrompt = prompt;
-    } else if (systemPrompt && userPrompt) {
-      // System + user prompt structure
-      finalPrompt = `System: ${systemPrompt}\n\nUser: ${userPrompt}`;
-    } else if (userPrompt) {
-      // Just user prompt
-      finalPrompt = userPrompt;
-    } else {
-      throw new Error('No prompt found. Expected "prompt", "userPrompt", or "systemPrompt + userPrompt"');
+    // A client per call, so concurrent nodes never share settings; a custom API key wins over the registry's
+    await this.modelRegistry.refresh();
+    const selected = this.modelRegistry.resolve(selectedModelName);
+    const params = { temperature, maxTokens };
+
+    const cache = this.responseCache?.settingsFor(cacheConfig ?? config.cache);
+    const cacheKey = cache && this.responseCache.key({
+      scope: cacheScope,
+      model: selected.key,
+      params: { ...params, outputSchema: responseSchema || undefined, jsonMode: jsonMode || undefined },
+      messages,
+    });
+    if (cache && !bypassCache) {
+      const cached = await this.responseCache.get(cacheKey);
+      if (cached) {
+        return {
+          success: true,
+          output: cached.content,
+          usage: tokenUsage.cachedUsage(cached.usage),
+          metadata: {
+            model: `${cached.usage.provider}:${cached.usage.model}`,
+            cache: "hit",
+            cachedAt: cached.cachedAt,
+            temperature,
+            maxTokens,
+            tokens_used: 0,
+          },
+        };
+      }
     }
 
-    // Replace variables in prompt
-    const processedPrompt = this.processPromptVariables(finalPrompt, context);
+    const usage = tokenUsage.createUsageTracker(selected.model, selected.provider);
+    const callbacks = [usage.handler, ...(createGuard ? [createGuard(usage)] : [])];
+    let repairs = 0;
+    let output;
+    let spec;
+    try {
+      ({ result: output, spec } = await this.modelRegistry.runWithFallbacks(
+        selectedModelName,
+        fallbacks || config.llm?.fallbacks,
+        async (model, attempt) => {
+          if (responseSchema) {
+            const structured = await structuredOutput.invoke(model, messages, responseSchema, {
+              native: this.modelRegistry.supports(attempt, "structuredOutput"),
+              repairAttempts: repairAttempts ?? config.repairAttempts,
+              options: { callbacks },
+            });
+            repairs = structured.repairs;
+            return structured.value;
+          }
+          const response = await model.invoke(messages, { callbacks, ...(jsonMode && { response_format: responseFormat }) });
+          return jsonMode ? structuredOutput.parseJson(structuredOutput.messageText(response.content)) ?? response.content : response.content;
+        },
+        this.modelChainOptions(usage, { apiKey, retries: retries ?? config.llm?.retries }, resolveSecrets, params)
+      ));
+    } catch (error) {
+      // Failed fallbacks and schema repairs were paid for
+      throw tokenUsage.attachUsage(error, usage.summary());
+    }
+    let usageSummary = usage.summary();
 
-    const response = await model.invoke([new HumanMessage(processedPrompt)]);
+    if (cache) {
+      // A fallback model's answer is not cached, so it does not stand in for the selected model's
+      if (!usageSummary.fallbacks) {
+        await this.responseCache.set(cacheKey, { content: output, usage: usageSummary }, cache.ttlSeconds);
+      }
+      usageSummary = { ...usageSummary, cache: bypassCache ? "bypass" : "miss" };
+    }
 
     return {
       success: true,
-      output: response.content,
+      output,
+      usage: usageSummary,
       metadata: {
-        model: selectedModelName,
+        model: spec.key,
+        ...(usageSummary.fallbacks && { fallbacks: usageSummary.fallbacks }),
+        ...(usageSummary.cache && { cache: usageSummary.cache }),
+        ...(responseSchema && { structured: true, repairs }),
         temperature,
         maxTokens,
-        tokens_used: response.usage?.total_tokens || 0,
+        tokens_used: usageSummary.totalTokens,
       },
     };
   }
@@ -1259,31 +1333,7 @@ class LangChainService {
 
   evaluateCondition(condition, context) {
     try {
-      // Simple condition evaluation
-      // In production, use a safer evaluation library
-      const processedCondition = this.processPromptVariables(condition, context);
-
-      // Basic comparisons
-      const comparisons = [
-        { regex: /(.+)\s*==\s*(.+)/, fn: (a, b) => a === b },
-        { regex: /(.+)\s*!=\s*(.+)/, fn: (a, b) => a !== b },
-        { regex: /(.+)\s*>\s*(.+)/, fn: (a, b) => parseFloat(a) > parseFloat(b) },
-        { regex: /(.+)\s*<\s*(.+)/, fn: (a, b) => parseFloat(a) < parseFloat(b) },
-        { regex: /(.+)\s*>=\s*(.+)/, fn: (a, b) => parseFloat(a) >= parseFloat(b) },
-        { regex: /(.+)\s*<=\s*(.+)/, fn: (a, b) => parseFloat(a) <= parseFloat(b) },
-        { regex: /(.+)\s*contains\s*(.+)/, fn: (a, b) => a.includes(b) },
-      ];
-
-      for (const comp of comparisons) {
-        const match = processedCondition.match(comp.regex);
-        if (match) {
-          const [, left, right] = match;
-          return comp.fn(left.trim(), right.trim());
-        }
-      }
-
-      // If no comparison found, treat as boolean
-      return Boolean(processedCondition);
+      return expressionEvaluator.evaluateCondition(condition, context);
     } catch (error) {
       return false;
     }
@@ -1301,8 +1351,11 @@ class LangChainService {
     }
   }
 
+  /**
+   * The model registry: `provider:model` keys with capabilities and context windows
+   */
   async getAvailableModels() {
-    return Object.keys(this.models);
+    return this.modelRegistry.listModels();
   }
 
   async getAvailableTools() {
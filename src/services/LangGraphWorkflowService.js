@@ -12,14 +12,98 @@
  */
 
 const { StateGraph, END, START, Annotation } = require("@langchain/langgraph");
-const { MemorySaver } = require("@langchain/langgraph");
 const { WorkflowExecution, WorkflowStepLog, Task } = require("../models");
+const LangChainService = require("./LangChainService");
+const MongoCheckpointSaver = require("./MongoCheckpointSaver");
+const ExecutionQueueService = require("./ExecutionQueueService");
+const ExecutionJobQueue = require("./ExecutionJobQueue");
+const SecretService = require("./SecretService");
+const ModelRegistry = require("./ModelRegistry");
+const LLMResponseCache = require("./LLMResponseCache");
+const UsageService = require("./UsageService");
+const BudgetService = require("./BudgetService");
 const workflowLogger = require("../utils/workflowLogger");
+const executionEvents = require("../utils/executionEvents");
+const expressionEvaluator = require("../utils/expressionEvaluator");
+const schemaValidator = require("../utils/schemaValidator");
+const secretRedactor = require("../utils/secretRedactor");
+const simulation = require("../utils/simulation");
+const structuredOutput = require("../utils/structuredOutput");
+const chatMessages = require("../utils/chatMessages");
+const tokenUsage = require("../utils/tokenUsage");
+
+// Upper bound for loop nodes without an explicit maxIterations
+const MAX_LOOP_ITERATIONS = 100;
+// LangGraph super-step limit; loops and rejection cycles need headroom
+const RECURSION_LIMIT = 1000;
+
+/**
+ * State reducers. Parallel branches write to the same channels within one
+ * super-step, so every channel needs a reducer; LangGraph applies the writes
+ * in task-path order, which keeps the merged state deterministic.
+ */
+const lastValue = (current, update) => update;
+
+const mergeObjects = (current, update) => {
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  return isObject(current) && isObject(update) ? { ...current, ...update } : update;
+};
+
+// Trail of executed node ids, each listed once
+const mergeCompletedNodes = (current = [], update = []) => (
+  [...current, ...update.filter(id => !current.includes(id))]
+);
+
+const channel = (reducer, defaultValue) => Annotation({ reducer, default: () => defaultValue });
+
+// Node types retried by default: model calls that are safe to repeat. Webhook and
+// tool nodes can have side effects, so they are only retried with a retryPolicy.
+const RETRYABLE_NODE_TYPES = ['agent', 'llm'];
+
+// Error codes for exhausted time budgets; executions failing with these end as `timeout`
+const TIMEOUT_CODES = ['NODE_TIMEOUT', 'EXECUTION_TIMEOUT'];
+
+// How long a settled execution's checkpoints are kept for replay (CHECKPOINT_RETENTION_DAYS)
+const DEFAULT_CHECKPOINT_RETENTION_DAYS = 30;
+
+// Graph state channels a replay's statePatch may change; the rest is run bookkeeping
+const REPLAY_PATCH_KEYS = ['context', 'outputs', 'nodeResults'];
+
+// Mirrors the Workflow.config.timeout schema default (5 minutes)
+const DEFAULT_EXECUTION_TIMEOUT = 300000;
+
+// Nesting limit for subworkflow nodes
+const MAX_SUBWORKFLOW_DEPTH = 5;
+// Fallback poll while waiting on a child run whose events happen in another process
+const SUBWORKFLOW_POLL_INTERVAL = 2000;
+// Statuses an execution can still be cancelled from
+const CANCELLABLE_STATUSES = ['pending', 'queued', 'running', 'paused', 'waiting', 'waiting_human_review'];
+
+// How often running executions stamp heartbeatAt for the recovery sweep
+const HEARTBEAT_INTERVAL = Number(process.env.EXECUTION_HEARTBEAT_MS) || 10000;
+
+// Mirrors the Workflow.config.retryPolicy schema defaults
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3,
+  retryDelay: 5000,
+  strategy: 'exponential',
+  maxDelay: 60000,
+  jitter: true
+};
 
 class LangGraphWorkflowService {
-  constructor(io) {
+  constructor(io, options = {}) {
     this.io = io;
-    this.checkpointer = new MemorySaver(); // Persistent state for HITL
+    this.langChainService = new LangChainService();
+    this.checkpointer = new MongoCheckpointSaver(); // Durable graph state for pause/resume
+    this.executionQueue = new ExecutionQueueService(); // maxConcurrentExecutions admission
+    this.secretService = new SecretService();
+    this.modelRegistry = ModelRegistry.shared();
+    this.responseCache = LLMResponseCache.shared(); // null when LLM_CACHE=off
+    this.usageService = new UsageService(); // Token/cost roll-up to workflow and account
+    this.budgetService = new BudgetService({ usageService: this.usageService });
+    // Hand runs to worker processes instead of running them here (null = in-process)
+    this.jobQueue = options.jobQueue !== undefined ? options.jobQueue : ExecutionJobQueue.fromEnv();
     this.activeExecutions = new Map(); // Track running workflows
   }
 
@@ -37,11 +121,18 @@ class LangGraphWorkflowService {
     });
 
     try {
-      // Create execution record
+      const dryRun = options.mode === simulation.DRY_RUN;
+
+      // Create execution record; saved as queued when the workflow is at capacity
       const execution = new WorkflowExecution({
         executionId,
         workflowId: workflow._id,
         workflowVersion: workflow.version || "1.0.0",
+        engine: "langgraph",
+        mode: dryRun ? simulation.DRY_RUN : "live",
+        simulation: dryRun ? { fixtures: simulation.mergeFixtures(workflow, options.fixtures) } : undefined,
+        bypassCache: Boolean(options.bypassCache),
+        noamAccountId: workflow.noamAccountId,
         triggeredBy: {
           type: "api",
           userId: userId !== "anonymous" ? userId : null,
@@ -49,50 +140,32 @@ class LangGraphWorkflowService {
           metadata: options.metadata || {}
         },
         status: "running",
+        heartbeatAt: new Date(),
+        priority: options.priority || "normal",
+        parentExecutionId: options.parentExecutionId,
+        parentNodeId: options.parentNodeId,
         startTime: new Date(),
         inputs,
+        initialInput: inputs,
         context: inputs,
         steps: [],
         outputs: {}
       });
 
-      await execution.save();
-
-      // Build and compile LangGraph
-      const graph = await this.buildStateGraph(workflow, executionId);
-      // Compile without checkpointer - we handle state manually
-      const app = graph.compile();
+      // Dry runs are not live traffic: they neither take nor wait for a concurrency slot
+      if (dryRun) {
+        await execution.save();
+      }
+      const admitted = dryRun || await this.executionQueue.admit(workflow, execution);
 
-      // Store in active executions
-      this.activeExecutions.set(executionId, {
-        execution,
-        workflow,
-        app,
-        threadId: `thread_${executionId}`
-      });
+      if (!admitted) {
+        const queue = await this.executionQueue.getQueuePosition(execution);
+        workflowLogger.log("Workflow execution queued", { executionId, ...queue });
+        this.emitExecutionEvent(executionId, "execution_queued", { workflowId: workflow._id.toString(), queue });
+        return execution;
+      }
 
-      // Execute workflow (non-blocking)
-      this.runWorkflow(app, executionId, inputs)
-        .then(result => {
-          // Check if workflow is paused for HITL
-          if (result?.status === 'waiting_human_review') {
-            workflowLogger.log("Workflow paused for human review", {
-              executionId,
-              pausedNodeId: result.pausedNodeId
-            });
-            // Don't call completeExecution - execution is still in progress
-            return;
-          }
-          // Workflow completed normally
-          this.completeExecution(executionId, "completed", result);
-        })
-        .catch(error => {
-          workflowLogger.error("Workflow execution failed", {
-            executionId,
-            error: error.message
-          });
-          this.completeExecution(executionId, "failed", null, error);
-        });
+      await this.launchExecution(execution, workflow, inputs);
 
       return execution;
 
@@ -102,6 +175,302 @@ class LangGraphWorkflowService {
     }
   }
 
+  /**
+   * Build the graph for a saved execution and run it in the background
+   */
+  async launchExecution(execution, workflow, inputs) {
+    const { executionId } = execution;
+
+    // A worker would load the stored workflow; a dry run tests the definition it was given
+    if (this.jobQueue && execution.mode !== simulation.DRY_RUN) {
+      await this.jobQueue.enqueue(execution);
+      this.emitExecutionEvent(executionId, "execution_enqueued", { workflowId: workflow._id.toString() });
+      return;
+    }
+
+    // Build and compile LangGraph
+    const graph = await this.buildStateGraph(workflow, executionId);
+    const app = graph.compile({ checkpointer: this.checkpointer });
+
+    // Store in active executions
+    this.activeExecutions.set(executionId, {
+      execution,
+      workflow,
+      app,
+      threadId: `thread_${executionId}`
+    });
+
+    this.emitExecutionEvent(executionId, "execution_started", { workflowId: workflow._id.toString(), mode: execution.mode });
+
+    // Execute workflow (non-blocking); a replay fork continues from its copied checkpoint
+    this.trackRun(executionId, this.runWorkflow(app, executionId, execution.forkedFrom?.executionId ? null : inputs));
+  }
+
+  /**
+   * Worker entry point: run a claimed job to completion
+   */
+  async runQueuedJob(job) {
+    return this.continueExecution(job.executionId, { attempt: job.attempts });
+  }
+
+  /**
+   * Run a `running` execution that has no live process behind it: continues
+   * from its last checkpoint, or starts from its initial input if it never
+   * got as far as one. Settles when the run does.
+   */
+  async continueExecution(executionId, { attempt } = {}) {
+    const execution = await WorkflowExecution.findOne({ executionId });
+
+    if (!execution || execution.status !== 'running') {
+      workflowLogger.log("Skipping execution continue", { executionId, status: execution?.status });
+      return;
+    }
+
+    const workflow = await require('../models').Workflow.findById(execution.workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${execution.workflowId} not found for execution ${executionId}`);
+    }
+
+    const graph = await this.buildStateGraph(workflow, executionId);
+    const app = graph.compile({ checkpointer: this.checkpointer });
+    const threadId = `thread_${executionId}`;
+
+    this.activeExecutions.set(executionId, { execution, workflow, app, threadId });
+    await WorkflowExecution.updateOne({ executionId }, { $set: { heartbeatAt: new Date() } });
+
+    const snapshot = await app.getState({ configurable: { thread_id: threadId } });
+    const resuming = Boolean(snapshot?.config?.configurable?.checkpoint_id);
+
+    this.emitExecutionEvent(executionId, resuming ? "execution_resumed" : "execution_started", {
+      workflowId: workflow._id.toString(),
+      attempt
+    });
+
+    return this.trackRun(executionId, this.runWorkflow(app, executionId, resuming ? null : execution.initialInput || {}));
+  }
+
+  /**
+   * Fail an execution whose process died (see ExecutionRecoveryService)
+   */
+  async failOrphanedExecution(executionId, error) {
+    return this.completeExecution(executionId, "failed", null, error);
+  }
+
+  /**
+   * Hand an orphaned execution back to a worker, or continue it here
+   */
+  async recoverExecution(execution) {
+    if (this.jobQueue) {
+      await this.jobQueue.enqueue(execution);
+      return;
+    }
+
+    this.continueExecution(execution.executionId).catch(error => {
+      workflowLogger.error("Failed to recover execution", { executionId: execution.executionId, error: error.message });
+      return this.completeExecution(execution.executionId, "failed", null, error);
+    });
+  }
+
+  /**
+   * Stamp heartbeatAt on this instance's running executions so the recovery
+   * sweep can tell them apart from executions orphaned by a dead process
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      const executionIds = [...this.activeExecutions.keys()];
+
+      if (!executionIds.length) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        return;
+      }
+
+      WorkflowExecution.updateMany(
+        { executionId: { $in: executionIds }, status: 'running' },
+        { $set: { heartbeatAt: new Date() } }
+      ).catch(error => workflowLogger.error("Failed to record execution heartbeat", { error: error.message }));
+    }, HEARTBEAT_INTERVAL);
+
+    this.heartbeatTimer.unref?.();
+  }
+
+  /**
+   * Start queued executions for the slots a finished or paused run freed up
+   */
+  dispatchQueue(workflow) {
+    if (!workflow) return;
+
+    this.executionQueue
+      .dispatch(workflow, execution => this.launchExecution(execution, workflow, execution.initialInput || {})
+        .catch(error => this.completeExecution(execution.executionId, "failed", null, error)))
+      .catch(error => workflowLogger.error("Failed to dispatch execution queue", {
+        workflowId: String(workflow._id),
+        error: error.message
+      }));
+  }
+
+  /**
+   * Queue position for a `queued` execution, null otherwise
+   */
+  async getQueuePosition(execution) {
+    return this.executionQueue.getQueuePosition(execution);
+  }
+
+  /**
+   * Complete the execution record once a background graph run settles
+   */
+  trackRun(executionId, runPromise) {
+    this.startHeartbeat();
+
+    return runPromise
+      .then(result => {
+        // Check if workflow is paused for HITL
+        if (result?.status === 'waiting_human_review') {
+          workflowLogger.log("Workflow paused for human review", {
+            executionId,
+            pausedNodeId: result.pausedNodeId
+          });
+          // Don't call completeExecution - execution is still in progress,
+          // but a paused run no longer holds a concurrency slot
+          this.dispatchQueue(this.getExecutionWorkflow(executionId));
+          return;
+        }
+        // Workflow completed normally
+        return this.completeExecution(executionId, "completed", result);
+      })
+      .catch(error => {
+        workflowLogger.error("Workflow execution failed", {
+          executionId,
+          error: error.message,
+          code: error.code
+        });
+        return this.completeExecution(executionId, this.failureStatus(error), null, error);
+      });
+  }
+
+  /**
+   * Time travel: fork an execution from the checkpoint taken just before
+   * `nodeId` ran, optionally patching its context, outputs or nodeResults,
+   * and run the fork as a new execution. Later steps of the original are
+   * re-run; earlier ones are not. The fork is admitted like any new run:
+   * budget check, concurrency queue, then the job queue if there is one.
+   */
+  async replayExecution(executionId, { nodeId, statePatch = null, userId = null } = {}) {
+    const original = await WorkflowExecution.findOne({ executionId });
+    if (!original) {
+      throw new Error(`Execution ${executionId} not found`);
+    }
+
+    const patchedKeys = Object.keys(statePatch || {});
+    const invalidKeys = patchedKeys.filter(key => !REPLAY_PATCH_KEYS.includes(key)
+      || !statePatch[key] || typeof statePatch[key] !== 'object' || Array.isArray(statePatch[key]));
+    if (invalidKeys.length > 0) {
+      throw new Error(`statePatch can only hold ${REPLAY_PATCH_KEYS.join(', ')} objects (got ${invalidKeys.join(', ')})`);
+    }
+
+    const workflow = await require('../models').Workflow.findById(original.workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow ${original.workflowId} not found`);
+    }
+    if (!workflow.nodes.some(node => node.id === nodeId)) {
+      throw new Error(`Node ${nodeId} does not exist in workflow ${workflow._id}`);
+    }
+
+    const dryRun = original.mode === simulation.DRY_RUN;
+    if (!dryRun) {
+      await this.budgetService.assertWithinBudget(workflow);
+    }
+
+    const sourceApp = (await this.buildStateGraph(workflow, executionId))
+      .compile({ checkpointer: this.checkpointer });
+
+    // History is newest first, so this finds the node's most recent run
+    let forkPoint = null;
+    for await (const snapshot of sourceApp.getStateHistory({ configurable: { thread_id: `thread_${executionId}` } })) {
+      if (snapshot.next.includes(nodeId)) {
+        forkPoint = snapshot;
+        break;
+      }
+    }
+    if (!forkPoint) {
+      // Also the case once a finished execution's checkpoints have expired (see retireCheckpoints)
+      throw new Error(`No checkpoint found before node ${nodeId} in execution ${executionId}`);
+    }
+
+    const forkId = this.generateExecutionId();
+    const threadId = `thread_${forkId}`;
+    const tuple = await this.checkpointer.getTuple(forkPoint.config);
+    const checkpoint = {
+      ...tuple.checkpoint,
+      channel_values: {
+        ...this.deepMerge(tuple.checkpoint.channel_values, statePatch || {}),
+        executionId: forkId
+      }
+    };
+
+    // Copy the checkpoint (without its pending writes) so the fork starts at nodeId
+    await this.checkpointer.put(
+      { configurable: { thread_id: threadId, checkpoint_ns: "" } },
+      checkpoint,
+      { ...tuple.metadata, source: "fork" },
+      {}
+    );
+
+    const fork = new WorkflowExecution({
+      executionId: forkId,
+      workflowId: original.workflowId,
+      workflowVersion: original.workflowVersion,
+      engine: "langgraph",
+      triggeredBy: {
+        type: "user",
+        userId: userId || original.triggeredBy?.userId || null,
+        source: "langgraph-replay",
+        metadata: { originalExecutionId: executionId }
+      },
+      status: "running",
+      heartbeatAt: new Date(),
+      priority: original.priority,
+      initialInput: original.initialInput,
+      noamAccountId: original.noamAccountId,
+      mode: original.mode,
+      simulation: original.simulation,
+      bypassCache: original.bypassCache,
+      forkedFrom: {
+        executionId,
+        nodeId,
+        checkpointId: tuple.config.configurable.checkpoint_id,
+        statePatch
+      }
+    });
+
+    workflowLogger.log("Forking execution for replay", {
+      executionId,
+      forkId,
+      nodeId,
+      checkpointId: tuple.config.configurable.checkpoint_id,
+      patchedKeys
+    });
+
+    // Saved as queued when the workflow is at capacity; dry runs bypass the limit
+    if (dryRun) {
+      await fork.save();
+    }
+    const admitted = dryRun || await this.executionQueue.admit(workflow, fork);
+
+    if (!admitted) {
+      const queue = await this.executionQueue.getQueuePosition(fork);
+      workflowLogger.log("Replay execution queued", { executionId: forkId, ...queue });
+      this.emitExecutionEvent(forkId, "execution_queued", { workflowId: workflow._id.toString(), queue });
+      return fork;
+    }
+
+    await this.launchExecution(fork, workflow, null);
+
+    return fork;
+  }
+
   /**
    * Build LangGraph StateGraph from workflow definition
    */
@@ -109,27 +478,30 @@ class LangGraphWorkflowService {
     // Define state schema using Annotation
     const StateAnnotation = Annotation.Root({
       // Input/output data
-      context: Annotation(),
-      inputs: Annotation(),
-      outputs: Annotation(),
+      context: channel(mergeObjects, {}),
+      inputs: channel(lastValue, {}),
+      outputs: channel(mergeObjects, {}),
       
       // Execution metadata
-      executionId: Annotation(),
-      workflowId: Annotation(),
-      currentNode: Annotation(),
-      previousNode: Annotation(),
+      executionId: channel(lastValue, null),
+      workflowId: channel(lastValue, null),
+      currentNode: channel(lastValue, null),
+      previousNode: channel(lastValue, null),
       
-      // Node results
-      nodeResults: Annotation(),
-      completedNodes: Annotation(),
+      // Node results - keyed by node id, so concurrent branches merge cleanly
+      nodeResults: channel(mergeObjects, {}),
+      completedNodes: channel(mergeCompletedNodes, []),
       
       // Error handling
-      error: Annotation(),
+      error: channel(lastValue, null),
       
       // HITL state
-      waitingForApproval: Annotation(),
-      pausedNodeId: Annotation(),
-      approvalDecision: Annotation()
+      waitingForApproval: channel(lastValue, false),
+      pausedNodeId: channel(lastValue, null),
+      approvalDecision: channel(lastValue, null),
+
+      // Loop node iteration state, keyed by loop node id
+      loopState: channel(mergeObjects, {})
     });
 
     const graph = new StateGraph(StateAnnotation);
@@ -141,10 +513,9 @@ class LangGraphWorkflowService {
         graph.addNode(node.id, async (state) => {
           workflowLogger.log("Executing start node", { executionId, nodeId: node.id });
           return {
-            ...state,
             currentNode: node.id,
             previousNode: null,
-            completedNodes: [...(state.completedNodes || []), node.id]
+            completedNodes: [node.id]
           };
         });
       } else if (node.type === 'end') {
@@ -179,11 +550,10 @@ class LangGraphWorkflowService {
           });
           
           return {
-            ...state,
             currentNode: node.id,
             previousNode: state.currentNode,
             outputs: finalOutput,
-            completedNodes: [...(state.completedNodes || []), node.id]
+            completedNodes: [node.id]
           };
         });
       } else {
@@ -196,19 +566,29 @@ class LangGraphWorkflowService {
 
     // Add edges from workflow definition
     const edgeMap = this.buildEdgeMap(workflow.edges);
+    const joinEdges = this.buildJoinEdges(workflow);
+
+    // Join nodes wait for every upstream branch before running
+    for (const [joinId, sources] of joinEdges) {
+      graph.addEdge(sources, joinId);
+    }
     
     for (const node of workflow.nodes) {
-      const edges = edgeMap.get(node.id) || [];
+      // Edges into a join are handled by its barrier edge above
+      const edges = (edgeMap.get(node.id) || []).filter(edge => !this.isJoinEdge(edge, joinEdges));
+      const hasJoinEdge = (edgeMap.get(node.id) || []).length > edges.length;
       
       if (edges.length === 0) {
         // No outgoing edges - end the graph
-        graph.addEdge(node.id, END);
+        if (!hasJoinEdge) {
+          graph.addEdge(node.id, END);
+        }
       } else {
         // ALL edges should be conditional to check for waitingForApproval flag
         // This ensures HITL nodes can pause execution
         graph.addConditionalEdges(
           node.id,
-          (state) => this.routeFromNode(node.id, edges, state),
+          (state) => this.routeFromNode(node.id, edges, state, hasJoinEdge),
           this.buildRoutingMap(edges)
         );
       }
@@ -245,32 +625,26 @@ class LangGraphWorkflowService {
       completedNodes: state.completedNodes || []
     });
 
-    // Skip nodes that have already been completed (for resume scenarios)
-    if (state.completedNodes && state.completedNodes.includes(node.id)) {
-      workflowLogger.log("Skipping already completed node", {
-        executionId,
-        nodeId: node.id
-      });
-      
-      // Return existing state without re-execution
-      return {
-        ...state,
-        currentNode: node.id,
-        previousNode: state.currentNode
-      };
-    }
+    this.emitExecutionEvent(executionId, "node_started", { nodeId: node.id, nodeType: node.type });
 
     try {
-      // Build context for node execution
-      const nodeContext = {
-        ...state.context,
-        ...state.inputs,
-        executionId,
-        previousNodeId: state.previousNode,
-        previousOutput: state.previousNode ? state.nodeResults[state.previousNode] : null,
-        // Make all previous node results available
-        ...state.nodeResults
-      };
+      // A node with an inputMapping sees only its mapped inputs; others get the whole run state.
+      // Subworkflow nodes use inputMapping for their child's inputs instead.
+      const { inputMapping } = this.getNodeConfig(node);
+      const isMapped = Boolean(inputMapping) && node.type !== 'subworkflow';
+      const nodeContext = isMapped
+        ? { ...this.resolveMapping(inputMapping, this.getMappingSources(state)), executionId }
+        : {
+          ...state.context,
+          ...state.inputs,
+          executionId,
+          previousNodeId: state.previousNode,
+          previousOutput: state.previousNode ? state.nodeResults[state.previousNode] : null,
+          // Make all previous node results available
+          ...state.nodeResults
+        };
+      // Mapped inputs stay private to the node rather than merging into the shared context
+      const contextUpdate = isMapped ? {} : nodeContext;
       
       workflowLogger.log("Node context built", {
         executionId,
@@ -281,55 +655,44 @@ class LangGraphWorkflowService {
         stateContext: state.context
       });
 
-      // Execute node based on type
-      let result;
-      switch (node.type) {
-        case 'agent':
-          result = await this.executeAgentNode(node, nodeContext);
-          break;
-        case 'llm':
-          result = await this.executeLLMNode(node, nodeContext);
-          break;
-        case 'tool':
-          result = await this.executeToolNode(node, nodeContext);
-          break;
-        case 'humanReview':
-        case 'agent_with_hitl':
-          // Use LangGraph's interrupt() for HITL
-          result = await this.executeHumanReviewNode(node, nodeContext, executionId);
-          break;
-        default:
-          throw new Error(`Unsupported node type: ${node.type}`);
+      // {{secrets.NAME}} references are decrypted for this call only, never kept in state.
+      // Dry runs make no outside calls, so they leave secrets encrypted.
+      const runtimeNode = this.getSimulation(executionId) ? node : await this.resolveNodeSecrets(node, executionId);
+
+      // Execute node based on type, retrying transient failures per the node's policy.
+      // What it returns goes into state (and checkpoints), so secret values are redacted first.
+      let result = secretRedactor.redact(await this.executeWithRetry(node, executionId, (signal) =>
+        this.executeNodeByType(runtimeNode, nodeContext, state, executionId, signal)
+      ));
+
+      // Loop nodes carry their iteration state forward
+      let loopUpdates = {};
+      if (result.loopState) {
+        const { loopState, ...loopResult } = result;
+        loopUpdates = { loopState: { [node.id]: loopState } };
+        result = loopResult;
       }
 
       // Check if this node requires human review (HITL) BEFORE logging
       if (result.requiresHumanReview) {
+        const pauseReason = result.pauseReason || 'human_approval_required';
         workflowLogger.log("Node requires human review - pausing execution", {
           executionId,
-          nodeId: node.id
+          nodeId: node.id,
+          reason: pauseReason
         });
         
         // Log step with 'waiting_human_review' status for HITL nodes
         await this.logStep(executionId, node, result, startTime, 'waiting_human_review');
         
-        // Build the paused state with all current information
-        const pausedState = {
-          ...state,
+        // Graph state itself is persisted by the checkpointer
+        const pausedUpdate = {
           currentNode: node.id,
           previousNode: state.currentNode,
-          context: {
-            ...state.context,
-            ...nodeContext
-          },
-          nodeResults: {
-            ...state.nodeResults,
-            [node.id]: result
-          },
-          outputs: {
-            ...state.outputs,
-            [node.id]: result.output
-          },
-          completedNodes: [...(state.completedNodes || []), node.id],
+          context: contextUpdate,
+          nodeResults: { [node.id]: result },
+          outputs: { [node.id]: result.output },
+          completedNodes: [node.id],
           waitingForApproval: true, // Signal that execution should pause
           pausedNodeId: node.id
         };
@@ -339,10 +702,9 @@ class LangGraphWorkflowService {
           const update = {
             $set: {
               'pauseState.nodeId': node.id,
-              'pauseState.reason': 'human_approval_required',
+              'pauseState.reason': pauseReason,
               'pauseState.reviewData': result.output?.reviewData || null,
-              'pauseState.context': pausedState.context || {},
-              'pauseState.state': pausedState,
+              'pauseState.context': nodeContext,
               status: 'waiting_human_review',
               pausedAt: new Date()
             }
@@ -368,162 +730,625 @@ class LangGraphWorkflowService {
           });
         }
         
+        this.emitExecutionEvent(executionId, "execution_paused", {
+          nodeId: node.id,
+          reason: pauseReason,
+          reviewData: result.output?.reviewData || null
+        });
+
         workflowLogger.log("Returning paused state from executeNodeInGraph", {
           executionId,
           nodeId: node.id,
-          waitingForApproval: pausedState.waitingForApproval,
-          pausedNodeId: pausedState.pausedNodeId
+          waitingForApproval: pausedUpdate.waitingForApproval,
+          pausedNodeId: pausedUpdate.pausedNodeId
         });
         
-        return pausedState;
+        return pausedUpdate;
+      }
+
+      try {
+        this.assertNodeOutput(node, result);
+      } catch (error) {
+        throw tokenUsage.attachUsage(error, result.usage);
       }
 
       // Normal execution - log step as completed
       await this.logStep(executionId, node, result, startTime);
 
+      this.emitExecutionEvent(executionId, "node_completed", {
+        nodeId: node.id,
+        nodeType: node.type,
+        output: result.output,
+        durationMs: Date.now() - startTime
+      });
+
       // Update state with results (normal execution)
       return {
-        ...state,
         currentNode: node.id,
         previousNode: state.currentNode,
-        context: {
-          ...state.context,
-          ...nodeContext
-        },
-        nodeResults: {
-          ...state.nodeResults,
-          [node.id]: result
-        },
-        outputs: {
-          ...state.outputs,
-          [node.id]: result.output
-        },
-        completedNodes: [...(state.completedNodes || []), node.id],
-        waitingForApproval: false
+        context: contextUpdate,
+        nodeResults: { [node.id]: result },
+        outputs: { [node.id]: result.output },
+        completedNodes: [node.id],
+        ...loopUpdates
       };
 
-    } catch (error) {
+    } catch (caught) {
+      // The failure is kept in state and checkpoints too
+      const error = secretRedactor.redact(caught);
+      const attempts = caught.attempts || 1;
+      const workflow = this.getExecutionWorkflow(executionId);
+      // A spent budget stops the run; error edges cannot route around it
+      const hasErrorEdge = error.code !== 'BUDGET_EXCEEDED' &&
+        (workflow?.edges || []).some(edge => edge.source === node.id && this.isErrorEdge(edge));
+
       workflowLogger.error("Node execution failed", {
         executionId,
         nodeId: node.id,
-        error: error.message
+        error: error.message,
+        attempts,
+        hasErrorEdge
       });
 
       // Log failed step
-      await this.logStep(executionId, node, { error: error.message }, startTime, 'failed');
+      await this.logStep(executionId, node, {
+        error: { message: error.message, code: error.code, retryAttempt: attempts - 1 },
+        usage: caught.usage
+      }, startTime, 'failed');
 
-      return {
-        ...state,
+      this.emitExecutionEvent(executionId, "node_failed", {
+        nodeId: node.id,
+        nodeType: node.type,
         error: error.message,
-        nodeResults: {
-          ...state.nodeResults,
-          [node.id]: { error: error.message }
-        }
+        attempts,
+        handled: hasErrorEdge
+      });
+
+      // With an error edge the failure is handled by that branch; otherwise it fails the run
+      return {
+        ...(hasErrorEdge ? {} : { error: { message: error.message, code: error.code, nodeId: node.id } }),
+        currentNode: node.id,
+        previousNode: state.currentNode,
+        nodeResults: { [node.id]: { failed: true, error: error.message, code: error.code, attempts } },
+        completedNodes: [node.id]
       };
     }
   }
 
   /**
-   * Route from a node based on edge conditions
+   * Dispatch a node to its type-specific executor
    */
-  routeFromNode(nodeId, edges, state) {
-    workflowLogger.log("Routing from node", {
-      executionId: state.executionId,
-      nodeId,
-      edgeCount: edges.length,
-      waitingForApproval: state.waitingForApproval
-    });
+  async executeNodeByType(node, nodeContext, state, executionId, signal) {
+    const dryRun = this.getSimulation(executionId);
+    if (dryRun) {
+      const standIn = this.simulateNode(node, nodeContext, dryRun.fixtures);
+      if (standIn) {
+        return standIn;
+      }
+    }
 
-    // Check if workflow is paused for human review
-    if (state.waitingForApproval) {
-      workflowLogger.log("Workflow waiting for approval - ending graph execution", {
-        executionId: state.executionId,
-        pausedNodeId: state.pausedNodeId
-      });
-      return END;
+    let result;
+    switch (node.type) {
+      case 'agent':
+        result = await this.executeAgentNode(node, nodeContext, signal);
+        break;
+      case 'llm':
+        result = await this.executeLLMNode(node, nodeContext, signal);
+        break;
+      case 'tool':
+        result = await this.executeToolNode(node, nodeContext);
+        break;
+      case 'humanReview':
+      case 'agent_with_hitl':
+        // Use LangGraph's interrupt() for HITL
+        result = await this.executeHumanReviewNode(node, nodeContext, executionId);
+        break;
+      case 'condition':
+        result = await this.executeConditionNode(node, nodeContext);
+        break;
+      case 'delay':
+        result = await this.executeDelayNode(node, nodeContext, signal);
+        break;
+      case 'loop':
+        result = await this.executeLoopNode(node, nodeContext, state);
+        break;
+      case 'parallel':
+        result = await this.executeParallelNode(node, nodeContext);
+        break;
+      case 'merge':
+        result = await this.executeMergeNode(node, nodeContext, state);
+        break;
+      case 'webhook':
+        result = await this.executeWebhookNode(node, nodeContext, signal);
+        break;
+      case 'subworkflow':
+        result = await this.executeSubworkflowNode(node, nodeContext, state, executionId, signal);
+        break;
+      default:
+        throw new Error(`Unsupported node type: ${node.type}`);
     }
 
-    const nodeResult = state.nodeResults[nodeId];
+    return result;
+  }
 
-    for (const edge of edges) {
-      if (this.shouldFollowEdge(edge, nodeResult, state)) {
-        workflowLogger.log("Following edge", {
-          executionId: state.executionId,
-          from: nodeId,
-          to: edge.target,
-          condition: edge.condition
+  /**
+   * Dry-run stand-in for a node that would reach outside the engine, or null
+   * when the node runs as usual (LLM and agent nodes then use a fake model).
+   * A node fixture always wins; tools run only when they are offline, and
+   * human review is auto-decided instead of creating a task.
+   */
+  simulateNode(node, context, fixtures) {
+    const fixture = simulation.nodeFixture(fixtures, node.id);
+    const standIn = (output, kind, extra = {}) => ({
+      success: true,
+      output,
+      ...extra,
+      metadata: { nodeType: node.type, simulated: kind }
+    });
+
+    switch (node.type) {
+      case 'humanReview':
+      case 'agent_with_hitl': {
+        const decision = fixture?.output?.decision || 'approve';
+        return standIn({ status: 'simulated_review', ...(fixture?.output || {}), decision }, 'auto_review', {
+          decision,
+          approved: decision !== 'reject'
         });
-        return edge.target;
       }
+      case 'delay':
+        return standIn(fixture ? fixture.output : {
+          delayMs: this.resolveDelayMs(this.getNodeConfig(node), context),
+          skipped: true
+        }, fixture ? 'fixture' : 'skipped');
+      case 'tool': {
+        if (fixture) return standIn(fixture.output, 'fixture');
+
+        const config = node.config || {};
+        const toolName = config.toolName || config.tool;
+        const response = simulation.toolFixture(fixtures, toolName);
+        if (response) {
+          return standIn(response.output, 'fixture', { toolName });
+        }
+        if (simulation.isOfflineTool(toolName)) {
+          return null;
+        }
+        return standIn({
+          blocked: true,
+          toolName,
+          parameters: this.resolveToolParameters(config, context),
+          message: `Tool ${toolName} is not called in dry-run mode; declare a fixture to simulate its response`
+        }, 'blocked', { toolName });
+      }
+      case 'webhook': {
+        if (fixture) return standIn(fixture.output, 'fixture');
+
+        const config = this.getNodeConfig(node);
+        return standIn({
+          blocked: true,
+          request: { method: (config.method || 'POST').toUpperCase(), url: this.processTemplate(config.url || '', context) },
+          message: 'Outbound requests are not sent in dry-run mode'
+        }, 'blocked');
+      }
+      case 'agent':
+      case 'llm':
+      case 'subworkflow':
+        return fixture ? standIn(fixture.output, 'fixture') : null;
+      default:
+        return null;
     }
+  }
 
-    // No matching edge - end workflow
-    workflowLogger.log("No matching edge found - ending workflow", {
-      executionId: state.executionId,
-      nodeId
-    });
-    return END;
+  /**
+   * Run a node executor, retrying failures with backoff.
+   * Each attempt gets an AbortSignal that fires on the node's `timeoutMs`
+   * or when the execution's time budget runs out.
+   * Errors carry the number of attempts made in `error.attempts`.
+   */
+  async executeWithRetry(node, executionId, execute) {
+    const policy = this.resolveRetryPolicy(node, this.getExecutionWorkflow(executionId));
+    const executionSignal = this.activeExecutions.get(executionId)?.abortController?.signal;
+    const timeoutMs = Number(this.getNodeConfig(node).timeoutMs) || 0;
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptStart = Date.now();
+      const controller = new AbortController();
+      const timer = timeoutMs
+        ? setTimeout(() => controller.abort(
+            this.createTimeoutError(`Node ${node.id} timed out after ${timeoutMs}ms`, 'NODE_TIMEOUT')
+          ), timeoutMs)
+        : null;
+      const signal = executionSignal ? AbortSignal.any([controller.signal, executionSignal]) : controller.signal;
+
+      try {
+        // Executors that cannot cancel their work are still abandoned on abort
+        return await this.raceWithSignal(execute(signal), signal);
+      } catch (caught) {
+        const error = signal.aborted && signal.reason ? signal.reason : caught;
+        error.attempts = attempt;
+
+        // Only transient failures are retried, never once the execution itself is out of time or money
+        if (attempt > policy.maxRetries || executionSignal?.aborted || !this.isTransientError(error)) {
+          throw error;
+        }
+
+        // Each retried attempt is a failed step, so what it spent counts (and against budgets)
+        await this.logStep(executionId, node, {
+          error: { message: error.message, code: error.code, retryAttempt: attempt - 1 },
+          usage: error.usage
+        }, attemptStart, 'failed');
+
+        const delayMs = this.computeRetryDelay(policy, attempt);
+
+        workflowLogger.warn("Node failed - retrying", {
+          executionId,
+          nodeId: node.id,
+          attempt,
+          maxRetries: policy.maxRetries,
+          delayMs,
+          error: error.message
+        });
+        this.emitExecutionEvent(executionId, "node_retry", { nodeId: node.id, attempt, delayMs, error: error.message });
+
+        await this.sleep(delayMs, executionSignal);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
   }
 
   /**
-   * Build routing map for conditional edges
+   * Failures a later attempt may not have: rate limits, server errors, dropped
+   * connections and timeouts. Missing config, schema violations and the like
+   * would fail the same way again.
    */
-  buildRoutingMap(edges) {
-    const map = {};
-    edges.forEach(edge => {
-      map[edge.target] = edge.target;
-    });
-    map[END] = END;
-    return map;
+  isTransientError(error) {
+    // An attempt that ran out of the node's own time may finish on the next one
+    return error?.code === 'NODE_TIMEOUT' || this.modelRegistry.isRetryable(error);
   }
 
   /**
-   * Check if an edge should be followed
+   * Reject as soon as the signal aborts, even if the promise never settles
    */
-  shouldFollowEdge(edge, nodeResult, state) {
-    // No condition - always follow
-    if (!edge.condition) {
-      return true;
+  raceWithSignal(promise, signal) {
+    if (signal.aborted) {
+      return Promise.reject(signal.reason);
     }
 
-    const condition = typeof edge.condition === 'string' 
-      ? edge.condition 
-      : edge.condition.expression || edge.condition.type;
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
 
-    // Check against output
-    if (nodeResult?.output === condition) {
-      return true;
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  sleep(ms, signal) {
+    const wait = new Promise(resolve => setTimeout(resolve, ms));
+    return signal ? this.raceWithSignal(wait, signal) : wait;
+  }
+
+  createTimeoutError(message, code) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Wall-clock budget for a run of the graph (start, resume or replay).
+   * `config.timeout` (ms) wins over a template's `configuration.timeoutMinutes`;
+   * 0 disables the budget. Time spent paused for human review is not counted.
+   */
+  resolveExecutionTimeout(workflow) {
+    if (workflow?.config?.timeout !== undefined && workflow?.config?.timeout !== null) {
+      return Number(workflow.config.timeout) || 0;
+    }
+    if (workflow?.configuration?.timeoutMinutes) {
+      return workflow.configuration.timeoutMinutes * 60000;
     }
+    return DEFAULT_EXECUTION_TIMEOUT;
+  }
 
-    // Check against decision/selectedAction (for HITL nodes)
-    if (nodeResult?.decision === condition || nodeResult?.selectedAction === condition) {
-      return true;
+  /**
+   * Arm the execution's time budget; returns the signal aborted when it runs out
+   */
+  startExecutionTimer(executionId) {
+    const activeExecution = this.activeExecutions.get(executionId);
+    const timeoutMs = this.resolveExecutionTimeout(activeExecution.workflow);
+    const controller = new AbortController();
+
+    activeExecution.abortController = controller;
+    if (timeoutMs) {
+      activeExecution.timeoutTimer = setTimeout(() => {
+        workflowLogger.warn("Execution time budget exhausted - aborting", { executionId, timeoutMs });
+        controller.abort(this.createTimeoutError(`Execution exceeded its ${timeoutMs}ms time budget`, 'EXECUTION_TIMEOUT'));
+      }, timeoutMs);
     }
 
-    // Check approval decision from state
-    if (state.approvalDecision === condition) {
-      return true;
+    return controller.signal;
+  }
+
+  clearExecutionTimer(executionId) {
+    const activeExecution = this.activeExecutions.get(executionId);
+    if (activeExecution?.timeoutTimer) {
+      clearTimeout(activeExecution.timeoutTimer);
+      activeExecution.timeoutTimer = null;
     }
+  }
 
-    // Evaluate complex conditions
-    try {
-      const conditionStr = condition.toString();
-      if (conditionStr.includes('{{') || conditionStr.includes('===') || conditionStr.includes('==')) {
-        return this.langChainService.evaluateCondition(condition, {
+  /**
+   * Executions that ran out of time end as `timeout` and those stopped by a
+   * spending cap as `budget_exceeded`, rather than `failed`
+   */
+  failureStatus(error) {
+    if (error?.code === 'CANCELLED') return 'cancelled';
+    if (error?.code === 'BUDGET_EXCEEDED') return 'budget_exceeded';
+    return TIMEOUT_CODES.includes(error?.code) ? 'timeout' : 'failed';
+  }
+
+  /**
+   * Convert a failed graph state or an aborted run into the error to report
+   */
+  toRunError(finalStateError, signal) {
+    if (signal?.aborted && signal.reason) {
+      return signal.reason;
+    }
+    const error = new Error(finalStateError.message || String(finalStateError));
+    error.code = finalStateError.code;
+    error.nodeId = finalStateError.nodeId;
+    return error;
+  }
+
+  /**
+   * Node `config.retryPolicy` overrides the workflow's `config.retryPolicy`.
+   * Either may be a strategy name ("none" | "linear" | "exponential", as on
+   * WorkflowTemplate.configuration) or an object:
+   * { maxRetries, retryDelay, strategy, maxDelay, jitter }
+   */
+  resolveRetryPolicy(node, workflow) {
+    const normalize = (policy) => (typeof policy === 'string' ? { strategy: policy } : policy || {});
+    const nodeConfig = this.getNodeConfig(node);
+
+    // Side-effecting (webhook, tool) and control nodes are not retried unless they opt in
+    if (!RETRYABLE_NODE_TYPES.includes(node.type) && !nodeConfig.retryPolicy) {
+      return { ...DEFAULT_RETRY_POLICY, maxRetries: 0 };
+    }
+    // A model node that sets `retries` has its client retry the call; the engine does not add its own on top
+    const modelRetries = nodeConfig.llm?.retries ?? nodeConfig.parameters?.retries ?? nodeConfig.retries;
+    if (modelRetries !== undefined && !nodeConfig.retryPolicy) {
+      return { ...DEFAULT_RETRY_POLICY, maxRetries: 0 };
+    }
+
+    const policy = {
+      ...DEFAULT_RETRY_POLICY,
+      ...normalize(workflow?.config?.retryPolicy || workflow?.configuration?.retryPolicy),
+      ...normalize(nodeConfig.retryPolicy)
+    };
+
+    if (policy.strategy === 'none') {
+      policy.maxRetries = 0;
+    }
+    return policy;
+  }
+
+  computeRetryDelay(policy, attempt) {
+    const base = policy.strategy === 'linear'
+      ? policy.retryDelay * attempt
+      : policy.retryDelay * Math.pow(2, attempt - 1);
+    const delay = Math.min(base, policy.maxDelay);
+
+    // Equal jitter: keep half the delay, randomize the other half
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+  }
+
+  /**
+   * Route from a node based on edge conditions
+   */
+  routeFromNode(nodeId, edges, state, hasJoinEdge = false) {
+    workflowLogger.log("Routing from node", {
+      executionId: state.executionId,
+      nodeId,
+      edgeCount: edges.length,
+      waitingForApproval: state.waitingForApproval
+    });
+
+    // The paused node's branch stops here; resumeWorkflow continues it from the checkpoint
+    if (state.waitingForApproval && state.pausedNodeId === nodeId) {
+      workflowLogger.log("Workflow waiting for approval - ending graph execution", {
+        executionId: state.executionId,
+        pausedNodeId: state.pausedNodeId
+      });
+      return END;
+    }
+
+    const nodeResult = state.nodeResults[nodeId];
+
+    // Failed nodes continue only along error edges; error edges are skipped otherwise
+    const failed = Boolean(nodeResult?.failed);
+    const candidates = edges.filter(edge => this.isErrorEdge(edge) === failed);
+
+    // Every matching edge is followed; multiple targets run as parallel branches
+    const targets = [...new Set(
+      candidates
+        .filter(edge => failed || this.shouldFollowEdge(edge, nodeResult, state))
+        .map(edge => edge.target)
+    )];
+
+    if (targets.length > 0) {
+      workflowLogger.log("Following edges", {
+        executionId: state.executionId,
+        from: nodeId,
+        to: targets,
+        parallel: targets.length > 1
+      });
+      return targets;
+    }
+
+    // Branch continues through a join barrier edge only
+    if (hasJoinEdge) {
+      return [];
+    }
+
+    // No matching edge - end this branch
+    workflowLogger.log("No matching edge found - ending workflow", {
+      executionId: state.executionId,
+      nodeId
+    });
+    return END;
+  }
+
+  /**
+   * Merge nodes act as joins for the upstream branches that always run
+   * together: the unconditional sources that one fork node is guaranteed to
+   * reach. Those wait for each other at a barrier; any other source (one side
+   * of an if/else, an error handler) runs the merge on its own.
+   * Returns Map of join node id -> barrier source ids.
+   */
+  buildJoinEdges(workflow) {
+    const joins = new Map();
+
+    for (const node of workflow.nodes) {
+      if (node.type !== 'merge') continue;
+
+      const sources = [...new Set(
+        workflow.edges
+          .filter(edge => edge.target === node.id && this.isPlainEdge(edge))
+          .map(edge => edge.source)
+      )];
+      if (sources.length < 2) continue;
+
+      // The largest group of sources some fork node always runs together
+      let together = [];
+      for (const fork of workflow.nodes) {
+        const reached = this.findGuaranteedNodes(workflow, fork.id);
+        const group = sources.filter(id => reached.has(id) && !this.hasErrorEdge(workflow, id));
+        if (group.length > together.length) {
+          together = group;
+        }
+      }
+
+      if (together.length > 1) {
+        joins.set(node.id, together);
+      }
+    }
+
+    return joins;
+  }
+
+  /**
+   * Nodes that always run once `forkId` has: reached along unconditional
+   * edges, through nodes with no error edge to leave by
+   */
+  findGuaranteedNodes(workflow, forkId) {
+    const reached = new Set();
+    const queue = [forkId];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      if (nodeId !== forkId && this.hasErrorEdge(workflow, nodeId)) continue;
+
+      for (const edge of workflow.edges) {
+        if (edge.source === nodeId && this.isPlainEdge(edge) && edge.target !== forkId && !reached.has(edge.target)) {
+          reached.add(edge.target);
+          queue.push(edge.target);
+        }
+      }
+    }
+
+    return reached;
+  }
+
+  isPlainEdge(edge) {
+    return !edge.condition && !edge.sourceHandle && !this.isErrorEdge(edge);
+  }
+
+  hasErrorEdge(workflow, nodeId) {
+    return workflow.edges.some(edge => edge.source === nodeId && this.isErrorEdge(edge));
+  }
+
+  isJoinEdge(edge, joinEdges) {
+    return joinEdges.has(edge.target) && joinEdges.get(edge.target).includes(edge.source) && this.isPlainEdge(edge);
+  }
+
+  isErrorEdge(edge) {
+    return edge.type === 'error' || edge.conditionType === 'error' || edge.condition === 'error';
+  }
+
+  /**
+   * Build routing map for conditional edges
+   */
+  buildRoutingMap(edges) {
+    const map = {};
+    edges.forEach(edge => {
+      map[edge.target] = edge.target;
+    });
+    map[END] = END;
+    return map;
+  }
+
+  /**
+   * Check if an edge should be followed
+   */
+  shouldFollowEdge(edge, nodeResult, state) {
+    // Branching nodes (condition, loop) report the branch they selected
+    const branch = nodeResult?.branch !== undefined ? String(nodeResult.branch) : null;
+
+    // No condition - always follow (unless the edge leaves a specific branch handle)
+    if (!edge.condition) {
+      return branch === null || !edge.sourceHandle || edge.sourceHandle === branch;
+    }
+
+    // Expression strings, {expression} and {field, operator, value} conditions
+    const isExpression = typeof edge.condition === 'object'
+      ? Boolean(edge.condition.field || edge.condition.expression)
+      : !/^[\w-]+$/.test(String(edge.condition).trim());
+    if (isExpression) {
+      try {
+        return expressionEvaluator.evaluateCondition(edge.condition, {
           ...state.context,
+          ...state.nodeResults,
           ...nodeResult,
           output: nodeResult?.output
         });
+      } catch (error) {
+        workflowLogger.error("Failed to evaluate condition", { condition: edge.condition, error: error.message });
+        return false;
       }
-    } catch (error) {
-      workflowLogger.error("Failed to evaluate condition", { condition, error: error.message });
+    }
+
+    // Anything else is a label: a branch, output, decision or action name
+    const condition = typeof edge.condition === 'string' ? edge.condition : edge.condition.type;
+    if (condition === undefined) {
+      return false;
+    }
+
+    // Match branch names, including the "true_path"/"false_path" convention
+    if (branch !== null && (condition === branch || condition === `${branch}_path`)) {
+      return true;
+    }
+
+    // Check against output
+    if (nodeResult?.output === condition) {
+      return true;
+    }
+
+    // Check against decision/selectedAction (for HITL nodes)
+    if (nodeResult?.decision === condition || nodeResult?.selectedAction === condition) {
+      return true;
+    }
+
+    // Check approval decision from state
+    if (state.approvalDecision === condition) {
+      return true;
     }
 
     return false;
   }
 
   /**
-   * Run workflow with streaming support
+   * Run workflow with streaming support.
+   * Passing `inputs: null` continues the thread from its latest checkpoint.
    */
   async runWorkflow(app, executionId, inputs) {
     const activeExecution = this.activeExecutions.get(executionId);
@@ -536,10 +1361,13 @@ class LangGraphWorkflowService {
       threadId
     });
 
+    const signal = this.startExecutionTimer(executionId);
     const config = {
       configurable: { 
         thread_id: threadId 
-      }
+      },
+      recursionLimit: RECURSION_LIMIT,
+      signal
     };
 
     const initialState = {
@@ -555,7 +1383,8 @@ class LangGraphWorkflowService {
       error: null,
       waitingForApproval: false,
       pausedNodeId: null,
-      approvalDecision: null
+      approvalDecision: null,
+      loopState: {}
     };
     
     workflowLogger.log("Initial state created", {
@@ -568,7 +1397,7 @@ class LangGraphWorkflowService {
       // Execute workflow using invoke
       workflowLogger.log("Invoking workflow graph", { executionId });
       
-      const finalState = await app.invoke(initialState, config);
+      const finalState = await app.invoke(inputs === null ? null : initialState, config);
       
       workflowLogger.log("Workflow execution completed", {
         executionId,
@@ -590,6 +1419,11 @@ class LangGraphWorkflowService {
           state: finalState
         };
       }
+
+      // A node failed with no error edge to handle it
+      if (finalState.error) {
+        throw this.toRunError(finalState.error, signal);
+      }
       
       return finalState;
 
@@ -600,14 +1434,18 @@ class LangGraphWorkflowService {
         stack: error.stack
       });
       
-      throw error;
+      throw signal.aborted && signal.reason ? signal.reason : error;
+    } finally {
+      this.clearExecutionTimer(executionId);
     }
   }
 
   /**
-   * Resume workflow after human approval - manual state management
+   * Resume workflow after human approval from the execution's latest checkpoint.
+   * `options.nodeResult` replaces the paused node's result instead of recording
+   * an approval on it (used when a child subworkflow settles).
    */
-  async resumeWorkflow(executionId, approvalData) {
+  async resumeWorkflow(executionId, approvalData, options = {}) {
     const execution = await WorkflowExecution.findOne({ executionId });
     
     if (!execution) {
@@ -618,94 +1456,102 @@ class LangGraphWorkflowService {
       throw new Error(`Execution is not waiting for approval. Current status: ${execution.status}`);
     }
 
-    workflowLogger.log("Resuming workflow from database state", {
+    workflowLogger.log("Resuming workflow from checkpoint", {
       executionId,
       approvalData,
-      pausedAtNode: execution.pauseState?.nodeId,
-      hasPauseState: !!execution.pauseState,
-      pauseStateKeys: execution.pauseState ? Object.keys(execution.pauseState) : []
+      pausedAtNode: execution.pauseState?.nodeId
     });
 
-    // Load saved state from database
-    const savedState = execution.pauseState;
-    if (!savedState) {
-      throw new Error('No pauseState found in execution');
+    const workflow = await require('../models').Workflow.findById(execution.workflowId);
+    const threadConfig = {
+      configurable: { thread_id: `thread_${executionId}` },
+      recursionLimit: RECURSION_LIMIT
+    };
+
+    // Get or rebuild the graph (e.g. after a server restart)
+    let activeExecution = this.activeExecutions.get(executionId);
+    const rebuilt = !activeExecution;
+    
+    if (!activeExecution) {
+      const graph = await this.buildStateGraph(workflow, executionId);
+      const app = graph.compile({ checkpointer: this.checkpointer });
+      
+      activeExecution = {
+        execution,
+        workflow,
+        app,
+        threadId: `thread_${executionId}`
+      };
+      
+      this.activeExecutions.set(executionId, activeExecution);
     }
-    if (!savedState.state) {
-      workflowLogger.error("PauseState exists but no state property", {
-        executionId,
-        pauseStateKeys: Object.keys(savedState)
-      });
-      throw new Error('No saved state found for resume - pauseState.state is missing');
+
+    const { app } = activeExecution;
+    const snapshot = await app.getState(threadConfig);
+
+    if (!snapshot?.values?.waitingForApproval) {
+      // Nothing resumes, so a graph rebuilt for this call is not kept
+      if (rebuilt) {
+        this.activeExecutions.delete(executionId);
+      }
+      throw new Error(`No paused checkpoint found for execution ${executionId}`);
     }
 
-    const pausedNodeId = savedState.nodeId;
-    const workflow = await require('../models').Workflow.findById(execution.workflowId);
+    const signal = this.startExecutionTimer(executionId);
+
+    const pausedNodeId = snapshot.values.pausedNodeId || execution.pauseState?.nodeId;
+    const decision = approvalData.actionId || approvalData.decision || 'approved';
     
     // Update execution status to running
     execution.status = 'running';
     execution.pausedAt = null;
+    execution.heartbeatAt = new Date();
     await execution.save();
+    this.startHeartbeat();
+
+    this.emitExecutionEvent(executionId, "execution_resumed", { nodeId: pausedNodeId, decision });
 
     try {
-      // Get or rebuild the graph
-      let activeExecution = this.activeExecutions.get(executionId);
-      
-      if (!activeExecution) {
-        const graph = await this.buildStateGraph(workflow, executionId);
-        const app = graph.compile();
-        
-        activeExecution = {
-          execution,
-          workflow,
-          app,
-          threadId: `thread_${executionId}`
-        };
-        
-        this.activeExecutions.set(executionId, activeExecution);
-      }
+      const nodeResult = options.nodeResult || {
+        ...snapshot.values.nodeResults?.[pausedNodeId],
+        decision,
+        approvalData,
+        approved: true
+      };
+      const hasErrorEdge = (activeExecution.workflow?.edges || [])
+        .some(edge => edge.source === pausedNodeId && this.isErrorEdge(edge));
 
-      const { app } = activeExecution;
-      
-      // Build resume state with approval decision
-      const resumeState = {
-        ...savedState.state,
-        inputs: savedState.state.inputs || savedState.context,
+      // Record the decision as the paused node's update, so its outgoing
+      // edges are evaluated with the approval and the graph continues from there.
+      // A failed node result routes like any other node failure.
+      await app.updateState(threadConfig, {
         context: {
-          ...savedState.context,
           approvalDecision: approvalData,
           previousApproval: {
             nodeId: pausedNodeId,
-            decision: approvalData.actionId || approvalData.decision || 'approved',
+            decision,
             feedback: approvalData.feedback,
             approvedAt: new Date().toISOString()
           }
         },
+        nodeResults: { [pausedNodeId]: nodeResult },
+        ...(options.nodeResult && !nodeResult.failed ? { outputs: { [pausedNodeId]: nodeResult.output } } : {}),
+        ...(nodeResult.failed && !hasErrorEdge
+          ? { error: { message: nodeResult.error, code: nodeResult.code, nodeId: pausedNodeId } }
+          : {}),
         approvalDecision: approvalData,
         waitingForApproval: false, // Clear the pause flag
         pausedNodeId: null
-      };
-
-      // Update the paused node's result with approval decision
-      if (resumeState.nodeResults && resumeState.nodeResults[pausedNodeId]) {
-        resumeState.nodeResults[pausedNodeId] = {
-          ...resumeState.nodeResults[pausedNodeId],
-          decision: approvalData.actionId || approvalData.decision || 'approved',
-          approvalData: approvalData,
-          approved: true
-        };
-      }
+      }, pausedNodeId);
 
       workflowLogger.log("Continuing workflow execution", {
         executionId,
-        resumeStateKeys: Object.keys(resumeState),
-        completedNodes: resumeState.completedNodes
+        pausedNodeId,
+        completedNodes: snapshot.values.completedNodes
       });
 
-      // Continue execution from current state
-      const finalState = await app.invoke(resumeState, {
-        configurable: { thread_id: `thread_${executionId}` }
-      });
+      // Continue execution from the checkpoint
+      const finalState = await app.invoke(null, { ...threadConfig, signal });
       
       workflowLogger.log("Resume execution completed", {
         executionId,
@@ -720,6 +1566,7 @@ class LangGraphWorkflowService {
           executionId,
           pausedNodeId: finalState.pausedNodeId
         });
+        this.dispatchQueue(workflow);
         
         return {
           status: 'waiting_human_review',
@@ -728,6 +1575,11 @@ class LangGraphWorkflowService {
         };
       }
       
+      // A node failed with no error edge to handle it
+      if (finalState.error) {
+        throw this.toRunError(finalState.error, signal);
+      }
+
       // Workflow completed
       workflowLogger.log("Workflow execution completed after resume", {
         executionId,
@@ -738,15 +1590,18 @@ class LangGraphWorkflowService {
       await this.completeExecution(executionId, "completed", finalState);
       return finalState;
       
-    } catch (error) {
+    } catch (caught) {
+      const error = signal.aborted && signal.reason ? signal.reason : caught;
       workflowLogger.error("Resume workflow error", {
         executionId,
         error: error.message,
         stack: error.stack
       });
       
-      await this.completeExecution(executionId, "failed", null, error);
+      await this.completeExecution(executionId, this.failureStatus(error), null, error);
       throw error;
+    } finally {
+      this.clearExecutionTimer(executionId);
     }
   }
 
@@ -798,6 +1653,8 @@ class LangGraphWorkflowService {
     // Get workflowId from active execution
     const activeExecution = this.activeExecutions.get(executionId);
     const workflowId = activeExecution?.workflow?._id;
+    const durationMs = Date.now() - startTime;
+    const usage = result.usage;
     
     // Generate unique step ID
     const stepId = `step_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -812,29 +1669,70 @@ class LangGraphWorkflowService {
       outputData: result.output || result,
       error: result.error,
       timestamp: new Date(startTime),
-      durationMs: Date.now() - startTime
+      durationMs,
+      simulated: Boolean(this.getSimulation(executionId)),
+      ...(usage && { model: `${usage.provider}:${usage.model}`, fallbacks: usage.fallbacks, cache: usage.cache })
     });
 
     await step.save();
 
+    // LLM and agent steps add their tokens and cost to the execution totals as they finish
+    const usageTotals = usage ? {
+      $inc: {
+        'resourceUsage.tokenUsage.totalPromptTokens': usage.promptTokens,
+        'resourceUsage.tokenUsage.totalCompletionTokens': usage.completionTokens,
+        'resourceUsage.tokenUsage.totalTokens': usage.totalTokens,
+        'resourceUsage.estimatedCost': usage.cost,
+        'resourceUsage.apiCalls': usage.calls,
+        'resourceUsage.cacheHits': usage.cache === 'hit' ? 1 : 0,
+        'resourceUsage.savedCost': usage.savedCost || 0
+      }
+    } : {};
+
     // Update execution steps array with the required stepId field
     await WorkflowExecution.findOneAndUpdate(
       { executionId },
-      { $push: { 
+      { ...usageTotals, $push: { 
         steps: {
           stepId,
           nodeId: node.id,
           nodeType: node.type,
           status: result.status || status,
-          input: result.input || {},
-          output: result.output || result,
-          error: result.error,
+          input: secretRedactor.redact(result.input || {}),
+          output: secretRedactor.redact(result.output || result),
+          error: secretRedactor.redact(result.error),
           startTime: new Date(startTime),
           endTime: new Date(),
-          duration: Date.now() - startTime
+          duration: durationMs,
+          simulated: step.simulated,
+          ...(usage && { agentExecution: tokenUsage.toAgentExecution(usage, durationMs) })
         }
       }}
     );
+
+    // Dry runs call no real model, so they never count toward workflow or account usage
+    if (usage && !step.simulated) {
+      const noamAccountId = activeExecution?.execution?.noamAccountId || activeExecution?.workflow?.noamAccountId;
+      await this.usageService.recordUsage({ workflowId, noamAccountId, usage });
+      if (activeExecution?.workflow) {
+        await this.budgetService.checkThresholds(activeExecution.workflow, noamAccountId);
+      }
+    }
+  }
+
+  /**
+   * Callbacks that stop a node's model calls once a hard-capped budget is spent
+   */
+  createBudgetCallbacks(executionId, tracker) {
+    const activeExecution = this.activeExecutions.get(executionId);
+    if (!activeExecution?.workflow || this.getSimulation(executionId)) {
+      return [];
+    }
+
+    return [this.budgetService.createGuard(activeExecution.workflow, {
+      noamAccountId: activeExecution.execution?.noamAccountId || activeExecution.workflow.noamAccountId,
+      tracker
+    })];
   }
 
   /**
@@ -849,8 +1747,15 @@ class LangGraphWorkflowService {
         return;
       }
 
-      // Don't complete if execution is waiting for human review
-      if (execution.status === 'waiting_human_review') {
+      // A cancelled execution stays cancelled, whatever its run reports afterwards
+      if (execution.status === 'cancelled') {
+        workflowLogger.log("Skipping completeExecution - execution was cancelled", { executionId, requestedStatus: status });
+        this.activeExecutions.delete(executionId);
+        return;
+      }
+
+      // Don't complete if execution is waiting for human review (unless it is being cancelled)
+      if (execution.status === 'waiting_human_review' && status !== 'cancelled') {
         workflowLogger.log("Skipping completeExecution - workflow is waiting for human review", {
           executionId,
           requestedStatus: status
@@ -874,21 +1779,57 @@ class LangGraphWorkflowService {
       execution.duration = endTime - startTime;
       
       if (result) {
-        execution.outputs = result.outputs || result;
-        execution.result = result;
+        execution.finalOutput = secretRedactor.redact(result.outputs || result);
+      }
+
+      const workflow = this.getExecutionWorkflow(executionId)
+        || (status === 'completed' ? await require('../models').Workflow.findById(execution.workflowId).catch(() => null) : null);
+      const outputCheck = status === 'completed' ? schemaValidator.checkOutput(workflow, execution.finalOutput) : null;
+      if (outputCheck) {
+        execution.outputValidation = { valid: outputCheck.valid, violations: outputCheck.violations };
+        if (!outputCheck.valid) {
+          const message = `Output does not match the workflow output schema: ${schemaValidator.describeViolations(outputCheck.violations)}`;
+          if (outputCheck.policy === 'fail') {
+            status = 'failed';
+            execution.status = status;
+            error = { message, code: 'OUTPUT_SCHEMA_VIOLATION' };
+          } else {
+            workflowLogger.warn(message, { executionId });
+          }
+        }
       }
       
       if (error) {
         execution.error = {
-          message: error.message || String(error),
-          stack: error.stack
+          message: secretRedactor.redact(error.message || String(error)),
+          code: error.code,
+          nodeId: error.nodeId,
+          reason: error.reason,
+          stack: secretRedactor.redact(error.stack)
         };
       }
 
       await execution.save();
 
-      // Clean up active execution
+      this.emitExecutionEvent(executionId, `execution_${status}`, {
+        status,
+        outputs: result?.outputs,
+        error: error ? error.message || String(error) : undefined
+      });
+
+      // Clean up active execution and hand its slot to the queue
       this.activeExecutions.delete(executionId);
+      this.dispatchQueue(workflow);
+      await this.retireCheckpoints(executionId);
+
+      // A parent paused on this child continues once the child settles
+      if (execution.parentExecutionId) {
+        this.resumeParentExecution(execution).catch(err => workflowLogger.error("Failed to resume parent execution", {
+          executionId: execution.parentExecutionId,
+          childExecutionId: executionId,
+          error: err.message
+        }));
+      }
 
       workflowLogger.log("Workflow execution completed", {
         executionId,
@@ -904,6 +1845,74 @@ class LangGraphWorkflowService {
     }
   }
 
+  /**
+   * A settled execution can still be replayed, so its checkpoints are kept for
+   * CHECKPOINT_RETENTION_DAYS and then expire; 0 deletes them at once.
+   * Never throws.
+   */
+  async retireCheckpoints(executionId) {
+    const threadId = `thread_${executionId}`;
+    const configured = process.env.CHECKPOINT_RETENTION_DAYS;
+    const days = configured !== undefined && configured !== '' ? Number(configured) : DEFAULT_CHECKPOINT_RETENTION_DAYS;
+
+    try {
+      if (days === 0) {
+        await this.checkpointer.deleteThread?.(threadId);
+      } else if (days > 0) {
+        await this.checkpointer.expireThread?.(threadId, new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+      }
+    } catch (error) {
+      workflowLogger.error("Failed to retire execution checkpoints", { executionId, error: error.message });
+    }
+  }
+
+  /**
+   * Publish a live execution event (Socket.IO room + SSE stream)
+   */
+  emitExecutionEvent(executionId, event, data = {}) {
+    executionEvents.publish(executionId, event, data);
+  }
+
+  /**
+   * LangChain callbacks that stream LLM tokens and agent tool calls for a node
+   */
+  createStreamingCallbacks(executionId, nodeId) {
+    const { BaseCallbackHandler } = require("@langchain/core/callbacks/base");
+
+    return [BaseCallbackHandler.fromMethods({
+      handleLLMNewToken: (token) => {
+        if (token) {
+          this.emitExecutionEvent(executionId, "token", { nodeId, token });
+        }
+      },
+      handleToolStart: (tool, input, runId, parentRunId, tags, metadata, runName) => {
+        this.emitExecutionEvent(executionId, "tool_start", {
+          nodeId,
+          runId,
+          tool: runName || tool?.name || tool?.id?.[tool.id.length - 1],
+          input
+        });
+      },
+      handleToolEnd: (output, runId) => {
+        this.emitExecutionEvent(executionId, "tool_end", {
+          nodeId,
+          runId,
+          output: typeof output?.content === 'string' ? output.content : output
+        });
+      },
+      handleToolError: (error, runId) => {
+        this.emitExecutionEvent(executionId, "tool_error", { nodeId, runId, error: error.message });
+      }
+    })];
+  }
+
+  /**
+   * Get execution record by id
+   */
+  async getExecutionStatus(executionId) {
+    return WorkflowExecution.findOne({ executionId });
+  }
+
   /**
    * Helper methods
    */
@@ -926,54 +1935,23 @@ class LangGraphWorkflowService {
     // Handle different types
     if (typeof template === 'string') {
       return template.replace(/\{\{([^}]+)\}\}/g, (match, expression) => {
-        const expr = expression.trim();
-        
-        // Handle OR operator (||)
-        if (expr.includes('||')) {
-          const parts = expr.split('||').map(p => p.trim());
-          
-          for (const part of parts) {
-            // Check if it's a string literal
-            if ((part.startsWith("'") && part.endsWith("'")) || 
-                (part.startsWith('"') && part.endsWith('"'))) {
-              return part.slice(1, -1); // Return the string literal value
-            }
-            
-            // Try to get the variable value
-            const keys = part.split('.');
-            let value = values;
-            for (const key of keys) {
-              value = value?.[key];
-            }
-            
-            // If we found a truthy value, return it
-            if (value !== undefined && value !== null && value !== '') {
-              // Stringify objects and arrays
-              if (typeof value === 'object') {
-                return JSON.stringify(value, null, 2);
-              }
-              return String(value);
-            }
-          }
-          
-          // No value found, return empty string
-          return '';
+        let value;
+        try {
+          value = expressionEvaluator.evaluate(expression, values);
+        } catch (error) {
+          // Not a valid expression - leave the placeholder untouched
+          return match;
         }
-        
-        // Simple variable replacement (no operators)
-        const keys = expr.split('.');
-        let value = values;
-        for (const key of keys) {
-          value = value?.[key];
+
+        if (value === undefined) {
+          // An exhausted `a || b` fallback renders empty; a missing path stays as-is
+          return expression.includes('||') ? '' : match;
         }
         // Stringify objects and arrays, otherwise use String()
-        if (value !== undefined) {
-          if (typeof value === 'object' && value !== null) {
-            return JSON.stringify(value, null, 2);
-          }
-          return String(value);
+        if (typeof value === 'object' && value !== null) {
+          return JSON.stringify(value, null, 2);
         }
-        return match;
+        return String(value);
       });
     } else if (Array.isArray(template)) {
       // Process arrays recursively
@@ -994,15 +1972,37 @@ class LangGraphWorkflowService {
   /**
    * Execute agent node with tools
    */
-  async executeAgentNode(node, context) {
+  async executeAgentNode(node, context, signal) {
+    let usage;
     try {
       const { createReactAgent } = require("@langchain/langgraph/prebuilt");
       const { HumanMessage } = require("@langchain/core/messages");
-      const { ChatOpenAI } = require("@langchain/openai");
       const { SerpAPI } = require("@langchain/community/tools/serpapi");
       
       const config = node.config || {};
       const prompt = this.processTemplate(config.prompt || config.systemPrompt || "", context);
+      const llmConfig = config.llm || {};
+
+      // llm.model is "provider:model" (or a bare OpenAI name)
+      const modelRef = llmConfig.model || "gpt-4";
+      await this.modelRegistry.refresh();
+      const spec = this.modelRegistry.resolve(modelRef);
+      usage = tokenUsage.createUsageTracker(spec.model, spec.provider);
+      const callbacks = [
+        ...this.createStreamingCallbacks(context.executionId, node.id),
+        usage.handler,
+        // Checked before every reasoning step, so a runaway agent stops at the cap
+        ...this.createBudgetCallbacks(context.executionId, usage)
+      ];
+
+      // Dry runs answer from a fake model and never call the agent's tools
+      if (this.getSimulation(context.executionId)) {
+        const response = await simulation.createFakeChatModel(node.id, spec.model).invoke([new HumanMessage(prompt)], {
+          callbacks,
+          signal
+        });
+        return { success: true, output: response.content, usage: usage.summary(), metadata: { nodeType: "agent", simulated: true } };
+      }
       
       // Load tools
       const tools = [];
@@ -1010,7 +2010,9 @@ class LangGraphWorkflowService {
         for (const toolConfig of config.tools) {
           const toolName = toolConfig.name || toolConfig.toolName;
           if (toolName === 'search' || toolName === 'serp_api') {
-            const apiKey = process.env.SERP_API_KEY;
+            // A configured key ({{secrets.NAME}}, resolved before the node runs) wins over the environment
+            const configuredKey = toolConfig.config?.apiKey;
+            const apiKey = configuredKey && !configuredKey.includes('${') ? configuredKey : process.env.SERP_API_KEY;
             if (apiKey) {
               tools.push(new SerpAPI(apiKey));
             }
@@ -1018,52 +2020,75 @@ class LangGraphWorkflowService {
         }
       }
       
-      // Get LLM
-      const llmConfig = config.llm || {};
-      const model = new ChatOpenAI({
-        modelName: llmConfig.model || "gpt-4",
-        temperature: llmConfig.temperature || 0.7,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      });
-      
-      // Create and execute agent
-      const agent = createReactAgent({ llm: model, tools });
+      // Create and execute agent, streaming tokens and tool calls to listeners.
+      // A rate-limited or failing model restarts the agent on the next fallback.
       const messages = [new HumanMessage(prompt)];
-      const result = await agent.invoke({ messages });
+      const { result } = await this.modelRegistry.runWithFallbacks(
+        modelRef,
+        llmConfig.fallbacks,
+        (model, attempt) => {
+          if (tools.length > 0 && !this.modelRegistry.supports(attempt, "tools")) {
+            throw new Error(`Model ${attempt.key} does not support tool calling`);
+          }
+          return createReactAgent({ llm: model, tools }).invoke({ messages }, { callbacks, signal });
+        },
+        this.modelChainOptions(context.executionId, node, usage, llmConfig, { temperature: llmConfig.temperature, streaming: true, streamUsage: true })
+      );
       
       const lastMessage = result.messages[result.messages.length - 1];
       let output = lastMessage.content;
       
-      // Try to parse as JSON if outputFormat specified
+      // Try to parse as JSON if outputFormat specified (fenced or wrapped in prose included)
       if (config.outputFormat && typeof output === 'string') {
-        try {
-          output = JSON.parse(output);
-        } catch (e) {
-          // Keep as string if not valid JSON
-        }
+        output = structuredOutput.parseJson(output) ?? output;
       }
       
-      return { success: true, output };
+      return { success: true, output, usage: usage.summary() };
     } catch (error) {
       workflowLogger.error("Agent node execution failed", { error: error.message });
-      throw error;
+      // Steps the agent paid for before failing or being halted still count
+      throw tokenUsage.attachUsage(error, usage?.summary());
     }
   }
 
+  /**
+   * runWithFallbacks options for a node's model chain: the usage tracker
+   * follows the model in use and listeners hear about each failover
+   */
+  modelChainOptions(executionId, node, usage, llmConfig, params) {
+    return {
+      params,
+      apiKey: llmConfig.apiKey,
+      retries: llmConfig.retries,
+      resolveSecrets: (names) => this.resolveExecutionSecrets(executionId, names),
+      onAttempt: (spec) => usage.useModel(spec.model, spec.provider),
+      onFallback: (spec, error) => {
+        usage.recordFallback(spec.key, error);
+        this.emitExecutionEvent(executionId, "model_fallback", { nodeId: node.id, model: spec.key, error: error.message.split("\n")[0] });
+      }
+    };
+  }
+
   /**
    * Execute LLM node
    */
-  async executeLLMNode(node, context) {
+  async executeLLMNode(node, context, signal) {
+    let usage;
     try {
-      const { ChatOpenAI } = require("@langchain/openai");
-      const { HumanMessage } = require("@langchain/core/messages");
-      
       const config = node.config || {};
-      let prompt = this.processTemplate(config.prompt || "", context);
-      const systemPrompt = this.processTemplate(config.systemPrompt || "", context);
+
+      // systemPrompt, messages, few-shot examples, history and prompt as chat messages
+      const messages = chatMessages.build(config, {
+        history: config.history !== undefined ? this.resolveMapping({ history: config.history }, context).history : undefined,
+        render: (text) => this.processTemplate(text, context)
+      });
+      if (!messages.some(message => message._getType() !== "system")) {
+        throw new Error(`LLM node ${node.id} has no prompt or user message`);
+      }
       
       // Check prompt size and truncate if necessary
-      const estimatedTokens = Math.ceil(prompt.length / 4); // Rough estimate: 1 token ≈ 4 chars
+      const textLength = (message) => structuredOutput.messageText(message.content).length;
+      const estimatedTokens = Math.ceil(messages.reduce((sum, message) => sum + textLength(message), 0) / 4); // Rough estimate: 1 token ≈ 4 chars
       
       // Get LLM config
       const llmConfig = config.llm || {};
@@ -1084,16 +2109,10 @@ class LangGraphWorkflowService {
         }
       }
       
-      // Determine max tokens based on model
-      const modelLimits = {
-        "gpt-4o": 128000,
-        "gpt-4o-mini": 128000,
-        "gpt-4-turbo": 128000,
-        "gpt-4": 8000,  // Legacy
-        "gpt-3.5-turbo": 16000
-      };
-      
-      const modelLimit = modelLimits[selectedModel] || 128000;
+      // Context window from the model registry; selectedModel is "provider:model" or a bare OpenAI name
+      await this.modelRegistry.refresh();
+      const spec = this.modelRegistry.resolve(selectedModel);
+      const modelLimit = spec.contextWindow || 128000;
       const maxInputTokens = Math.floor(modelLimit * 0.75); // Leave 25% for response + overhead
       
       // Truncate if exceeds model limit
@@ -1105,49 +2124,102 @@ class LangGraphWorkflowService {
           nodeId: node.id 
         });
         
-        const maxChars = maxInputTokens * 4;
-        prompt = prompt.substring(0, maxChars) + "\n\n[... content truncated due to size ...]";
+        // Cut the longest message down by the excess
+        const longest = messages.reduce((max, message) => (textLength(message) > textLength(max) ? message : max));
+        const text = structuredOutput.messageText(longest.content);
+        longest.content = text.substring(0, Math.max(0, text.length - (estimatedTokens - maxInputTokens) * 4)) + "\n\n[... content truncated due to size ...]";
       }
       
-      const model = new ChatOpenAI({
-        modelName: selectedModel,
-        temperature: llmConfig.temperature || 0.7,
-        maxTokens: llmConfig.maxTokens || 4000,
-        openAIApiKey: process.env.OPENAI_API_KEY,
-      });
+      usage = tokenUsage.createUsageTracker(spec.model, spec.provider);
       
       workflowLogger.log("Executing LLM", { 
-        model: selectedModel,
+        model: spec.key,
         estimatedTokens,
         modelLimit,
         nodeId: node.id 
       });
       
-      // Build messages
-      const messages = [];
-      if (systemPrompt) {
-        const { SystemMessage } = require("@langchain/core/messages");
-        messages.push(new SystemMessage(systemPrompt));
-      }
-      messages.push(new HumanMessage(prompt));
-      
-      // Execute
-      const response = await model.invoke(messages);
-      let output = response.content;
-      
       // Try to parse as JSON if outputFormat specified
-      if (config.outputFormat && typeof output === 'string') {
-        try {
-          output = JSON.parse(output);
-        } catch (e) {
-          // Keep as string if not valid JSON
+      const toOutput = (content) => {
+        if (config.outputFormat && typeof content === 'string') {
+          try {
+            return JSON.parse(content);
+          } catch (e) {
+            // Keep as string if not valid JSON
+          }
+        }
+        return content;
+      };
+
+      // structuredOutput: true makes the node answer in JSON matching its object outputSchema
+      const responseSchema = structuredOutput.getResponseSchema(this.getNodeConfig(node));
+
+      // Opt-in response cache: an exact repeat of a call is answered without calling the model
+      const params = { temperature: llmConfig.temperature, maxTokens: llmConfig.maxTokens || 4000 };
+      const cache = this.getCacheSettings(context.executionId, node);
+      const cacheKey = cache && this.responseCache.key({
+        scope: cache.scope,
+        model: spec.key,
+        params: { ...params, outputSchema: responseSchema || undefined },
+        messages
+      });
+      if (cache && !cache.bypass) {
+        const cached = await this.responseCache.get(cacheKey);
+        if (cached) {
+          workflowLogger.log("LLM response served from cache", { model: spec.key, nodeId: node.id, cachedAt: cached.cachedAt });
+          return { success: true, output: toOutput(cached.content), usage: tokenUsage.cachedUsage(cached.usage) };
         }
       }
       
-      return { success: true, output };
+      // Execute, streaming tokens to execution listeners and counting the tokens used
+      const invokeOptions = {
+        callbacks: [
+          ...this.createStreamingCallbacks(context.executionId, node.id),
+          usage.handler,
+          ...this.createBudgetCallbacks(context.executionId, usage)
+        ],
+        signal
+      };
+      // Text answers stream to listeners; schema answers are validated and re-prompted on violations
+      const ask = async (model, native) => {
+        if (!responseSchema) {
+          return (await model.invoke(messages, invokeOptions)).content;
+        }
+        const { value } = await structuredOutput.invoke(model, messages, responseSchema, {
+          native,
+          repairAttempts: config.repairAttempts,
+          options: invokeOptions,
+          onRepair: (attempt, violations) => {
+            workflowLogger.warn("LLM response does not match the output schema - re-prompting", { nodeId: node.id, attempt, violations });
+            this.emitExecutionEvent(context.executionId, "output_repair", { nodeId: node.id, attempt, violations });
+          }
+        });
+        return value;
+      };
+
+      // Dry runs get a deterministic fake model instead of a paid call; live runs walk the fallback chain
+      const content = this.getSimulation(context.executionId)
+        ? await ask(simulation.createFakeChatModel(node.id, spec.model, responseSchema ? simulation.sampleFromSchema(responseSchema) : undefined), false)
+        : (await this.modelRegistry.runWithFallbacks(
+          selectedModel,
+          llmConfig.fallbacks,
+          (model, attempt) => ask(model, this.modelRegistry.supports(attempt, "structuredOutput")),
+          this.modelChainOptions(context.executionId, node, usage, llmConfig, { ...params, streaming: !responseSchema, streamUsage: true })
+        )).result;
+      const summary = usage.summary();
+
+      if (!cache) {
+        return { success: true, output: toOutput(content), usage: summary };
+      }
+      // A fallback model's answer is not cached, so it does not stand in for the selected model's
+      if (!summary.fallbacks) {
+        await this.responseCache.set(cacheKey, { content, usage: summary }, cache.ttlSeconds);
+      }
+      return { success: true, output: toOutput(content), usage: { ...summary, cache: cache.bypass ? "bypass" : "miss" } };
     } catch (error) {
       workflowLogger.error("LLM node execution failed", { error: error.message });
-      throw error;
+      // Failed fallbacks and schema repairs were paid for
+      throw tokenUsage.attachUsage(error, usage?.summary());
     }
   }
 
@@ -1175,22 +2247,7 @@ class LangGraphWorkflowService {
       }
       
       // Prepare parameters by processing templates with context
-      const parameters = config.parameters || {};
-      const processedParams = {};
-      
-      for (const [key, value] of Object.entries(parameters)) {
-        if (typeof value === 'string') {
-          const processed = this.processTemplate(value, context);
-          // Convert numeric strings to numbers
-          if (!isNaN(processed) && processed.trim() !== '') {
-            processedParams[key] = Number(processed);
-          } else {
-            processedParams[key] = processed;
-          }
-        } else {
-          processedParams[key] = value;
-        }
-      }
+      const processedParams = this.resolveToolParameters(config, context);
       
       workflowLogger.log("Executing tool", { 
         toolName, 
@@ -1255,6 +2312,29 @@ class LangGraphWorkflowService {
     }
   }
 
+  /**
+   * A tool node's `parameters` with templates filled in from the context
+   */
+  resolveToolParameters(config, context) {
+    const processedParams = {};
+
+    for (const [key, value] of Object.entries(config.parameters || {})) {
+      if (typeof value === 'string') {
+        const processed = this.processTemplate(value, context);
+        // Convert numeric strings to numbers
+        if (!isNaN(processed) && processed.trim() !== '') {
+          processedParams[key] = Number(processed);
+        } else {
+          processedParams[key] = processed;
+        }
+      } else {
+        processedParams[key] = value;
+      }
+    }
+
+    return processedParams;
+  }
+
   /**
    * Execute human review node - manual HITL matching LangChainService pattern
    * Returns requiresHumanReview flag to pause workflow execution
@@ -1335,6 +2415,672 @@ class LangGraphWorkflowService {
     return result;
   }
 
+  /**
+   * Execute condition node - evaluates its condition and reports the
+   * selected branch ("true"/"false") for edge routing
+   */
+  async executeConditionNode(node, context) {
+    const config = this.getNodeConfig(node);
+
+    if (config.condition === undefined || config.condition === null || config.condition === '') {
+      throw new Error(`Condition node ${node.id} has no condition`);
+    }
+
+    const result = this.evaluateCondition(config.condition, context);
+
+    workflowLogger.log("Condition evaluated", {
+      nodeId: node.id,
+      condition: config.condition,
+      result
+    });
+
+    return {
+      success: true,
+      output: result,
+      branch: result ? 'true' : 'false',
+      metadata: {
+        nodeType: "condition",
+        condition: config.condition
+      }
+    };
+  }
+
+  /**
+   * Execute delay node - waits for a fixed duration or until a timestamp
+   */
+  async executeDelayNode(node, context, signal) {
+    const config = this.getNodeConfig(node);
+    const delayMs = this.resolveDelayMs(config, context);
+
+    workflowLogger.log("Delaying execution", { nodeId: node.id, delayMs });
+
+    await this.sleep(delayMs, signal);
+
+    return {
+      success: true,
+      output: {
+        delayMs,
+        resumedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Execute loop node - iterates over `items` (or up to `maxIterations`).
+   * Routes to the "loop" branch for each iteration and to the "done"
+   * branch once exhausted; the body's edges lead back to the loop node.
+   */
+  async executeLoopNode(node, context, state) {
+    const config = this.getNodeConfig(node);
+    const previous = state.loopState?.[node.id];
+
+    let loop;
+    if (!previous || previous.done) {
+      // First visit - resolve the collection to iterate over
+      let items = null;
+      if (config.items !== undefined) {
+        items = typeof config.items === 'string'
+          ? this.parseLiteral(this.processTemplate(config.items, context))
+          : config.items;
+        if (!Array.isArray(items)) {
+          throw new Error(`Loop node ${node.id} items did not resolve to an array`);
+        }
+      } else if (!config.maxIterations) {
+        throw new Error(`Loop node ${node.id} requires items or maxIterations`);
+      }
+      loop = { index: 0, items, results: [] };
+    } else {
+      // Re-entry from the loop body - collect the output of the last body node
+      const lastOutput = state.nodeResults?.[state.currentNode]?.output;
+      loop = {
+        ...previous,
+        index: previous.index + 1,
+        results: [...previous.results, lastOutput]
+      };
+    }
+
+    const maxIterations = config.maxIterations || MAX_LOOP_ITERATIONS;
+    const total = loop.items ? Math.min(loop.items.length, maxIterations) : maxIterations;
+    const item = loop.items ? loop.items[loop.index] : loop.index;
+
+    let done = loop.index >= total;
+    if (!done && config.condition) {
+      // Optional while-condition, evaluated with the current item in scope
+      done = !this.evaluateCondition(config.condition, {
+        ...context,
+        loop: { index: loop.index, item, results: loop.results }
+      });
+    }
+    loop.done = done;
+
+    workflowLogger.log("Loop iteration", {
+      nodeId: node.id,
+      index: loop.index,
+      total,
+      done
+    });
+
+    return {
+      success: true,
+      branch: done ? 'done' : 'loop',
+      output: done
+        ? { results: loop.results, iterations: loop.index }
+        : { item, index: loop.index, iteration: loop.index + 1, total },
+      loopState: loop
+    };
+  }
+
+  /**
+   * Execute parallel node - fan-out point listing its outgoing branches
+   */
+  async executeParallelNode(node, context) {
+    const workflow = this.getExecutionWorkflow(context.executionId);
+    const branches = (workflow?.edges || [])
+      .filter(edge => edge.source === node.id)
+      .map(edge => edge.target);
+
+    return {
+      success: true,
+      output: { branches },
+      metadata: { nodeType: "parallel" }
+    };
+  }
+
+  /**
+   * Execute merge node - combines the outputs of all upstream nodes.
+   * Strategies: "object" (keyed by node id, default), "array", "merge"
+   */
+  async executeMergeNode(node, context, state) {
+    const config = this.getNodeConfig(node);
+    const workflow = this.getExecutionWorkflow(context.executionId);
+    const strategy = config.strategy || config.mergeStrategy || 'object';
+
+    const sources = (workflow?.edges || [])
+      .filter(edge => edge.target === node.id)
+      .map(edge => edge.source)
+      .filter(sourceId => state.nodeResults?.[sourceId]);
+    const entries = sources.map(sourceId => [sourceId, state.nodeResults[sourceId].output]);
+
+    let output;
+    switch (strategy) {
+      case 'array':
+        output = entries.map(([, value]) => value);
+        break;
+      case 'merge':
+        output = entries.reduce((acc, [, value]) => (
+          value && typeof value === 'object' && !Array.isArray(value) ? { ...acc, ...value } : acc
+        ), {});
+        break;
+      case 'object':
+        output = Object.fromEntries(entries);
+        break;
+      default:
+        throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+
+    return {
+      success: true,
+      output,
+      metadata: { nodeType: "merge", strategy, sources }
+    };
+  }
+
+  /**
+   * Execute webhook node - sends an outbound HTTP request
+   */
+  async executeWebhookNode(node, context, signal) {
+    const config = this.getNodeConfig(node);
+
+    if (!config.url) {
+      throw new Error(`Webhook node ${node.id} missing url`);
+    }
+
+    const fetch = (await import("node-fetch")).default;
+    const url = this.processTemplate(config.url, context);
+    // The URL can carry {{secrets.NAME}} values (e.g. in its query string)
+    const shownUrl = secretRedactor.redact(url);
+    const method = (config.method || "POST").toUpperCase();
+    const headers = this.processTemplate(config.headers || {}, context);
+    const payload = config.body !== undefined
+      ? this.processTemplate(config.body, context)
+      : { executionId: context.executionId, nodeId: node.id, previousOutput: context.previousOutput?.output };
+
+    const timeoutMs = config.timeout || 30000;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: method === "GET" ? undefined : JSON.stringify(payload),
+        signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+      });
+
+      const contentType = response.headers.get("content-type") || "";
+      const data = contentType.includes("application/json") ? await response.json() : await response.text();
+
+      if (!response.ok) {
+        const error = new Error(`Webhook ${method} ${shownUrl} failed with status ${response.status}`);
+        error.status = response.status; // 429 and 5xx are retried when the node has a retryPolicy
+        throw error;
+      }
+
+      return {
+        success: true,
+        output: { status: response.status, data },
+        metadata: { nodeType: "webhook", url: shownUrl, method }
+      };
+    } catch (error) {
+      if (controller.signal.aborted && !signal?.aborted) {
+        throw this.createTimeoutError(`Webhook ${method} ${shownUrl} timed out after ${timeoutMs}ms`, 'WEBHOOK_TIMEOUT');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Execute subworkflow node - runs another saved workflow as a child execution.
+   * `inputMapping` builds the child's inputs from this node's context; `outputMapping`
+   * picks values from the child's outputs (keyed by child node id). A child
+   * paused for human review pauses this execution too until the child settles.
+   */
+  async executeSubworkflowNode(node, context, state, executionId, signal) {
+    const config = this.getNodeConfig(node);
+    const childWorkflow = await this.loadSubworkflow(config);
+    await this.assertSubworkflowAllowed(executionId, childWorkflow);
+
+    const parent = await WorkflowExecution.findOne({ executionId });
+    const inputs = config.inputMapping
+      ? this.resolveMapping(config.inputMapping, context)
+      : { ...(state.inputs || {}) }; // Without a mapping the child gets this run's inputs
+
+    // The child starts as it would on its own: input schema and budget checks, then its engine.
+    // Lazy require: the registry depends on this module.
+    const engines = require('./ExecutionEngineRegistry').shared();
+    const dryRun = Boolean(this.getSimulation(executionId));
+    const childEngine = engines.engineFor(childWorkflow);
+    if (!dryRun && childEngine !== 'langgraph') {
+      // Waiting on, pausing with and cancelling a child all rely on LangGraph executions
+      const error = new Error(`Subworkflow ${childWorkflow._id} runs on the ${childEngine} engine; only LangGraph workflows can be called as subworkflows`);
+      error.code = 'SUBWORKFLOW_ENGINE';
+      throw error;
+    }
+
+    const child = await engines.executeWorkflow(
+      childWorkflow,
+      parent?.triggeredBy?.userId ? parent.triggeredBy.userId.toString() : "anonymous",
+      inputs,
+      {
+        parentExecutionId: executionId,
+        parentNodeId: node.id,
+        priority: parent?.priority,
+        metadata: { parentExecutionId: executionId, parentNodeId: node.id },
+        // A dry run's children are simulated with the same fixtures
+        ...(dryRun ? { mode: simulation.DRY_RUN, fixtures: this.getSimulation(executionId).fixtures } : {})
+      }
+    );
+
+    this.emitExecutionEvent(executionId, "subworkflow_started", {
+      nodeId: node.id,
+      childExecutionId: child.executionId,
+      workflowId: childWorkflow._id.toString()
+    });
+
+    let settled;
+    try {
+      settled = await this.waitForExecution(child.executionId, signal);
+    } catch (error) {
+      // The parent was cancelled or ran out of time; take the child down with it
+      await engines.abortExecution(child.executionId, `Parent execution ${executionId} stopped: ${error.message}`);
+      throw error;
+    }
+
+    if (settled.status === 'waiting_human_review') {
+      return {
+        success: true,
+        requiresHumanReview: true,
+        pauseReason: 'subworkflow_paused',
+        childExecutionId: child.executionId,
+        output: {
+          childExecutionId: child.executionId,
+          reviewData: {
+            childExecutionId: child.executionId,
+            childNodeId: settled.pauseState?.nodeId,
+            ...(settled.pauseState?.reviewData || {})
+          }
+        },
+        metadata: { nodeType: "subworkflow", workflowId: childWorkflow._id.toString() }
+      };
+    }
+
+    const result = this.subworkflowResult(node, settled);
+    if (result.failed) {
+      const error = new Error(result.error);
+      error.code = result.code;
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Node result for a settled child execution
+   */
+  subworkflowResult(node, child) {
+    if (child.status !== 'completed') {
+      return {
+        failed: true,
+        error: `Subworkflow ${child.executionId} ${child.status}: ${child.error?.message || 'no error recorded'}`,
+        code: child.status === 'budget_exceeded' ? 'BUDGET_EXCEEDED' : 'SUBWORKFLOW_FAILED',
+        childExecutionId: child.executionId
+      };
+    }
+
+    const config = this.getNodeConfig(node);
+    const childOutputs = child.finalOutput || {};
+
+    return {
+      success: true,
+      output: config.outputMapping ? this.resolveMapping(config.outputMapping, childOutputs) : childOutputs,
+      childExecutionId: child.executionId,
+      metadata: { nodeType: "subworkflow", workflowId: String(child.workflowId) }
+    };
+  }
+
+  async loadSubworkflow(config) {
+    let workflow = null;
+
+    if (config.workflowId) {
+      workflow = await require('../models').Workflow.findById(config.workflowId);
+    } else if (config.templateId) {
+      // Lazy require: WorkflowService depends on this module
+      const { WorkflowService } = require('./WorkflowService');
+      workflow = await new WorkflowService().getWorkflowByTemplateId(config.templateId);
+    }
+
+    if (!workflow) {
+      throw new Error(`Subworkflow not found: ${config.workflowId || config.templateId}`);
+    }
+    return workflow;
+  }
+
+  /**
+   * Reject cycles (a workflow calling itself through its ancestors) and deep nesting
+   */
+  async assertSubworkflowAllowed(executionId, childWorkflow) {
+    const childWorkflowId = String(childWorkflow._id);
+    let current = executionId;
+    let depth = 0;
+
+    while (current) {
+      const ancestor = await WorkflowExecution.findOne({ executionId: current })
+        .select('workflowId parentExecutionId')
+        .lean();
+      if (!ancestor) break;
+
+      if (String(ancestor.workflowId) === childWorkflowId) {
+        throw new Error(`Subworkflow cycle: workflow ${childWorkflowId} is already running in this execution chain`);
+      }
+
+      depth += 1;
+      if (depth >= MAX_SUBWORKFLOW_DEPTH) {
+        throw new Error(`Subworkflows nested deeper than ${MAX_SUBWORKFLOW_DEPTH} levels`);
+      }
+      current = ancestor.parentExecutionId;
+    }
+  }
+
+  /**
+   * Resolve once the execution completes, fails or pauses for review.
+   * Live events wake the wait up early; polling covers runs in other processes.
+   */
+  waitForExecution(executionId, signal) {
+    const settledStatuses = ['completed', 'failed', 'timeout', 'cancelled', 'budget_exceeded', 'waiting_human_review'];
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+      let unsubscribe = () => {};
+      let timer = null;
+
+      const finish = (error, execution) => {
+        if (done) return;
+        done = true;
+        clearInterval(timer);
+        unsubscribe();
+        signal?.removeEventListener('abort', onAbort);
+        error ? reject(error) : resolve(execution);
+      };
+
+      const check = () => WorkflowExecution.findOne({ executionId })
+        .then(execution => {
+          if (execution && settledStatuses.includes(execution.status)) finish(null, execution);
+        })
+        .catch(error => finish(error));
+
+      const onAbort = () => finish(signal.reason || new Error('Aborted'));
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      unsubscribe = executionEvents.subscribe(executionId, event => {
+        if (executionEvents.isTerminal(event) || event.type === 'execution_paused') check();
+      });
+      timer = setInterval(check, SUBWORKFLOW_POLL_INTERVAL);
+      check();
+    });
+  }
+
+  /**
+   * Build an object from `{ key: source }` pairs. A source is a dotted path
+   * into `values`, a string with {{templates}}, or a literal.
+   */
+  resolveMapping(mapping, values) {
+    const resolved = {};
+
+    for (const [key, source] of Object.entries(mapping || {})) {
+      const expression = typeof source === 'string' && source.match(/^\{\{([^}]+)\}\}$/);
+      if (typeof source !== 'string') {
+        resolved[key] = source;
+      } else if (expression) {
+        // A lone {{expression}} keeps its value's type
+        try {
+          resolved[key] = expressionEvaluator.evaluate(expression[1], values);
+        } catch (error) {
+          resolved[key] = undefined;
+        }
+      } else if (source.includes('{{')) {
+        resolved[key] = this.processTemplate(source, values);
+      } else {
+        resolved[key] = source.split('.').reduce((value, part) => value?.[part], values);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Node with its {{secrets.NAME}} references decrypted from the execution's Noam account
+   */
+  async resolveNodeSecrets(node, executionId) {
+    if (SecretService.findReferences([node.config, node.data]).length === 0) {
+      return node;
+    }
+
+    return this.secretService.resolveNodeSecrets(node, await this.getExecutionAccount(executionId));
+  }
+
+  /**
+   * Decrypt named secrets of the execution's Noam account (e.g. model credentials)
+   */
+  async resolveExecutionSecrets(executionId, names) {
+    return this.secretService.resolveSecrets(await this.getExecutionAccount(executionId), names);
+  }
+
+  async getExecutionAccount(executionId) {
+    const workflow = this.getExecutionWorkflow(executionId);
+    const execution = workflow?.owner ? null : await WorkflowExecution.findOne({ executionId });
+    return this.secretService.getExecutionAccount(workflow, execution);
+  }
+
+  /**
+   * What an inputMapping can read: workflow inputs (top level or under `inputs`)
+   * and upstream node results keyed by node id
+   */
+  getMappingSources(state) {
+    return { ...state.inputs, ...state.nodeResults, inputs: state.inputs || {} };
+  }
+
+  /**
+   * A node's `outputSchema` is a contract: output that breaks it fails the node
+   */
+  assertNodeOutput(node, result) {
+    const { outputSchema } = this.getNodeConfig(node);
+    const { valid, violations } = schemaValidator.validate(outputSchema, result.output);
+    if (!valid) {
+      const error = new Error(`Node ${node.id} output does not match its output schema: ${schemaValidator.describeViolations(violations)}`);
+      error.code = 'OUTPUT_SCHEMA_VIOLATION';
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * A child that paused its parent has settled: continue the parent from its
+   * subworkflow node with the child's mapped outputs (or its failure)
+   */
+  async resumeParentExecution(child) {
+    const parent = await WorkflowExecution.findOne({ executionId: child.parentExecutionId });
+
+    // A parent still running is waiting on the child in-line and picks the result up itself
+    if (!parent || parent.status !== 'waiting_human_review' || parent.pauseState?.nodeId !== child.parentNodeId) {
+      return;
+    }
+
+    const workflow = await require('../models').Workflow.findById(parent.workflowId);
+    const node = workflow?.nodes.find(candidate => candidate.id === child.parentNodeId);
+    if (!node) {
+      throw new Error(`Subworkflow node ${child.parentNodeId} not found in parent workflow`);
+    }
+
+    workflowLogger.log("Resuming parent execution after subworkflow", {
+      executionId: parent.executionId,
+      childExecutionId: child.executionId,
+      childStatus: child.status
+    });
+
+    await this.resumeWorkflow(
+      parent.executionId,
+      { decision: `subworkflow_${child.status}`, childExecutionId: child.executionId },
+      { nodeResult: this.subworkflowResult(node, child) }
+    );
+  }
+
+  /**
+   * Cancel an execution and, recursively, its child executions. A run in this
+   * process is aborted and settles as `cancelled`; anything else (queued,
+   * paused, or running elsewhere) is marked cancelled directly.
+   */
+  async abortExecution(executionId, reason = "User requested") {
+    const execution = await WorkflowExecution.findOne({ executionId });
+    if (!execution || !CANCELLABLE_STATUSES.includes(execution.status)) {
+      return false;
+    }
+
+    const error = new Error(reason);
+    error.code = 'CANCELLED';
+
+    const controller = this.activeExecutions.get(executionId)?.abortController;
+    if (controller && !controller.signal.aborted && execution.status === 'running') {
+      controller.abort(error);
+    } else {
+      await this.completeExecution(executionId, 'cancelled', null, error);
+    }
+
+    const children = await WorkflowExecution.find({
+      parentExecutionId: executionId,
+      status: { $in: CANCELLABLE_STATUSES }
+    }).select('executionId').lean();
+
+    for (const child of children) {
+      await this.abortExecution(child.executionId, `Parent execution ${executionId} cancelled`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate a condition against a context.
+   * Accepts a {field, operator, value} object, an {expression} object or an
+   * expression string such as "{{node.output.count}} >= 3 && status in ['ok', 'retry']"
+   */
+  evaluateCondition(condition, context) {
+    return expressionEvaluator.evaluateCondition(condition, context);
+  }
+
+  /**
+   * Convert a template-processed string back into a typed value
+   */
+  parseLiteral(text) {
+    if (typeof text !== 'string') return text;
+    const value = text.trim();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null' || value === 'undefined' || value === '') return null;
+    if (!isNaN(value)) return Number(value);
+    if ((value.startsWith("'") && value.endsWith("'")) || (value.startsWith('"') && value.endsWith('"'))) {
+      return value.slice(1, -1);
+    }
+    if (value.startsWith('{') || value.startsWith('[')) {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        // Not JSON - keep as string
+      }
+    }
+    return value;
+  }
+
+  resolveDelayMs(config, context) {
+    if (config.until) {
+      const until = new Date(this.processTemplate(config.until, context));
+      if (isNaN(until.getTime())) {
+        throw new Error(`Invalid delay timestamp: ${config.until}`);
+      }
+      return Math.max(0, until.getTime() - Date.now());
+    }
+
+    if (config.delayMs !== undefined) {
+      return Number(this.processTemplate(String(config.delayMs), context)) || 0;
+    }
+
+    const unitMs = { ms: 1, seconds: 1000, minutes: 60000, hours: 3600000 };
+    const unit = config.unit || 'seconds';
+    if (!unitMs[unit]) {
+      throw new Error(`Unsupported delay unit: ${unit}`);
+    }
+    return (Number(this.processTemplate(String(config.duration || 0), context)) || 0) * unitMs[unit];
+  }
+
+  getEdgeBranch(edge) {
+    if (typeof edge.condition === 'string') return edge.condition;
+    return edge.sourceHandle || null;
+  }
+
+  /**
+   * Node settings may live in `config` or (for imported workflows) in `data`
+   */
+  getNodeConfig(node) {
+    return { ...(node.data || {}), ...(node.config || {}) };
+  }
+
+  /**
+   * Recursively merge a patch into plain objects; arrays and scalars are replaced
+   */
+  deepMerge(target, patch) {
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(target) || !isObject(patch)) {
+      return patch;
+    }
+
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(patch)) {
+      merged[key] = this.deepMerge(target[key], value);
+    }
+    return merged;
+  }
+
+  getExecutionWorkflow(executionId) {
+    return this.activeExecutions.get(executionId)?.workflow;
+  }
+
+  /**
+   * `{ fixtures }` for a dry run, null for a live execution
+   */
+  getSimulation(executionId) {
+    const execution = this.activeExecutions.get(executionId)?.execution;
+    return execution?.mode === simulation.DRY_RUN ? { fixtures: execution.simulation?.fixtures || {} } : null;
+  }
+
+  /**
+   * Response cache settings of an LLM node in this execution: null when the
+   * node does not cache (or the run is a dry run), `bypass` when the
+   * execution was started with bypassCache
+   */
+  getCacheSettings(executionId, node) {
+    const settings = this.responseCache?.settingsFor(node.config?.cache);
+    if (!settings || this.getSimulation(executionId)) {
+      return null;
+    }
+
+    const execution = this.activeExecutions.get(executionId)?.execution;
+    return { ...settings, bypass: Boolean(execution?.bypassCache), scope: execution?.noamAccountId };
+  }
+
   /**
    * Validate workflow structure for LangGraph execution
    * This validates according to LangGraph/StateGraph requirements, not the legacy engine
@@ -1373,9 +3119,12 @@ class LangGraphWorkflowService {
       // Type-specific validation
       switch (node.type) {
         case "llm":
-          // LLM nodes require config.prompt
-          if (!node.config?.prompt) {
-            errors.push(`LLM node ${node.id} missing config.prompt`);
+          // LLM nodes require config.prompt or config.messages
+          if (!node.config?.prompt && !node.config?.messages?.length) {
+            errors.push(`LLM node ${node.id} missing config.prompt or config.messages`);
+          }
+          for (const problem of chatMessages.validate(node.config)) {
+            errors.push(`LLM node ${node.id} ${problem}`);
           }
           if (!node.config?.llm) {
             warnings.push(`LLM node ${node.id} missing config.llm (will use default)`);
@@ -1411,6 +3160,72 @@ class LangGraphWorkflowService {
           }
           break;
 
+        case "condition": {
+          const config = this.getNodeConfig(node);
+          if (config.condition === undefined || config.condition === '') {
+            errors.push(`Condition node ${node.id} missing condition`);
+          } else {
+            const conditionError = expressionEvaluator.validateCondition(config.condition);
+            if (conditionError) {
+              errors.push(`Condition node ${node.id} has an invalid condition: ${conditionError}`);
+            }
+          }
+          const branches = edges.filter(e => e.source === node.id).map(e => this.getEdgeBranch(e));
+          if (!branches.includes('true') && !branches.includes('true_path')) {
+            warnings.push(`Condition node ${node.id} has no "true" edge`);
+          }
+          break;
+        }
+
+        case "loop": {
+          const config = this.getNodeConfig(node);
+          if (config.items === undefined && !config.maxIterations) {
+            errors.push(`Loop node ${node.id} missing items or maxIterations`);
+          }
+          const branches = edges.filter(e => e.source === node.id).map(e => this.getEdgeBranch(e));
+          if (!branches.includes('loop')) {
+            errors.push(`Loop node ${node.id} missing a "loop" edge to its body`);
+          }
+          const conditionError = config.condition && expressionEvaluator.validateCondition(config.condition);
+          if (conditionError) {
+            errors.push(`Loop node ${node.id} has an invalid condition: ${conditionError}`);
+          }
+          break;
+        }
+
+        case "delay": {
+          const config = this.getNodeConfig(node);
+          if (config.delayMs === undefined && config.duration === undefined && !config.until) {
+            errors.push(`Delay node ${node.id} missing delayMs, duration or until`);
+          }
+          break;
+        }
+
+        case "webhook":
+          if (!this.getNodeConfig(node).url) {
+            errors.push(`Webhook node ${node.id} missing url`);
+          }
+          break;
+
+        case "subworkflow": {
+          const subworkflowConfig = this.getNodeConfig(node);
+          if (!subworkflowConfig.workflowId && !subworkflowConfig.templateId) {
+            errors.push(`Subworkflow node ${node.id} missing workflowId or templateId`);
+          }
+          if (workflow._id && String(subworkflowConfig.workflowId) === String(workflow._id)) {
+            errors.push(`Subworkflow node ${node.id} cannot call its own workflow`);
+          }
+          const { outputMapping } = subworkflowConfig;
+          if (outputMapping !== undefined && (typeof outputMapping !== "object" || Array.isArray(outputMapping))) {
+            errors.push(`Subworkflow node ${node.id} outputMapping must be an object`);
+          }
+          break;
+        }
+
+        case "parallel":
+        case "merge":
+          break;
+
         case "start":
         case "end":
           // Start/end nodes are always valid
@@ -1420,6 +3235,17 @@ class LangGraphWorkflowService {
           warnings.push(`Node ${node.id} has unknown type: ${node.type}`);
       }
 
+      const retryPolicy = this.getNodeConfig(node).retryPolicy;
+      const retryStrategy = typeof retryPolicy === 'string' ? retryPolicy : retryPolicy?.strategy;
+      if (retryStrategy && !['none', 'linear', 'exponential'].includes(retryStrategy)) {
+        errors.push(`Node ${node.id} has invalid retry strategy: ${retryStrategy}`);
+      }
+
+      const { timeoutMs } = this.getNodeConfig(node);
+      if (timeoutMs !== undefined && !(Number(timeoutMs) > 0)) {
+        errors.push(`Node ${node.id} timeoutMs must be a positive number`);
+      }
+
       // Check for data vs config confusion (common migration issue)
       if (node.data?.prompt || node.data?.tools || node.data?.code) {
         warnings.push(`Node ${node.id} has execution config in 'data' instead of 'config' - this may cause issues`);
@@ -1445,8 +3271,8 @@ class LangGraphWorkflowService {
         errors.push(`Edge references non-existent target node: ${edge.target}`);
       }
 
-      // Validate conditional edges
-      if (edge.condition) {
+      // Validate conditional edges (plain-word string conditions name a branch or decision)
+      if (edge.condition && typeof edge.condition === 'object' && edge.condition.expression === undefined) {
         if (!edge.condition.field) {
           errors.push(`Conditional edge from ${edge.source} missing condition.field`);
         }
@@ -1454,6 +3280,13 @@ class LangGraphWorkflowService {
           errors.push(`Conditional edge from ${edge.source} missing condition.operator`);
         }
       }
+      const isExpression = typeof edge.condition === 'object'
+        ? Boolean(edge.condition?.field || edge.condition?.expression !== undefined)
+        : edge.condition && !/^[\w-]+$/.test(String(edge.condition).trim());
+      const conditionError = isExpression && expressionEvaluator.validateCondition(edge.condition);
+      if (conditionError) {
+        errors.push(`Conditional edge from ${edge.source} has an invalid condition: ${conditionError}`);
+      }
     }
 
     // Graph structure validation
@@ -1487,6 +3320,10 @@ class LangGraphWorkflowService {
       warnings.push("Workflow contains cycles - ensure rejection loops have proper termination conditions");
     }
 
+    const contracts = this.validateNodeContracts(workflow, nodeMap);
+    errors.push(...contracts.errors);
+    warnings.push(...contracts.warnings);
+
     return {
       valid: errors.length === 0,
       errors,
@@ -1502,6 +3339,131 @@ class LangGraphWorkflowService {
     };
   }
 
+  /**
+   * Check node data contracts: each `outputSchema` compiles, and every
+   * `inputMapping` source points at a workflow input or at an upstream node's
+   * output field that its output schema allows
+   */
+  validateNodeContracts(workflow, nodeMap) {
+    const errors = [];
+    const warnings = [];
+    const { nodes = [], edges = [] } = workflow;
+    const inputSchema = schemaValidator.getInputSchema(workflow);
+
+    const outputSchemas = new Map();
+    for (const node of nodes) {
+      const { outputSchema } = this.getNodeConfig(node);
+      if (outputSchema === undefined) continue;
+      if (!outputSchema || typeof outputSchema !== "object" || Array.isArray(outputSchema)) {
+        errors.push(`Node ${node.id} outputSchema must be an object`);
+        continue;
+      }
+      try {
+        schemaValidator.validate(outputSchema, null);
+        outputSchemas.set(node.id, schemaValidator.toJsonSchema(outputSchema));
+      } catch (error) {
+        errors.push(`Node ${node.id} has an invalid outputSchema: ${error.message}`);
+      }
+    }
+
+    for (const node of nodes) {
+      const { inputMapping } = this.getNodeConfig(node);
+      if (inputMapping === undefined) continue;
+      if (!inputMapping || typeof inputMapping !== "object" || Array.isArray(inputMapping)) {
+        errors.push(`Node ${node.id} inputMapping must be an object`);
+        continue;
+      }
+
+      const upstream = this.getUpstreamNodes(node.id, edges);
+      for (const [key, source] of Object.entries(inputMapping)) {
+        if (typeof source !== "string") continue; // Literal value
+
+        let paths;
+        try {
+          paths = source.includes("{{")
+            ? [...source.matchAll(/\{\{([^}]+)\}\}/g)].flatMap(([, expression]) => expressionEvaluator.references(expression))
+            : [source.split(".")];
+        } catch (error) {
+          errors.push(`Node ${node.id} inputMapping.${key} has an invalid expression: ${error.message}`);
+          continue;
+        }
+
+        for (const [root, ...rest] of paths) {
+          const reference = [root, ...rest].join(".");
+          if (nodeMap.has(root)) {
+            if (!upstream.has(root)) {
+              errors.push(`Node ${node.id} inputMapping.${key} references ${root}, which does not run before it`);
+            } else if (rest[0] === "output" && outputSchemas.get(root)) {
+              const missing = this.findMissingSchemaField(outputSchemas.get(root), rest.slice(1));
+              if (missing) {
+                errors.push(`Node ${node.id} inputMapping.${key} references ${reference}, but ${root} output has no field "${missing}"`);
+              }
+            }
+            continue;
+          }
+
+          // Anything else reads a workflow input
+          const inputPath = root === "inputs" ? rest : [root, ...rest];
+          if (inputPath.length === 0 || inputPath[0].startsWith("_")) continue; // Trigger metadata
+          if (!inputSchema) {
+            warnings.push(`Node ${node.id} inputMapping.${key} references ${reference}, which is neither a node nor a declared workflow input`);
+          } else {
+            const missing = this.findMissingSchemaField(inputSchema, inputPath);
+            if (missing) {
+              errors.push(`Node ${node.id} inputMapping.${key} references ${reference}, but the workflow has no input "${missing}"`);
+            }
+          }
+        }
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Ids of nodes with a path into `nodeId`
+   */
+  getUpstreamNodes(nodeId, edges) {
+    const upstream = new Set();
+    const pending = [nodeId];
+    while (pending.length) {
+      const target = pending.pop();
+      for (const edge of edges) {
+        if (edge.target === target && !upstream.has(edge.source)) {
+          upstream.add(edge.source);
+          pending.push(edge.source);
+        }
+      }
+    }
+    return upstream;
+  }
+
+  /**
+   * First segment of `path` a JSON Schema rules out, or null. Objects that list
+   * their properties only allow those unless `additionalProperties` is set;
+   * anything the schema does not describe is not checked.
+   */
+  findMissingSchemaField(schema, path) {
+    let current = schema;
+    for (const segment of path) {
+      if (!current || typeof current !== "object") return null;
+      if (current.items && /^\d+$/.test(segment)) {
+        current = current.items;
+      } else if (current.properties) {
+        if (Object.prototype.hasOwnProperty.call(current.properties, segment)) {
+          current = current.properties[segment];
+        } else if (current.additionalProperties) {
+          return null;
+        } else {
+          return segment;
+        }
+      } else {
+        return null;
+      }
+    }
+    return null;
+  }
+
   /**
    * Detect cycles in workflow graph (for validation warnings)
    */
@@ -0,0 +1,103 @@
+/**
+ * In-process storage for ExecutionJobQueue
+ *
+ * Same contract as RedisJobQueueAdapter, for tests and single-process
+ * deployments. Jobs do not survive a restart.
+ */
+
+class MemoryJobQueueAdapter {
+  constructor() {
+    this.payloads = new Map(); // jobId -> job
+    this.attempts = new Map(); // jobId -> times claimed
+    this.pending = []; // jobIds, next claim first
+    this.active = new Map(); // jobId -> { workerId, leaseUntil }
+    this.dead = [];
+    this.workers = new Map(); // workerId -> heartbeat info
+  }
+
+  async enqueue(job) {
+    this.payloads.set(job.id, { ...job });
+    this.pending.push(job.id);
+  }
+
+  async claim(workerId, leaseUntil) {
+    const id = this.pending.shift();
+    if (!id) return null;
+
+    this.active.set(id, { workerId, leaseUntil });
+    this.attempts.set(id, (this.attempts.get(id) || 0) + 1);
+    return { ...this.payloads.get(id), attempts: this.attempts.get(id) };
+  }
+
+  async renew(workerId, jobIds, leaseUntil) {
+    return jobIds.filter(id => {
+      const lease = this.active.get(id);
+      if (!lease || lease.workerId !== workerId) return false;
+      lease.leaseUntil = leaseUntil;
+      return true;
+    });
+  }
+
+  async ack(jobId) {
+    this.active.delete(jobId);
+    this.payloads.delete(jobId);
+    this.attempts.delete(jobId);
+  }
+
+  async has(jobId) {
+    return this.payloads.has(jobId);
+  }
+
+  async reclaim(now, maxAttempts) {
+    const requeued = [];
+    const dead = [];
+
+    for (const [id, lease] of this.active) {
+      if (lease.leaseUntil > now) continue;
+
+      this.active.delete(id);
+      const job = { ...this.payloads.get(id), attempts: this.attempts.get(id) || 0 };
+
+      if (job.attempts >= maxAttempts) {
+        this.dead.push(id);
+        dead.push(job);
+      } else {
+        this.pending.unshift(id); // Reclaimed work goes ahead of new jobs
+        requeued.push(job);
+      }
+    }
+
+    return { requeued, dead };
+  }
+
+  async heartbeat(workerId, info) {
+    this.workers.set(workerId, { ...info });
+  }
+
+  async removeWorker(workerId) {
+    this.workers.delete(workerId);
+  }
+
+  async listWorkers() {
+    return [...this.workers.entries()].map(([workerId, info]) => ({ workerId, ...info }));
+  }
+
+  async stats() {
+    return {
+      pending: this.pending.length,
+      active: this.active.size,
+      dead: this.dead.length
+    };
+  }
+
+  // Engines and subscribers share one process, so events need no relay
+  async publishEvent() {}
+
+  async subscribeEvents() {
+    return () => {};
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryJobQueueAdapter;
@@ -0,0 +1,36 @@
+/**
+ * In-process storage for LLMResponseCache
+ *
+ * Same contract as RedisLLMCacheAdapter. A least-recently-used map capped at
+ * `maxEntries`; entries do not survive a restart and are not shared between
+ * processes.
+ */
+
+class MemoryLLMCacheAdapter {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = MemoryLLMCacheAdapter;
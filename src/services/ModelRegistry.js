@@ -0,0 +1,481 @@
+const fs = require("fs");
+const { ChatOpenAI } = require("@langchain/openai");
+const { ChatAnthropic } = require("@langchain/anthropic");
+const { ModelDefinition } = require("../models");
+const SecretService = require("./SecretService");
+const workflowLogger = require("../utils/workflowLogger");
+const { ValidationError, NotFoundError } = require("../middleware/errorHandler");
+
+// API-registered models are re-read at most this often, so every process picks up changes
+const REFRESH_MS = 60 * 1000;
+
+// Failures that are the run's own doing, never the provider's
+const NON_RETRYABLE_CODES = ["BUDGET_EXCEEDED", "CANCELLED", "NODE_TIMEOUT", "EXECUTION_TIMEOUT"];
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+// Provider type -> chat client factory
+const CLIENTS = {
+  openai: ({ model, apiKey, baseURL, params }) => new ChatOpenAI({
+    ...params,
+    model,
+    apiKey,
+    ...(baseURL && { configuration: { baseURL } }),
+  }),
+  anthropic: ({ model, apiKey, baseURL, params }) => {
+    const { streamUsage, timeout, ...rest } = params; // streamUsage is OpenAI-only; Anthropic always reports usage
+    return new ChatAnthropic({
+      ...rest,
+      model,
+      apiKey,
+      ...(baseURL && { anthropicApiUrl: baseURL }),
+      ...(timeout && { clientOptions: { timeout } }),
+    });
+  },
+  // Any server speaking the OpenAI chat API (Ollama, vLLM, LM Studio, ...); most need no key
+  "openai-compatible": (options) => CLIENTS.openai({ ...options, apiKey: options.apiKey || "not-needed" }),
+};
+
+const defaultProviders = () => ({
+  openai: { type: "openai", credentials: "env:OPENAI_API_KEY" },
+  anthropic: { type: "anthropic", credentials: "env:ANTHROPIC_API_KEY" },
+  local: {
+    type: "openai-compatible",
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || "http://localhost:11434/v1",
+    credentials: "env:OPENAI_COMPATIBLE_API_KEY",
+  },
+});
+
+const OPENAI_CHAT = { streaming: true, tools: true, structuredOutput: true };
+const CLAUDE = { streaming: true, tools: true, structuredOutput: true };
+
+const DEFAULT_MODELS = [
+  { provider: "openai", model: "gpt-4o-mini", label: "GPT-4o mini", contextWindow: 128000, capabilities: { ...OPENAI_CHAT, vision: true } },
+  { provider: "openai", model: "gpt-4o", label: "GPT-4o", contextWindow: 128000, capabilities: { ...OPENAI_CHAT, vision: true } },
+  { provider: "openai", model: "gpt-4.1", label: "GPT-4.1", contextWindow: 1047576, capabilities: { ...OPENAI_CHAT, vision: true } },
+  { provider: "openai", model: "gpt-4.1-mini", label: "GPT-4.1 mini", contextWindow: 1047576, capabilities: { ...OPENAI_CHAT, vision: true } },
+  { provider: "openai", model: "gpt-4-turbo", label: "GPT-4 Turbo", contextWindow: 128000, capabilities: { ...OPENAI_CHAT, vision: true } },
+  { provider: "openai", model: "gpt-4", label: "GPT-4", contextWindow: 8192, capabilities: { ...OPENAI_CHAT, vision: false } },
+  { provider: "openai", model: "gpt-3.5-turbo", label: "GPT-3.5 Turbo", contextWindow: 16385, capabilities: { ...OPENAI_CHAT, vision: false } },
+  { provider: "anthropic", model: "claude-3-5-sonnet-latest", label: "Claude 3.5 Sonnet", contextWindow: 200000, capabilities: { ...CLAUDE, vision: true } },
+  { provider: "anthropic", model: "claude-3-5-haiku-latest", label: "Claude 3.5 Haiku", contextWindow: 200000, capabilities: { ...CLAUDE, vision: false } },
+];
+
+const DEFAULT_PARAMS = { temperature: 0.7 };
+
+const CREDENTIALS_REFERENCE = /^(env:[A-Za-z_][A-Za-z0-9_]*|\{\{\s*secrets\.[A-Za-z_][A-Za-z0-9_]*\s*\}\})$/;
+
+// Environment variables `env:` credentials may name: the built-in providers' keys and LLM_*.
+// Anything else (JWT_SECRET, MONGODB_URI, ...) could be sent to a registered baseURL.
+const PROVIDER_KEY_VARIABLES = Object.values(defaultProviders()).map((provider) => provider.credentials.slice(4));
+const isCredentialsVariable = (name) => PROVIDER_KEY_VARIABLES.includes(name) || /^LLM_[A-Z0-9_]+$/.test(name);
+
+let shared = null;
+
+/**
+ * The chat models LLM and agent nodes can use, selected as `provider:model`
+ * (e.g. "openai:gpt-4o-mini", "anthropic:claude-3-5-haiku-latest",
+ * "local:llama3.1"). A bare name is looked up among the registered models and
+ * otherwise taken as an OpenAI model, so existing workflows keep working.
+ *
+ * Entries come from the built-in defaults, then MODEL_REGISTRY_FILE (JSON with
+ * `providers` and `models`), then models registered through /api/models; later
+ * sources win. Credentials are references - "env:NAME" or "{{secrets.NAME}}"
+ * from the execution's Noam account - never raw keys. An entry's `fallbacks`
+ * are the models tried when it is rate-limited or down (see runWithFallbacks).
+ */
+class ModelRegistry {
+  static shared() {
+    if (!shared) {
+      shared = new ModelRegistry();
+    }
+    return shared;
+  }
+
+  constructor({ file = process.env.MODEL_REGISTRY_FILE } = {}) {
+    this.file = file;
+    this.providers = defaultProviders();
+    this.staticModels = new Map();
+    this.models = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+
+    for (const entry of DEFAULT_MODELS) {
+      this.addModel(this.staticModels, entry, "default");
+    }
+    this.loadFile();
+    this.models = new Map(this.staticModels);
+  }
+
+  /**
+   * Merge providers and models from MODEL_REGISTRY_FILE
+   */
+  loadFile() {
+    if (!this.file) return;
+
+    try {
+      const { providers = {}, models = [] } = JSON.parse(fs.readFileSync(this.file, "utf8"));
+
+      for (const [name, provider] of Object.entries(providers)) {
+        const merged = { ...this.providers[name], ...provider };
+        if (!CLIENTS[merged.type]) {
+          throw new Error(`provider ${name} has unknown type "${merged.type}"`);
+        }
+        this.providers[name] = merged;
+      }
+      for (const entry of models) {
+        const errors = this.validateDefinition(entry);
+        if (errors.length) {
+          workflowLogger.error("Skipping invalid model in MODEL_REGISTRY_FILE", { model: `${entry.provider}:${entry.model}`, errors });
+          continue;
+        }
+        this.addModel(this.staticModels, entry, "file");
+      }
+    } catch (error) {
+      workflowLogger.error("Ignoring invalid MODEL_REGISTRY_FILE", { file: this.file, error: error.message });
+    }
+  }
+
+  addModel(models, { provider, model, label, params, capabilities, contextWindow, baseURL, credentials, fallbacks }, source) {
+    const key = `${provider}:${model}`;
+    const existing = models.get(key) || {};
+    models.set(key, {
+      key,
+      provider,
+      model,
+      label: label || existing.label || model,
+      params: { ...DEFAULT_PARAMS, ...existing.params, ...params },
+      capabilities: { ...existing.capabilities, ...capabilities },
+      contextWindow: contextWindow || existing.contextWindow || null,
+      baseURL: baseURL || existing.baseURL,
+      credentials: credentials || existing.credentials,
+      fallbacks: fallbacks?.length ? fallbacks : existing.fallbacks || [],
+      source,
+    });
+  }
+
+  /**
+   * Re-read API-registered models when the cached copy is stale (or `force`)
+   */
+  async refresh(force = false) {
+    if (!force && Date.now() - this.loadedAt < REFRESH_MS) return;
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      try {
+        const definitions = await ModelDefinition.find().lean();
+        const models = new Map(this.staticModels);
+        for (const definition of definitions) {
+          if (this.providers[definition.provider]) {
+            this.addModel(models, definition, "api");
+          }
+        }
+        this.models = models;
+      } catch (error) {
+        workflowLogger.warn("Could not load registered models; using defaults", { error: error.message });
+      } finally {
+        this.loadedAt = Date.now();
+        this.loading = null;
+      }
+    })();
+    return this.loading;
+  }
+
+  /**
+   * `{ provider, model }` of a model reference
+   */
+  parseRef(ref) {
+    const text = String(ref || "").trim();
+    const separator = text.indexOf(":");
+    if (separator > 0 && this.providers[text.slice(0, separator)]) {
+      return { provider: text.slice(0, separator), model: text.slice(separator + 1) };
+    }
+
+    const registered = [...this.models.values()].find((spec) => spec.model === text);
+    return registered
+      ? { provider: registered.provider, model: registered.model }
+      : { provider: "openai", model: text };
+  }
+
+  /**
+   * Everything needed to build a client for a model reference. Models a
+   * provider serves but the registry does not list (any Ollama model, say)
+   * resolve with the provider's settings and unknown capabilities.
+   */
+  resolve(ref) {
+    const { provider, model } = this.parseRef(ref);
+    if (!model) {
+      throw new Error(`Invalid model reference "${ref}"; expected provider:model`);
+    }
+
+    const providerConfig = this.providers[provider];
+    const spec = this.models.get(`${provider}:${model}`) || {
+      key: `${provider}:${model}`,
+      provider,
+      model,
+      label: model,
+      params: { ...DEFAULT_PARAMS },
+      capabilities: {},
+      contextWindow: null,
+      fallbacks: [],
+      source: "unregistered",
+    };
+
+    return {
+      ...spec,
+      type: providerConfig.type,
+      baseURL: spec.baseURL || providerConfig.baseURL,
+      credentials: spec.credentials || providerConfig.credentials,
+    };
+  }
+
+  /**
+   * False only when the registry says the model lacks a capability
+   */
+  supports(spec, capability) {
+    return spec.capabilities?.[capability] !== false;
+  }
+
+  /**
+   * A chat client for `ref` with the model's default params overridden by
+   * `params`. An explicit `apiKey` wins over the model's credentials;
+   * `resolveSecrets(names)` decrypts {{secrets.NAME}} credentials for the
+   * running execution. Returns `{ model, spec }`.
+   */
+  async createChatModel(ref, params = {}, { apiKey, resolveSecrets } = {}) {
+    await this.refresh();
+    const spec = this.resolve(ref);
+    const overrides = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+
+    const model = CLIENTS[spec.type]({
+      model: spec.model,
+      apiKey: apiKey || await this.resolveCredentials(spec, resolveSecrets),
+      baseURL: spec.baseURL,
+      params: { ...spec.params, ...overrides },
+    });
+    return { model, spec };
+  }
+
+  async resolveCredentials({ key, credentials }, resolveSecrets) {
+    if (!credentials) return undefined;
+    if (credentials.startsWith("env:")) {
+      const name = credentials.slice(4);
+      if (!isCredentialsVariable(name)) {
+        throw new Error(`Model ${key} credentials cannot read ${name}; use a provider key variable or an LLM_* one`);
+      }
+      return process.env[name] || undefined;
+    }
+
+    const names = SecretService.findReferences(credentials);
+    if (!resolveSecrets) {
+      throw new Error(`Model ${key} uses account secrets (${names.join(", ")}) but no execution account is available`);
+    }
+    return SecretService.substitute(credentials, await resolveSecrets(names));
+  }
+
+  /**
+   * Models to try for a node, in order: `ref`, then `fallbacks` (the node's,
+   * else the registry entry's). Entries are references or
+   * `{ model, retries, timeoutMs, apiKey }`.
+   */
+  resolveChain(ref, fallbacks) {
+    const primary = this.resolve(ref);
+    const entries = [{ model: ref }, ...(fallbacks?.length ? fallbacks : primary.fallbacks)]
+      .map((entry) => (typeof entry === "string" ? { model: entry } : entry));
+
+    return entries.map((entry) => ({ ...entry, spec: this.resolve(entry.model) }));
+  }
+
+  /**
+   * Rate limits, server errors, timeouts and dropped connections - failures
+   * another model (or a later attempt) may not have
+   */
+  isRetryable(error) {
+    if (!error || NON_RETRYABLE_CODES.includes(error.code) || error.name === "AbortError") {
+      return false;
+    }
+
+    const status = error.status ?? error.response?.status;
+    if (status === 429 || status >= 500) return true;
+    if (error.lc_error_code === "MODEL_RATE_LIMIT" || error.name === "TimeoutError") return true;
+    if (/APIConnection/.test(error.constructor?.name || "")) return true;
+    return NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_CODES.includes(error.cause?.code);
+  }
+
+  /**
+   * Run `call(model, spec)` against the node's model chain (see resolveChain)
+   * until a model answers. Each model gets its own `retries` (default 0); a retryable
+   * failure then moves on to the next model, anything else is thrown at once.
+   * `params` apply to every model, `apiKey` and `retries` only to the first.
+   * `onAttempt(spec)` runs before each model, `onFallback(spec, error)` after
+   * each one given up on. Returns `{ result, spec }` of the model that answered.
+   */
+  async runWithFallbacks(ref, fallbacks, call, { params = {}, apiKey, retries: firstRetries, resolveSecrets, onAttempt, onFallback } = {}) {
+    await this.refresh();
+    const chain = this.resolveChain(ref, fallbacks);
+    chain[0].retries = firstRetries;
+
+    for (const [index, entry] of chain.entries()) {
+      // The client only retries when asked to; otherwise the engine's node retry policy does
+      const { model, spec } = await this.createChatModel(
+        entry.model,
+        { ...params, maxRetries: entry.retries ?? 0, timeout: entry.timeoutMs },
+        { apiKey: index === 0 ? apiKey : entry.apiKey, resolveSecrets }
+      );
+      onAttempt?.(spec);
+
+      try {
+        return { result: await call(model, spec), spec };
+      } catch (error) {
+        const next = chain[index + 1];
+        if (!next || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        workflowLogger.warn("Model failed - falling back", { model: spec.key, fallback: next.spec.key, error: error.message });
+        onFallback?.(spec, error);
+      }
+    }
+  }
+
+  /**
+   * Whether a model's credentials are present: env references are checked,
+   * account secrets are only known at run time (null)
+   */
+  isConfigured(spec) {
+    if (!spec.credentials) return true;
+    if (!spec.credentials.startsWith("env:")) return null;
+    return spec.type === "openai-compatible" || Boolean(process.env[spec.credentials.slice(4)]);
+  }
+
+  /**
+   * Registered models with their capabilities
+   */
+  async listModels() {
+    await this.refresh();
+    return [...this.models.values()].map((entry) => {
+      const spec = this.resolve(entry.key);
+      return {
+        key: spec.key,
+        provider: spec.provider,
+        type: spec.type,
+        model: spec.model,
+        label: spec.label,
+        capabilities: spec.capabilities,
+        contextWindow: spec.contextWindow,
+        params: spec.params,
+        fallbacks: spec.fallbacks,
+        credentials: spec.credentials,
+        configured: this.isConfigured(spec),
+        source: spec.source,
+      };
+    });
+  }
+
+  listProviders() {
+    return Object.entries(this.providers).map(([name, { type, baseURL, credentials }]) => ({ name, type, baseURL, credentials }));
+  }
+
+  /**
+   * Problems with a model definition, empty when it is valid
+   */
+  validateDefinition(definition) {
+    const errors = [];
+    const { provider, model, params, capabilities, contextWindow, credentials, baseURL, fallbacks } = definition || {};
+
+    if (!this.providers[provider]) {
+      errors.push(`provider must be one of ${Object.keys(this.providers).join(", ")}`);
+    }
+    if (typeof model !== "string" || !model.trim()) {
+      errors.push("model is required");
+    }
+    if (params !== undefined && (params === null || typeof params !== "object" || Array.isArray(params))) {
+      errors.push("params must be an object");
+    }
+    if (capabilities !== undefined && (capabilities === null || typeof capabilities !== "object" ||
+      Object.values(capabilities).some((value) => typeof value !== "boolean"))) {
+      errors.push("capabilities must map capability names to true or false");
+    }
+    if (contextWindow !== undefined && !(Number(contextWindow) > 0)) {
+      errors.push("contextWindow must be a positive number");
+    }
+    if (credentials !== undefined && !CREDENTIALS_REFERENCE.test(credentials)) {
+      errors.push('credentials must be "env:NAME" or "{{secrets.NAME}}", not a key');
+    } else if (credentials?.startsWith("env:") && !isCredentialsVariable(credentials.slice(4))) {
+      errors.push(`credentials env: variables must be ${PROVIDER_KEY_VARIABLES.join(", ")} or start with LLM_`);
+    }
+    if (baseURL !== undefined && !/^https?:\/\//.test(baseURL)) {
+      errors.push("baseURL must be an http(s) URL");
+    }
+    errors.push(...this.validateFallbacks(fallbacks));
+    if (Array.isArray(fallbacks) && fallbacks.some((entry) => entry?.apiKey)) {
+      errors.push("fallbacks cannot carry keys; give the fallback model credentials instead");
+    }
+    return errors;
+  }
+
+  /**
+   * Problems with a fallback list (a node's llm.fallbacks or a registry entry's)
+   */
+  validateFallbacks(fallbacks) {
+    if (fallbacks === undefined) return [];
+    if (!Array.isArray(fallbacks)) return ["fallbacks must be an array"];
+
+    const errors = [];
+    for (const entry of fallbacks) {
+      const ref = typeof entry === "string" ? entry : entry?.model;
+      if (typeof ref !== "string" || !ref.trim()) {
+        errors.push("each fallback must be a model reference or { model, retries, timeoutMs }");
+      } else if (typeof entry === "object" && ((entry.retries !== undefined && !(Number.isInteger(entry.retries) && entry.retries >= 0)) ||
+        (entry.timeoutMs !== undefined && !(Number(entry.timeoutMs) > 0)))) {
+        errors.push(`fallback ${ref}: retries must be a whole number and timeoutMs positive`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Add or replace an API-registered model
+   */
+  async register(definition, userId) {
+    const errors = this.validateDefinition(definition);
+    if (errors.length) {
+      throw new ValidationError(errors.join(", "), { errors });
+    }
+
+    const { provider, model, label, params, capabilities, contextWindow, baseURL, credentials, fallbacks } = definition;
+    const key = `${provider}:${model.trim()}`;
+    await ModelDefinition.findOneAndUpdate(
+      { key },
+      {
+        key,
+        provider,
+        model: model.trim(),
+        label,
+        params: params || {},
+        capabilities: capabilities || {},
+        contextWindow: contextWindow !== undefined ? Number(contextWindow) : undefined,
+        baseURL,
+        credentials,
+        fallbacks: fallbacks || [],
+        updatedBy: userId,
+      },
+      { upsert: true, new: true }
+    );
+
+    await this.refresh(true);
+    return (await this.listModels()).find((entry) => entry.key === key);
+  }
+
+  /**
+   * Remove an API-registered model; defaults and file entries stay
+   */
+  async unregister(key) {
+    const { deletedCount } = await ModelDefinition.deleteOne({ key });
+    if (!deletedCount) {
+      throw new NotFoundError(`Model ${key} is not registered through the API`);
+    }
+    await this.refresh(true);
+  }
+}
+
+module.exports = ModelRegistry;
@@ -0,0 +1,203 @@
+/**
+ * MongoDB-backed LangGraph checkpointer
+ *
+ * Stores checkpoints and pending writes so a paused or interrupted execution
+ * can continue from its last super-step after a server restart.
+ * Threads are keyed `thread_${executionId}`.
+ */
+
+const {
+  BaseCheckpointSaver,
+  WRITES_IDX_MAP,
+  copyCheckpoint,
+  getCheckpointId
+} = require("@langchain/langgraph-checkpoint");
+const { WorkflowCheckpoint, WorkflowCheckpointWrite } = require("../models");
+
+class MongoCheckpointSaver extends BaseCheckpointSaver {
+  constructor(serde) {
+    super(serde);
+  }
+
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+    const checkpointId = getCheckpointId(config);
+
+    const query = { threadId, checkpointNs };
+    if (checkpointId) {
+      query.checkpointId = checkpointId;
+    }
+
+    // Checkpoint ids are time-ordered, so the highest id is the latest
+    const doc = await WorkflowCheckpoint.findOne(query).sort({ checkpointId: -1 }).lean();
+    if (!doc) {
+      return undefined;
+    }
+
+    return this.toTuple(doc);
+  }
+
+  async *list(config, options = {}) {
+    const { before, limit, filter } = options;
+    const query = {};
+
+    if (config.configurable?.thread_id) {
+      query.threadId = config.configurable.thread_id;
+    }
+    if (config.configurable?.checkpoint_ns !== undefined) {
+      query.checkpointNs = config.configurable.checkpoint_ns;
+    }
+    if (config.configurable?.checkpoint_id) {
+      query.checkpointId = config.configurable.checkpoint_id;
+    }
+    if (before?.configurable?.checkpoint_id) {
+      query.checkpointId = { $lt: before.configurable.checkpoint_id };
+    }
+
+    const cursor = WorkflowCheckpoint.find(query).sort({ checkpointId: -1 }).lean().cursor();
+    let remaining = limit;
+
+    for await (const doc of cursor) {
+      if (remaining !== undefined && remaining <= 0) {
+        break;
+      }
+
+      const tuple = await this.toTuple(doc);
+      if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) {
+        continue;
+      }
+
+      if (remaining !== undefined) {
+        remaining -= 1;
+      }
+      yield tuple;
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+
+    if (threadId === undefined) {
+      throw new Error('Failed to put checkpoint: config is missing configurable.thread_id');
+    }
+
+    const [[type, serializedCheckpoint], [, serializedMetadata]] = await Promise.all([
+      this.serde.dumpsTyped(copyCheckpoint(checkpoint)),
+      this.serde.dumpsTyped(metadata)
+    ]);
+
+    await WorkflowCheckpoint.updateOne(
+      { threadId, checkpointNs, checkpointId: checkpoint.id },
+      {
+        $set: {
+          parentCheckpointId: config.configurable?.checkpoint_id,
+          type,
+          checkpoint: Buffer.from(serializedCheckpoint),
+          metadata: Buffer.from(serializedMetadata)
+        }
+      },
+      { upsert: true }
+    );
+
+    return {
+      configurable: {
+        thread_id: threadId,
+        checkpoint_ns: checkpointNs,
+        checkpoint_id: checkpoint.id
+      }
+    };
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+    const checkpointId = config.configurable?.checkpoint_id;
+
+    if (threadId === undefined || checkpointId === undefined) {
+      throw new Error('Failed to put writes: config is missing configurable.thread_id or checkpoint_id');
+    }
+
+    const operations = await Promise.all(writes.map(async ([channel, value], index) => {
+      const [type, serializedValue] = await this.serde.dumpsTyped(value);
+      const idx = WRITES_IDX_MAP[channel] ?? index;
+      const filter = { threadId, checkpointNs, checkpointId, taskId, idx };
+      const doc = { ...filter, channel, type, value: Buffer.from(serializedValue) };
+
+      // Special channels (errors, interrupts) overwrite; regular writes are recorded once
+      return idx < 0
+        ? { updateOne: { filter, update: { $set: doc }, upsert: true } }
+        : { updateOne: { filter, update: { $setOnInsert: doc }, upsert: true } };
+    }));
+
+    if (operations.length > 0) {
+      await WorkflowCheckpointWrite.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  async deleteThread(threadId) {
+    await Promise.all([
+      WorkflowCheckpoint.deleteMany({ threadId }),
+      WorkflowCheckpointWrite.deleteMany({ threadId })
+    ]);
+  }
+
+  /**
+   * Let a settled thread's checkpoints expire (TTL index on expiresAt)
+   */
+  async expireThread(threadId, expiresAt) {
+    await Promise.all([
+      WorkflowCheckpoint.updateMany({ threadId }, { $set: { expiresAt } }),
+      WorkflowCheckpointWrite.updateMany({ threadId }, { $set: { expiresAt } })
+    ]);
+  }
+
+  /**
+   * Deserialize a stored checkpoint and its pending writes
+   */
+  async toTuple(doc) {
+    const writes = await WorkflowCheckpointWrite.find({
+      threadId: doc.threadId,
+      checkpointNs: doc.checkpointNs,
+      checkpointId: doc.checkpointId
+    }).sort({ taskId: 1, idx: 1 }).lean();
+
+    const tuple = {
+      config: {
+        configurable: {
+          thread_id: doc.threadId,
+          checkpoint_ns: doc.checkpointNs,
+          checkpoint_id: doc.checkpointId
+        }
+      },
+      checkpoint: await this.serde.loadsTyped(doc.type, this.toBytes(doc.checkpoint)),
+      metadata: await this.serde.loadsTyped("json", this.toBytes(doc.metadata)),
+      pendingWrites: await Promise.all(writes.map(async write => [
+        write.taskId,
+        write.channel,
+        await this.serde.loadsTyped(write.type, this.toBytes(write.value))
+      ]))
+    };
+
+    if (doc.parentCheckpointId) {
+      tuple.parentConfig = {
+        configurable: {
+          thread_id: doc.threadId,
+          checkpoint_ns: doc.checkpointNs,
+          checkpoint_id: doc.parentCheckpointId
+        }
+      };
+    }
+
+    return tuple;
+  }
+
+  // Lean queries return BSON Binary for Buffer fields
+  toBytes(value) {
+    if (!value) return new Uint8Array();
+    return typeof value.read === 'function' ? value.read(0, value.length()) : value;
+  }
+}
+
+module.exports = MongoCheckpointSaver;
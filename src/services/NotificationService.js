@@ -1,6 +1,18 @@
 const winston = require('winston');
 
+let shared = null;
+
 class NotificationService {
+  /**
+   * Process-wide instance, so in-app notifications sent by services are the ones users read
+   */
+  static shared() {
+    if (!shared) {
+      shared = new NotificationService();
+    }
+    return shared;
+  }
+
   constructor() {
     this.logger = winston.createLogger({
       level: 'info',
@@ -59,15 +71,18 @@ class NotificationService {
   }
 
   initInAppChannel() {
+    const notifications = new Map();
+
     return {
-      notifications: new Map(),
+      notifications,
       
       send: async (userId, notification) => {
-        if (!this.notifications.has(userId)) {
-          this.notifications.set(userId, []);
+        userId = String(userId);
+        if (!notifications.has(userId)) {
+          notifications.set(userId, []);
         }
         
-        const userNotifications = this.notifications.get(userId);
+        const userNotifications = notifications.get(userId);
         userNotifications.push({
           ...notification,
           id: this.generateNotificationId(),
@@ -84,12 +99,12 @@ class NotificationService {
       },
 
       getNotifications: (userId, limit = 50) => {
-        const userNotifications = this.notifications.get(userId) || [];
+        const userNotifications = notifications.get(String(userId)) || [];
         return userNotifications.slice(-limit).reverse();
       },
 
       markAsRead: (userId, notificationId) => {
-        const userNotifications = this.notifications.get(userId) || [];
+        const userNotifications = notifications.get(String(userId)) || [];
         const notification = userNotifications.find(n => n.id === notificationId);
         if (notification) {
           notification.read = true;
@@ -165,6 +180,29 @@ class NotificationService {
     await this.sendNotification(user, notification);
   }
 
+  async notifyBudgetThreshold(user, alert) {
+    const { label, period, limit, spent, threshold, hardCap } = alert;
+    const exceeded = threshold >= 100;
+    const notification = {
+      type: exceeded ? 'budget_exceeded' : 'budget_threshold',
+      title: exceeded ? 'LLM Budget Exceeded' : 'LLM Budget Warning',
+      message: exceeded
+        ? `The ${period} LLM budget of ${label} is spent ($${spent.toFixed(2)} of $${limit})${hardCap ? '; new executions are blocked' : ''}`
+        : `The ${period} LLM budget of ${label} is ${Math.floor((spent / limit) * 100)}% spent ($${spent.toFixed(2)} of $${limit})`,
+      data: {
+        scope: alert.scope,
+        scopeId: alert.scopeId,
+        period,
+        limit,
+        spent,
+        threshold,
+        hardCap
+      }
+    };
+
+    await this.sendNotification(user, notification);
+  }
+
   async sendNotification(user, notification) {
     try {
       const userId = user._id || user.id || user;
@@ -240,6 +278,8 @@ class NotificationService {
       case 'system_update':
         return preferences.systemUpdates === true;
       case 'resource_limit':
+      case 'budget_threshold':
+      case 'budget_exceeded':
         return preferences.resourceLimits !== false;
       default:
         return true;
@@ -263,6 +303,14 @@ class NotificationService {
       resource_limit: {
         subject: 'Resource Limit Warning',
         template: 'resource-limit.html'
+      },
+      budget_threshold: {
+        subject: 'LLM Budget Warning',
+        template: 'resource-limit.html'
+      },
+      budget_exceeded: {
+        subject: 'LLM Budget Exceeded',
+        template: 'resource-limit.html'
       }
     };
 
@@ -0,0 +1,210 @@
+/**
+ * Redis storage for ExecutionJobQueue
+ *
+ * Keys (under `prefix`):
+ *   :pending   list of job ids, claimed from the right
+ *   :payloads  hash job id -> job JSON
+ *   :attempts  hash job id -> times claimed
+ *   :active    sorted set job id -> lease expiry (ms)
+ *   :owners    hash job id -> worker id
+ *   :dead      list of job ids that ran out of attempts
+ *   :workers   hash worker id -> heartbeat JSON
+ *   :events    pub/sub channel relaying execution events to API nodes
+ *
+ * Claims, renewals and reclaims run as Lua scripts so two workers never
+ * take the same job.
+ */
+
+const { createClient } = require("redis");
+const workflowLogger = require("../utils/workflowLogger");
+
+const CLAIM_SCRIPT = `
+local id = redis.call('RPOP', KEYS[1])
+if not id then return false end
+local payload = redis.call('HGET', KEYS[5], id)
+if not payload then return false end
+redis.call('ZADD', KEYS[2], ARGV[2], id)
+redis.call('HSET', KEYS[3], id, ARGV[1])
+local attempts = redis.call('HINCRBY', KEYS[4], id, 1)
+return { payload, tostring(attempts) }
+`;
+
+const RENEW_SCRIPT = `
+local renewed = {}
+for i = 3, #ARGV do
+  if redis.call('HGET', KEYS[2], ARGV[i]) == ARGV[1] then
+    redis.call('ZADD', KEYS[1], 'XX', ARGV[2], ARGV[i])
+    table.insert(renewed, ARGV[i])
+  end
+end
+return renewed
+`;
+
+const RECLAIM_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+local result = {}
+for _, id in ipairs(ids) do
+  redis.call('ZREM', KEYS[1], id)
+  redis.call('HDEL', KEYS[2], id)
+  local attempts = tonumber(redis.call('HGET', KEYS[3], id) or '0')
+  local state = 'requeued'
+  if attempts >= tonumber(ARGV[2]) then
+    redis.call('LPUSH', KEYS[5], id)
+    state = 'dead'
+  else
+    redis.call('RPUSH', KEYS[4], id)
+  end
+  table.insert(result, state)
+  table.insert(result, tostring(attempts))
+  table.insert(result, redis.call('HGET', KEYS[6], id) or '{}')
+end
+return result
+`;
+
+class RedisJobQueueAdapter {
+  constructor(options = {}) {
+    this.prefix = options.prefix || "workflow:jobs";
+    this.client = createClient({
+      url: options.url || process.env.REDIS_URL,
+      password: options.password || process.env.REDIS_PASSWORD || undefined
+    });
+    this.client.on("error", error => {
+      workflowLogger.error("Redis job queue error", { error: error.message });
+    });
+    this.subscriber = null;
+    this.connecting = null;
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  async getClient() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect().then(() => this.client);
+    }
+    return this.connecting;
+  }
+
+  async enqueue(job) {
+    const client = await this.getClient();
+    await client.multi()
+      .hSet(this.key("payloads"), job.id, JSON.stringify(job))
+      .lPush(this.key("pending"), job.id)
+      .exec();
+  }
+
+  async claim(workerId, leaseUntil) {
+    const client = await this.getClient();
+    const result = await client.eval(CLAIM_SCRIPT, {
+      keys: ["pending", "active", "owners", "attempts", "payloads"].map(name => this.key(name)),
+      arguments: [workerId, String(leaseUntil)]
+    });
+
+    if (!result) return null;
+
+    const [payload, attempts] = result;
+    return { ...JSON.parse(payload), attempts: Number(attempts) };
+  }
+
+  async renew(workerId, jobIds, leaseUntil) {
+    if (!jobIds.length) return [];
+
+    const client = await this.getClient();
+    return client.eval(RENEW_SCRIPT, {
+      keys: [this.key("active"), this.key("owners")],
+      arguments: [workerId, String(leaseUntil), ...jobIds]
+    });
+  }
+
+  async ack(jobId) {
+    const client = await this.getClient();
+    await client.multi()
+      .zRem(this.key("active"), jobId)
+      .hDel(this.key("owners"), jobId)
+      .hDel(this.key("payloads"), jobId)
+      .hDel(this.key("attempts"), jobId)
+      .exec();
+  }
+
+  async has(jobId) {
+    const client = await this.getClient();
+    return Boolean(await client.hExists(this.key("payloads"), jobId));
+  }
+
+  async reclaim(now, maxAttempts) {
+    const client = await this.getClient();
+    const result = await client.eval(RECLAIM_SCRIPT, {
+      keys: ["active", "owners", "attempts", "pending", "dead", "payloads"].map(name => this.key(name)),
+      arguments: [String(now), String(maxAttempts)]
+    });
+
+    const requeued = [];
+    const dead = [];
+    for (let i = 0; i < result.length; i += 3) {
+      const job = { ...JSON.parse(result[i + 2]), attempts: Number(result[i + 1]) };
+      (result[i] === "dead" ? dead : requeued).push(job);
+    }
+
+    return { requeued, dead };
+  }
+
+  async heartbeat(workerId, info) {
+    const client = await this.getClient();
+    await client.hSet(this.key("workers"), workerId, JSON.stringify(info));
+  }
+
+  async removeWorker(workerId) {
+    const client = await this.getClient();
+    await client.hDel(this.key("workers"), workerId);
+  }
+
+  async listWorkers() {
+    const client = await this.getClient();
+    const workers = await client.hGetAll(this.key("workers"));
+    return Object.entries(workers).map(([workerId, info]) => ({ workerId, ...JSON.parse(info) }));
+  }
+
+  async stats() {
+    const client = await this.getClient();
+    const [pending, active, dead] = await Promise.all([
+      client.lLen(this.key("pending")),
+      client.zCard(this.key("active")),
+      client.lLen(this.key("dead"))
+    ]);
+    return { pending, active, dead };
+  }
+
+  async publishEvent(event) {
+    const client = await this.getClient();
+    await client.publish(this.key("events"), JSON.stringify(event));
+  }
+
+  async subscribeEvents(listener) {
+    if (!this.subscriber) {
+      const client = await this.getClient();
+      this.subscriber = client.duplicate();
+      this.subscriber.on("error", error => {
+        workflowLogger.error("Redis event relay error", { error: error.message });
+      });
+      await this.subscriber.connect();
+    }
+
+    const handler = message => listener(JSON.parse(message));
+    await this.subscriber.subscribe(this.key("events"), handler);
+    return () => this.subscriber.unsubscribe(this.key("events"), handler);
+  }
+
+  async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+    if (this.connecting) {
+      await this.client.quit();
+      this.connecting = null;
+    }
+  }
+}
+
+module.exports = RedisJobQueueAdapter;
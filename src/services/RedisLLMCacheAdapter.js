@@ -0,0 +1,58 @@
+/**
+ * Redis storage for LLMResponseCache
+ *
+ * One string key per response (`<prefix>:<hash>`) holding its JSON, expired
+ * by Redis. A cache must never hold up a model call: while Redis is
+ * unreachable commands fail fast instead of queueing, and LLMResponseCache
+ * treats the failure as a miss.
+ */
+
+const { createClient } = require("redis");
+const workflowLogger = require("../utils/workflowLogger");
+
+const CONNECT_TIMEOUT_MS = 1000;
+
+class RedisLLMCacheAdapter {
+  constructor(options = {}) {
+    this.prefix = options.prefix || "llm:cache";
+    this.client = createClient({
+      url: options.url || process.env.REDIS_URL,
+      password: options.password || process.env.REDIS_PASSWORD || undefined,
+      disableOfflineQueue: true
+    });
+    this.client.on("error", error => {
+      workflowLogger.error("Redis LLM cache error", { error: error.message });
+    });
+    this.connecting = null;
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  async getClient() {
+    // Only the first call waits for the connection; while Redis is down later calls miss at once
+    if (!this.connecting) {
+      this.connecting = this.client.connect().catch(() => null);
+      await Promise.race([this.connecting, new Promise(resolve => setTimeout(resolve, CONNECT_TIMEOUT_MS).unref())]);
+    }
+
+    if (!this.client.isReady) {
+      throw new Error("Redis LLM cache is not connected");
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    const value = await client.get(this.key(key));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const client = await this.getClient();
+    await client.set(this.key(key), JSON.stringify(value), { EX: ttlSeconds });
+  }
+}
+
+module.exports = RedisLLMCacheAdapter;
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const { Secret, User } = require("../models");
+const { AppError, ConflictError, NotFoundError, ValidationError } = require("../middleware/errorHandler");
+const secretRedactor = require("../utils/secretRedactor");
+
+const ALGORITHM = "aes-256-gcm";
+const SECRET_REFERENCE = /\{\{\s*secrets\.([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Account-scoped secrets vault. Values are encrypted with SECRETS_ENCRYPTION_KEY
+ * and only decrypted when a node that references `{{secrets.NAME}}` runs.
+ */
+class SecretService {
+  /**
+   * 32-byte key from SECRETS_ENCRYPTION_KEY (64 hex characters or base64)
+   */
+  static getKey() {
+    const raw = process.env.SECRETS_ENCRYPTION_KEY || "";
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+    if (key.length !== 32) {
+      throw new AppError("SECRETS_ENCRYPTION_KEY must be set to a 32-byte key (64 hex characters or base64)", 500);
+    }
+    return key;
+  }
+
+  static encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, SecretService.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    return {
+      ciphertext: ciphertext.toString("base64"),
+      iv: iv.toString("base64"),
+      authTag: cipher.getAuthTag().toString("base64"),
+    };
+  }
+
+  static decrypt({ ciphertext, iv, authTag }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, SecretService.getKey(), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(authTag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf8");
+  }
+
+  /**
+   * Names referenced as {{secrets.NAME}} anywhere in a value
+   */
+  static findReferences(value) {
+    const names = new Set();
+    const text = typeof value === "string" ? value : JSON.stringify(value ?? null);
+    for (const [, name] of text.matchAll(SECRET_REFERENCE)) {
+      names.add(name);
+    }
+    return [...names];
+  }
+
+  /**
+   * Copy of a value with {{secrets.NAME}} references replaced from `secrets`
+   */
+  static substitute(value, secrets) {
+    if (typeof value === "string") {
+      return value.replace(SECRET_REFERENCE, (match, name) => secrets[name] ?? match);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => SecretService.substitute(item, secrets));
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, SecretService.substitute(item, secrets)]));
+    }
+    return value;
+  }
+
+  async listSecrets(noamAccountId) {
+    return Secret.find({ noamAccountId }).sort({ name: 1 });
+  }
+
+  async getSecret(noamAccountId, name) {
+    const secret = await Secret.findOne({ noamAccountId, name });
+    if (!secret) {
+      throw new NotFoundError(`Secret ${name} not found`);
+    }
+    return secret;
+  }
+
+  async createSecret(noamAccountId, { name, value, description }, userId) {
+    if (!name || typeof value !== "string" || value === "") {
+      throw new ValidationError("name and a non-empty string value are required");
+    }
+    if (await Secret.exists({ noamAccountId, name })) {
+      throw new ConflictError(`Secret ${name} already exists`);
+    }
+
+    const secret = new Secret({
+      noamAccountId,
+      name,
+      description,
+      ...SecretService.encrypt(value),
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    await secret.save();
+    return secret;
+  }
+
+  /**
+   * Rotate the value and/or change the description
+   */
+  async updateSecret(noamAccountId, name, { value, description }, userId) {
+    const secret = await this.getSecret(noamAccountId, name);
+
+    if (value !== undefined) {
+      if (typeof value !== "string" || value === "") {
+        throw new ValidationError("value must be a non-empty string");
+      }
+      Object.assign(secret, SecretService.encrypt(value));
+    }
+    if (description !== undefined) {
+      secret.description = description;
+    }
+    secret.updatedBy = userId;
+
+    await secret.save();
+    return secret;
+  }
+
+  async deleteSecret(noamAccountId, name) {
+    const { deletedCount } = await Secret.deleteOne({ noamAccountId, name });
+    if (!deletedCount) {
+      throw new NotFoundError(`Secret ${name} not found`);
+    }
+  }
+
+  /**
+   * Decrypt the named secrets of an account for a running node.
+   * Every value is registered for redaction before it is returned.
+   */
+  async resolveSecrets(noamAccountId, names) {
+    if (names.length === 0) return {};
+    if (!noamAccountId) {
+      throw new Error(`Cannot resolve secrets (${names.join(", ")}): the execution has no Noam account`);
+    }
+
+    const secrets = await Secret.find({ noamAccountId, name: { $in: names } }).select("+ciphertext +iv +authTag");
+    const missing = names.filter((name) => !secrets.some((secret) => secret.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Secret not found: ${missing.join(", ")}`);
+    }
+
+    const values = {};
+    for (const secret of secrets) {
+      values[secret.name] = SecretService.decrypt(secret);
+      secretRedactor.register(values[secret.name]);
+    }
+
+    await Secret.updateMany({ _id: { $in: secrets.map((secret) => secret._id) } }, { $set: { lastUsedAt: new Date() } });
+    return values;
+  }
+
+  /**
+   * Copy of a node with its {{secrets.NAME}} references resolved, or the node
+   * itself when it has none
+   */
+  async resolveNodeSecrets(node, noamAccountId) {
+    const names = SecretService.findReferences([node.config, node.data]);
+    if (names.length === 0) return node;
+
+    const secrets = await this.resolveSecrets(noamAccountId, names);
+    const plain = typeof node.toObject === "function" ? node.toObject() : node;
+    return {
+      ...plain,
+      config: SecretService.substitute(plain.config, secrets),
+      data: SecretService.substitute(plain.data, secrets),
+    };
+  }
+
+  /**
+   * Noam account whose secrets an execution may use: the workflow owner's,
+   * else the triggering user's. The workflow's own noamAccountId is client
+   * supplied, so it is never trusted here.
+   */
+  async getExecutionAccount(workflow, execution) {
+    const userId = workflow?.owner || execution?.triggeredBy?.userId;
+    if (!userId) return null;
+    const user = await User.findById(userId).select("noamAccountId");
+    return user?.noamAccountId || null;
+  }
+}
+
+module.exports = SecretService;
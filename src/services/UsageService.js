@@ -0,0 +1,221 @@
+const { Workflow, WorkflowExecution, UsageRecord } = require("../models");
+const workflowLogger = require("../utils/workflowLogger");
+
+/**
+ * Rolls LLM token usage and cost up from steps to their workflow and account.
+ * The execution's own totals live on WorkflowExecution.resourceUsage; this
+ * service keeps the workflow's lifetime metrics and the daily UsageRecords
+ * that analytics (and budgets) read.
+ */
+class UsageService {
+  /**
+   * UTC day key of a date
+   */
+  dayOf(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Add one step's usage (a tokenUsage tracker summary) to its workflow and account.
+   * Cache hits cost nothing but are counted, with what they saved.
+   * Accounting never fails a run: errors are logged.
+   */
+  async recordUsage({ workflowId, noamAccountId, usage, at = new Date() }) {
+    const cacheHit = usage?.cache === "hit";
+    if (!usage || (!usage.totalTokens && !usage.cost && !cacheHit)) {
+      return;
+    }
+
+    const totals = {
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      cost: usage.cost || 0,
+      llmCalls: usage.calls || 0,
+      cacheHits: cacheHit ? 1 : 0,
+      savedCost: usage.savedCost || 0,
+    };
+    const date = this.dayOf(at);
+    const writes = [];
+
+    if (workflowId) {
+      writes.push(
+        Workflow.updateOne({ _id: workflowId }, {
+          $inc: {
+            "metrics.tokenUsage.promptTokens": totals.promptTokens,
+            "metrics.tokenUsage.completionTokens": totals.completionTokens,
+            "metrics.tokenUsage.totalTokens": totals.totalTokens,
+            "metrics.totalCost": totals.cost,
+          },
+        }),
+        UsageRecord.updateOne(
+          { scope: "workflow", scopeId: String(workflowId), date },
+          { $inc: totals, $setOnInsert: { noamAccountId } },
+          { upsert: true }
+        )
+      );
+    }
+
+    if (noamAccountId) {
+      writes.push(UsageRecord.updateOne(
+        { scope: "account", scopeId: noamAccountId, date },
+        { $inc: totals, $setOnInsert: { noamAccountId } },
+        { upsert: true }
+      ));
+    }
+
+    try {
+      await Promise.all(writes);
+    } catch (error) {
+      workflowLogger.error("Failed to record LLM usage", { workflowId: workflowId && String(workflowId), noamAccountId, error: error.message });
+    }
+  }
+
+  /**
+   * Usage of a workflow or account between two dates: totals and one entry per day
+   */
+  async getUsage(scope, scopeId, { from, to = new Date() } = {}) {
+    const query = { scope, scopeId: String(scopeId), date: { $lte: this.dayOf(to) } };
+    if (from) {
+      query.date.$gte = this.dayOf(from);
+    }
+
+    const records = await UsageRecord.find(query).sort({ date: 1 }).lean();
+    const daily = records.map(({ date, promptTokens, completionTokens, totalTokens, cost, llmCalls, cacheHits = 0, savedCost = 0 }) => ({
+      date, promptTokens, completionTokens, totalTokens, cost, llmCalls, cacheHits, savedCost,
+    }));
+    const totals = daily.reduce((sum, day) => ({
+      promptTokens: sum.promptTokens + day.promptTokens,
+      completionTokens: sum.completionTokens + day.completionTokens,
+      totalTokens: sum.totalTokens + day.totalTokens,
+      cost: sum.cost + day.cost,
+      llmCalls: sum.llmCalls + day.llmCalls,
+      cacheHits: sum.cacheHits + day.cacheHits,
+      savedCost: sum.savedCost + day.savedCost,
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, llmCalls: 0, cacheHits: 0, savedCost: 0 });
+
+    return { scope, scopeId: String(scopeId), totals, daily };
+  }
+
+  /**
+   * Token and cost breakdown of one execution, per LLM/agent step
+   */
+  summarizeExecution(execution) {
+    const { tokenUsage = {}, estimatedCost = 0, apiCalls = 0, cacheHits = 0, savedCost = 0 } = execution.resourceUsage || {};
+
+    return {
+      promptTokens: tokenUsage.totalPromptTokens || 0,
+      completionTokens: tokenUsage.totalCompletionTokens || 0,
+      totalTokens: tokenUsage.totalTokens || 0,
+      cost: estimatedCost,
+      llmCalls: apiCalls,
+      cacheHits,
+      savedCost,
+      currency: "USD",
+      steps: (execution.steps || [])
+        .filter((step) => step.agentExecution?.model)
+        .map((step) => ({
+          stepId: step.stepId,
+          nodeId: step.nodeId,
+          model: step.agentExecution.model,
+          provider: step.agentExecution.provider,
+          ...step.agentExecution.tokenUsage,
+          calls: step.agentExecution.calls,
+          cost: step.agentExecution.cost,
+          estimated: step.agentExecution.estimated,
+          ...(step.agentExecution.cache && { cache: step.agentExecution.cache, savedCost: step.agentExecution.savedCost || 0 }),
+        })),
+    };
+  }
+
+  /**
+   * Cost breakdown of the live executions matching `match`: totals, per workflow, per model and per day
+   */
+  async getCostBreakdown(match) {
+    const query = { ...match, mode: { $ne: "dry-run" } };
+
+    const [totals, byWorkflow, byModel, daily] = await Promise.all([
+      WorkflowExecution.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            executions: { $sum: 1 },
+            promptTokens: { $sum: "$resourceUsage.tokenUsage.totalPromptTokens" },
+            completionTokens: { $sum: "$resourceUsage.tokenUsage.totalCompletionTokens" },
+            totalTokens: { $sum: "$resourceUsage.tokenUsage.totalTokens" },
+            cost: { $sum: "$resourceUsage.estimatedCost" },
+            llmCalls: { $sum: "$resourceUsage.apiCalls" },
+            cacheHits: { $sum: "$resourceUsage.cacheHits" },
+            savedCost: { $sum: "$resourceUsage.savedCost" },
+          },
+        },
+        { $project: { _id: 0 } },
+      ]),
+      WorkflowExecution.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: "$workflowId",
+            executions: { $sum: 1 },
+            totalTokens: { $sum: "$resourceUsage.tokenUsage.totalTokens" },
+            cost: { $sum: "$resourceUsage.estimatedCost" },
+          },
+        },
+        { $lookup: { from: "workflows", localField: "_id", foreignField: "_id", as: "workflow" } },
+        {
+          $project: {
+            _id: 0,
+            workflowId: "$_id",
+            workflowName: { $ifNull: [{ $arrayElemAt: ["$workflow.name", 0] }, "Unknown"] },
+            executions: 1,
+            totalTokens: 1,
+            cost: 1,
+            averageCost: { $cond: [{ $gt: ["$executions", 0] }, { $divide: ["$cost", "$executions"] }, 0] },
+          },
+        },
+        { $sort: { cost: -1 } },
+      ]),
+      WorkflowExecution.aggregate([
+        { $match: query },
+        { $unwind: "$steps" },
+        { $match: { "steps.agentExecution.model": { $exists: true } } },
+        {
+          $group: {
+            _id: "$steps.agentExecution.model",
+            provider: { $first: "$steps.agentExecution.provider" },
+            promptTokens: { $sum: "$steps.agentExecution.tokenUsage.promptTokens" },
+            completionTokens: { $sum: "$steps.agentExecution.tokenUsage.completionTokens" },
+            totalTokens: { $sum: "$steps.agentExecution.tokenUsage.totalTokens" },
+            cost: { $sum: "$steps.agentExecution.cost" },
+            calls: { $sum: "$steps.agentExecution.calls" },
+          },
+        },
+        { $project: { _id: 0, model: "$_id", provider: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1, cost: 1, calls: 1 } },
+        { $sort: { cost: -1 } },
+      ]),
+      WorkflowExecution.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$startedAt" } },
+            totalTokens: { $sum: "$resourceUsage.tokenUsage.totalTokens" },
+            cost: { $sum: "$resourceUsage.estimatedCost" },
+          },
+        },
+        { $project: { _id: 0, date: "$_id", totalTokens: 1, cost: 1 } },
+        { $sort: { date: 1 } },
+      ]),
+    ]);
+
+    return {
+      totals: totals[0] || { executions: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, llmCalls: 0, cacheHits: 0, savedCost: 0 },
+      byWorkflow,
+      byModel,
+      daily,
+      currency: "USD",
+    };
+  }
+}
+
+module.exports = UsageService;
@@ -1,15 +1,29 @@
 console.log('TEST LOG - FILE LOADED');
 const { WorkflowExecution } = require("../models");
 const workflowLogger = require("../utils/workflowLogger");
+const executionEvents = require("../utils/executionEvents");
+const expressionEvaluator = require("../utils/expressionEvaluator");
+const schemaValidator = require("../utils/schemaValidator");
+const secretRedactor = require("../utils/secretRedactor");
+const tokenUsage = require("../utils/tokenUsage");
 const LangChainService = require("./LangChainService");
+const SecretService = require("./SecretService");
+const UsageService = require("./UsageService");
+const BudgetService = require("./BudgetService");
 const Task = require('../models/Task');
 const WorkflowStepLog = require('../models/WorkflowStepLog');
 require("dotenv").config();
 
+// How often running executions are stamped with heartbeatAt (see ExecutionRecoveryService)
+const HEARTBEAT_INTERVAL = Number(process.env.EXECUTION_HEARTBEAT_MS) || 10000;
+
 class WorkflowExecutionService {
   constructor(io) {
     this.io = io;
     this.langChainService = new LangChainService();
+    this.secretService = new SecretService();
+    this.usageService = new UsageService();
+    this.budgetService = new BudgetService({ usageService: this.usageService });
 
     // Track active executions
     this.activeExecutions = new Map();
@@ -30,6 +44,9 @@ class WorkflowExecutionService {
         executionId: executionId,
         workflowId: workflow._id,
         workflowVersion: workflow.version || "1.0.0",
+        engine: "legacy",
+        bypassCache: Boolean(options.bypassCache),
+        noamAccountId: workflow.noamAccountId,
         triggeredBy: {
           type: "api",
           userId: userId !== "anonymous" ? userId : null,
@@ -37,6 +54,7 @@ class WorkflowExecutionService {
           metadata: options.metadata || {},
         },
         status: "running",
+        heartbeatAt: new Date(),
         inputs,
         outputs: {},
         executionSteps: [],
@@ -63,6 +81,7 @@ class WorkflowExecutionService {
         context: { ...inputs },
         aborted: false,
       });
+      this.startHeartbeat();
 
       // Emit start event
       this.emitExecutionEvent(executionId, "execution_started", {
@@ -281,6 +300,7 @@ class WorkflowExecutionService {
           completedAt: new Date(),
           output: nodeResult.output,
           metadata: nodeResult.metadata,
+          ...(nodeResult.usage && { agentExecution: tokenUsage.toAgentExecution(nodeResult.usage) }),
         });
 
         // Update metrics
@@ -313,6 +333,7 @@ class WorkflowExecutionService {
           status: "failed",
           completedAt: new Date(),
           error: error.message,
+          ...(error.usage && { agentExecution: tokenUsage.toAgentExecution(error.usage) }),
         });
 
         // Update metrics
@@ -362,7 +383,29 @@ class WorkflowExecutionService {
         await this.pauseExecutionForHumanReview(executionId, node.id, context);
         result = { status: 'waiting_human_review', requiresHumanReview: true };
       } else {
-        result = await this.langChainService.executeNode(node, context);
+        // {{secrets.NAME}} references are decrypted for this call only
+        const { workflow, execution } = activeExecution;
+        const runtimeNode = SecretService.findReferences([node.config, node.data]).length > 0
+          ? await this.secretService.resolveNodeSecrets(node, await this.secretService.getExecutionAccount(workflow, execution))
+          : node;
+        // Model calls stop once a hard-capped budget is spent
+        result = await this.langChainService.executeNode(runtimeNode, context, {
+          createGuard: (tracker) => this.budgetService.createGuard(workflow, {
+            noamAccountId: execution?.noamAccountId || workflow?.noamAccountId,
+            tracker,
+          }),
+          resolveSecrets: async (names) => this.secretService.resolveSecrets(
+            await this.secretService.getExecutionAccount(workflow, execution),
+            names
+          ),
+          cacheScope: execution?.noamAccountId || workflow?.noamAccountId,
+          bypassCache: Boolean(execution?.bypassCache),
+        });
+      }
+
+      // LLM and agent nodes report their token usage; roll it up to the workflow and account
+      if (result.usage) {
+        await this.recordNodeUsage(activeExecution, result.usage);
       }
 
       // Debug: print node type and result before returning
@@ -406,6 +449,7 @@ class WorkflowExecutionService {
           error: result.error || null,
           timestamp: result.timestamp,
           durationMs: Date.now() - startTime,
+          ...(result.usage && { model: `${result.usage.provider}:${result.usage.model}`, fallbacks: result.usage.fallbacks, cache: result.usage.cache }),
         });
       } else {
         console.log('[Debug] Skipping WorkflowStepLog creation for interrupt/pause node:', node.id);
@@ -413,6 +457,11 @@ class WorkflowExecutionService {
 
       return result;
     } catch (error) {
+      // Calls a failed LLM or agent node made before failing are still paid for
+      if (error.usage) {
+        await this.recordNodeUsage(activeExecution, error.usage);
+      }
+
       // Log failed step
       await WorkflowStepLog.create({
         executionId,
@@ -427,11 +476,21 @@ class WorkflowExecutionService {
         error,
         timestamp: new Date(),
         durationMs: Date.now() - startTime,
+        ...(error.usage && { model: `${error.usage.provider}:${error.usage.model}`, fallbacks: error.usage.fallbacks }),
       });
       throw error;
     }
   }
 
+  /**
+   * Roll a node's token usage up to the workflow and account, and check their budgets
+   */
+  async recordNodeUsage({ workflow, execution }, usage) {
+    const noamAccountId = execution?.noamAccountId || workflow?.noamAccountId;
+    await this.usageService.recordUsage({ workflowId: workflow?._id, noamAccountId, usage });
+    await this.budgetService.checkThresholds(workflow, noamAccountId);
+  }
+
   async createHumanReviewTask(executionId, node, context) {
     // Create a task in DB for human review
     const interruptData = context.interruptData;
@@ -881,7 +940,7 @@ class WorkflowExecutionService {
       await WorkflowExecution.findOneAndUpdate(
         { executionId: executionId },
         {
-          $set: { status: "running" },
+          $set: { status: "running", heartbeatAt: new Date() },
           $unset: { waitingInfo: 1 },
         }
       );
@@ -959,7 +1018,7 @@ class WorkflowExecutionService {
     }
 
     // Support string conditions (e.g., 'proceed', 'reject') for human review/action nodes
-    if (typeof edge.condition === 'string') {
+    if (typeof edge.condition === 'string' && /^[\w-]+$/.test(edge.condition.trim())) {
       // Try to match against nodeResult.selectedAction, nodeResult.decision, or nodeResult.output
       const action = nodeResult?.selectedAction || nodeResult?.decision || nodeResult?.output;
       return action === edge.condition;
@@ -967,6 +1026,14 @@ class WorkflowExecutionService {
 
     // Evaluate edge condition object
     try {
+      // Expression strings, {expression} and {field, operator, value} conditions
+      if (typeof edge.condition === 'string' || edge.condition.field || edge.condition.expression !== undefined) {
+        return expressionEvaluator.evaluateCondition(edge.condition, {
+          ...nodeResult,
+          output: nodeResult?.output
+        });
+      }
+
       const { type, value } = edge.condition;
 
       switch (type) {
@@ -1003,6 +1070,7 @@ class WorkflowExecutionService {
   }
 
   async logExecutionStep(executionId, stepData) {
+    stepData = secretRedactor.redact(stepData);
     try {
       const execution = await WorkflowExecution.findOne({ executionId: executionId });
       if (execution) {
@@ -1043,7 +1111,12 @@ class WorkflowExecutionService {
         return;
       }
 
-      const { execution, context } = activeExecution;
+      const { execution, context, workflow } = activeExecution;
+
+      // Runs stopped by a spending cap get their own status
+      if (status === "failed" && error?.code === "BUDGET_EXCEEDED") {
+        status = "budget_exceeded";
+      }
 
       // Update execution record
       execution.status = status;
@@ -1066,15 +1139,30 @@ class WorkflowExecutionService {
       }
 
       if (finalOutput) {
-        execution.outputs = finalOutput;
+        execution.outputs = secretRedactor.redact(finalOutput);
       } else if (result) {
-        execution.outputs = result;
+        execution.outputs = secretRedactor.redact(result);
+      }
+
+      const outputCheck = status === "completed" ? schemaValidator.checkOutput(workflow, finalOutput || result) : null;
+      if (outputCheck) {
+        execution.outputValidation = { valid: outputCheck.valid, violations: outputCheck.violations };
+        if (!outputCheck.valid) {
+          const message = `Output does not match the workflow output schema: ${schemaValidator.describeViolations(outputCheck.violations)}`;
+          if (outputCheck.policy === "fail") {
+            status = "failed";
+            execution.status = status;
+            error = new Error(message);
+          } else {
+            workflowLogger.warn(message, { executionId });
+          }
+        }
       }
 
       if (error) {
         execution.error = {
-          message: error.message,
-          stack: error.stack,
+          message: secretRedactor.redact(error.message),
+          stack: secretRedactor.redact(error.stack),
           timestamp: new Date(),
         };
       }
@@ -1097,6 +1185,56 @@ class WorkflowExecutionService {
     }
   }
 
+  /**
+   * Stamp heartbeatAt on this instance's running executions so the recovery
+   * sweep can tell them apart from executions orphaned by a dead process
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      const executionIds = [...this.activeExecutions.keys()];
+
+      if (!executionIds.length) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        return;
+      }
+
+      WorkflowExecution.updateMany(
+        { executionId: { $in: executionIds }, status: "running" },
+        { $set: { heartbeatAt: new Date() } }
+      ).catch((error) => workflowLogger.error("Failed to record execution heartbeat", { error: error.message }));
+    }, HEARTBEAT_INTERVAL);
+
+    this.heartbeatTimer.unref?.();
+  }
+
+  /**
+   * Fail an execution whose process died. This engine keeps run state in
+   * memory only, so its orphans cannot be resumed.
+   */
+  async failOrphanedExecution(executionId, error) {
+    const execution = await WorkflowExecution.findOneAndUpdate(
+      { executionId, status: "running" },
+      {
+        $set: {
+          status: "failed",
+          completedAt: new Date(),
+          error: { message: error.message, code: error.code, reason: error.reason },
+        },
+      },
+      { new: true }
+    );
+    if (!execution) return;
+
+    this.emitExecutionEvent(executionId, "execution_completed", {
+      executionId,
+      status: "failed",
+      error: error.message,
+    });
+  }
+
   async abortExecution(executionId, reason = "User requested") {
     try {
       const activeExecution = this.activeExecutions.get(executionId);
@@ -1455,9 +1593,8 @@ class WorkflowExecutionService {
   }
 
   emitExecutionEvent(executionId, event, data) {
-    if (this.io) {
-      this.io.to(`execution:${executionId}`).emit(event, data);
-    }
+    // Relayed to the execution_${executionId} Socket.IO room by server.js
+    executionEvents.publish(executionId, event, data);
   }
 
   generateExecutionId() {
@@ -1,6 +1,8 @@
 const { Workflow, WorkflowTemplate } = require("../models");
 const LangChainService = require("./LangChainService");
 const LangGraphWorkflowService = require("./LangGraphWorkflowService");
+const WorkflowTestService = require("./WorkflowTestService");
+const { ValidationError } = require("../middleware/errorHandler");
 const winston = require("winston");
 /**
  * Get human review nodes and their data for a workflow
@@ -15,6 +17,20 @@ async function getHumanReviewNodes(workflowId) {
     .filter(node => node.type === 'humanReview');
 }
 
+/**
+ * Schema settings (and dry-run fixtures) for Workflow.config. Callers send them
+ * under `configuration` (as templates do), which the Workflow model does not store.
+ */
+function schemaConfig(configuration = {}, inputs) {
+  return {
+    inputSchema: configuration.inputSchema || inputs,
+    outputSchema: configuration.outputSchema,
+    outputValidation: configuration.outputValidation,
+    fixtures: configuration.fixtures,
+    budget: configuration.budget,
+  };
+}
+
 
 
 class WorkflowService {
@@ -26,10 +42,10 @@ class WorkflowService {
    */
   async createDirectWorkflow(workflowData, userId) {
     try {
-      const { name, description, nodes = [], edges = [], configuration = {}, tags = [], category = "general", noamAccountId } = workflowData;
+      const { name, description, nodes = [], edges = [], configuration = {}, tags = [], category = "general", noamAccountId, engine } = workflowData;
 
       // Validate workflow structure
-      const validation = await this.validateWorkflow({ nodes, edges });
+      const validation = await this.validateWorkflow({ nodes, edges, config: schemaConfig(configuration, workflowData.inputs) });
       if (!validation.valid) {
         throw new Error(`Workflow validation failed: ${validation.errors.join(", ")}`);
       }
@@ -42,6 +58,8 @@ class WorkflowService {
         noamAccountId: noamAccountId || "default-account",
         nodes: this.processNodes(nodes),
         edges: this.processEdges(edges),
+        engine,
+        config: schemaConfig(configuration, workflowData.inputs),
         configuration: {
           maxConcurrentExecutions: configuration.maxConcurrentExecutions || 5,
           timeoutMinutes: configuration.timeoutMinutes || 30,
@@ -81,10 +99,10 @@ class WorkflowService {
 
   async createWorkflow(workflowData, userId) {
     try {
-      const { name, description, nodes = [], edges = [], configuration = {}, tags = [], category = "general", noamAccountId } = workflowData;
+      const { name, description, nodes = [], edges = [], configuration = {}, tags = [], category = "general", noamAccountId, engine } = workflowData;
 
       // Validate workflow structure
-      const validation = await this.validateWorkflow({ nodes, edges });
+      const validation = await this.validateWorkflow({ nodes, edges, config: schemaConfig(configuration, workflowData.inputs) });
       if (!validation.valid) {
         throw new Error(`Workflow validation failed: ${validation.errors.join(", ")}`);
       }
@@ -97,6 +115,8 @@ class WorkflowService {
         noamAccountId: noamAccountId || "default-account",
         nodes: this.processNodes(nodes),
         edges: this.processEdges(edges),
+        engine,
+        config: schemaConfig(configuration, workflowData.inputs),
         configuration: {
           maxConcurrentExecutions: configuration.maxConcurrentExecutions || 5,
           timeoutMinutes: configuration.timeoutMinutes || 30,
@@ -130,7 +150,7 @@ class WorkflowService {
         throw new Error("Workflow not found");
       }
 
-      if (workflow.owner.toString() !== userId) {
+      if (!workflow.owner || !userId || workflow.owner.toString() !== String(userId)) {
         throw new Error("Unauthorized to update this workflow");
       }
 
@@ -139,7 +159,7 @@ class WorkflowService {
         const nodes = updates.nodes || workflow.nodes;
         const edges = updates.edges || workflow.edges;
 
-        const validation = await this.validateWorkflow({ nodes, edges });
+        const validation = await this.validateWorkflow({ nodes, edges, config: { ...workflow.toObject().config, ...updates.config } });
         if (!validation.valid) {
           throw new Error(`Workflow validation failed: ${validation.errors.join(", ")}`);
         }
@@ -162,6 +182,29 @@ class WorkflowService {
         };
       }
 
+      if (updates.tests) {
+        const testErrors = new WorkflowTestService().validateTests(updates.tests);
+        if (testErrors.length) {
+          throw new ValidationError(`Invalid workflow tests: ${testErrors.join(", ")}`, { errors: testErrors });
+        }
+      }
+
+      // A workflow with tests only goes active on a green run of the definition being activated,
+      // and an active one only takes a new definition that passes them
+      const candidate = { ...workflow.toObject(), ...updates };
+      const activating = updates.status === "active" && workflow.status !== "active";
+      const redefiningActive = workflow.status === "active" && candidate.status === "active"
+        && ["nodes", "edges", "config", "tests"].some((field) => updates[field] !== undefined);
+      if ((activating || redefiningActive) && candidate.tests?.length) {
+        const testService = new WorkflowTestService();
+        const report = await testService.runTests(candidate, { userId, record: false });
+        if (report.status !== "passed") {
+          const action = activating ? "activation" : "changing an active workflow";
+          throw new ValidationError(`Workflow tests must pass before ${action}: ${report.failed} of ${report.total} failed`, { testReport: report });
+        }
+        updates.lastTestRun = testService.summarize(report, userId);
+      }
+
       // Create new version if major changes
       if (this.isMajorChange(workflow, updates)) {
         updates.version = this.incrementVersion(workflow.version);
@@ -588,6 +631,7 @@ class WorkflowService {
           description: template.description,
           nodes: nodes,
           edges: edges,
+          engine: template.engine,
           configuration: template.configuration || {},
           category: template.category,
           version: template.version,
@@ -624,10 +668,10 @@ class WorkflowService {
 
   async createWorkflowFromTemplate(templateData, userId) {
     try {
-      const { templateId, name, description, nodes = [], edges = [], triggers = [], configuration = {}, category = "template" } = templateData;
+      const { templateId, name, description, nodes = [], edges = [], triggers = [], configuration = {}, category = "template", engine } = templateData;
 
       // Validate workflow structure
-      const validation = await this.validateWorkflow({ nodes, edges });
+      const validation = await this.validateWorkflow({ nodes, edges, config: schemaConfig(configuration, templateData.inputs) });
       if (!validation.valid) {
         throw new Error(`Template validation failed: ${validation.errors.join(", ")}`);
       }
@@ -660,6 +704,8 @@ class WorkflowService {
         owner: userId,
         nodes: this.processNodes(patchedNodes),
         edges: this.processEdges(edges),
+        engine,
+        config: schemaConfig(configuration, templateData.inputs),
         configuration: {
           maxConcurrentExecutions: configuration.maxConcurrentExecutions || 5,
           timeoutMinutes: configuration.timeoutMinutes || 30,
@@ -0,0 +1,152 @@
+const { Workflow } = require("../models");
+const ExecutionEngineRegistry = require("./ExecutionEngineRegistry");
+const testAssertions = require("../utils/testAssertions");
+const workflowLogger = require("../utils/workflowLogger");
+const { ValidationError } = require("../middleware/errorHandler");
+
+const TARGETS = ["status", "route", "output"];
+
+/**
+ * Runs a workflow's stored test cases. Each case is its own dry run (see
+ * utils/simulation) with the case's inputs and fixtures, so cases share no
+ * state and never reach LLMs or external systems.
+ */
+class WorkflowTestService {
+  constructor(executionEngines = ExecutionEngineRegistry.shared()) {
+    this.executionEngines = executionEngines;
+  }
+
+  /**
+   * Problems with a test suite definition, empty when it is valid
+   */
+  validateTests(tests) {
+    if (!Array.isArray(tests)) {
+      return ["tests must be an array"];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    tests.forEach((test, index) => {
+      const label = test?.name ? `Test "${test.name}"` : `Test #${index + 1}`;
+      if (!test?.name) {
+        errors.push(`${label} has no name`);
+      } else if (names.has(test.name)) {
+        errors.push(`${label} is defined more than once`);
+      }
+      names.add(test?.name);
+
+      (test?.assertions || []).forEach((assertion, i) => {
+        if (!TARGETS.includes(assertion.target)) {
+          errors.push(`${label} assertion ${i + 1}: target must be one of ${TARGETS.join(", ")}`);
+        }
+        if (assertion.operator && !testAssertions.OPERATORS.includes(assertion.operator)) {
+          errors.push(`${label} assertion ${i + 1}: operator must be one of ${testAssertions.OPERATORS.join(", ")}`);
+        }
+        if (assertion.operator === "jsonPath" && !assertion.path) {
+          errors.push(`${label} assertion ${i + 1}: jsonPath assertions need a path`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Run the suite (or the named cases) and return a pass/fail report.
+   * Full-suite runs are recorded as the workflow's lastTestRun unless `record` is false.
+   */
+  async runTests(workflow, { userId = "anonymous", names, record = true } = {}) {
+    const tests = (workflow.tests || []).map((test) => (typeof test.toObject === "function" ? test.toObject() : test));
+    const selected = names?.length ? tests.filter((test) => names.includes(test.name)) : tests;
+
+    const unknown = (names || []).filter((name) => !tests.some((test) => test.name === name));
+    if (unknown.length) {
+      throw new ValidationError(`Unknown test cases: ${unknown.join(", ")}`);
+    }
+
+    workflowLogger.log("Running workflow tests", { workflowId: String(workflow._id), tests: selected.length });
+
+    // One at a time, so cases do not compete for the engine
+    const results = [];
+    for (const test of selected) {
+      results.push(await this.runTest(workflow, test, userId));
+    }
+
+    const failed = results.filter((result) => !result.passed).length;
+    const report = {
+      workflowId: String(workflow._id),
+      status: failed ? "failed" : "passed",
+      total: results.length,
+      passed: results.length - failed,
+      failed,
+      ranAt: new Date(),
+      results,
+    };
+
+    if (record && !names?.length) {
+      await Workflow.updateOne({ _id: workflow._id }, { $set: { lastTestRun: this.summarize(report, userId) } });
+    }
+
+    return report;
+  }
+
+  /**
+   * A report as stored in Workflow.lastTestRun
+   */
+  summarize(report, userId = "anonymous") {
+    return {
+      status: report.status,
+      total: report.total,
+      passed: report.passed,
+      failed: report.failed,
+      ranAt: report.ranAt,
+      ranBy: userId !== "anonymous" ? userId : undefined,
+    };
+  }
+
+  /**
+   * Dry-run one case and check its assertions. A case without assertions
+   * passes when its run completes.
+   */
+  async runTest(workflow, test, userId) {
+    const startTime = Date.now();
+
+    try {
+      const execution = await this.executionEngines.simulateWorkflow(workflow, userId, test.inputs || {}, {
+        fixtures: test.fixtures,
+        metadata: { testCase: test.name },
+      });
+
+      const run = {
+        status: execution.status,
+        route: (execution.steps || []).map((step) => step.nodeId),
+        outputs: execution.finalOutput || {},
+        finalOutput: execution.finalOutput,
+      };
+      const assertions = (test.assertions || []).map((assertion) => testAssertions.evaluateAssertion(assertion, run));
+
+      return {
+        name: test.name,
+        passed: assertions.length ? assertions.every((assertion) => assertion.passed) : run.status === "completed",
+        executionId: execution.executionId,
+        status: run.status,
+        route: run.route,
+        assertions,
+        error: execution.error?.message || undefined,
+        durationMs: Date.now() - startTime,
+      };
+    } catch (error) {
+      // The case never ran, e.g. its inputs break the workflow's input schema
+      return {
+        name: test.name,
+        passed: false,
+        assertions: [],
+        error: error.message,
+        durationMs: Date.now() - startTime,
+      };
+    }
+  }
+}
+
+module.exports = WorkflowTestService;
@@ -0,0 +1,98 @@
+const { MemorySaver } = require("@langchain/langgraph");
+const LangGraphWorkflowService = require("../LangGraphWorkflowService");
+
+// Runs a workflow's graph with every non-start/end node stubbed: a node
+// reports `branches[id]` as its branch and fails when listed in `failing`
+async function runGraph(workflow, { branches = {}, failing = [] } = {}) {
+  const service = new LangGraphWorkflowService(null, { jobQueue: null });
+  const runs = [];
+
+  service.executeNodeInGraph = async (node) => {
+    runs.push(node.id);
+    const result = failing.includes(node.id)
+      ? { success: false, failed: true, error: `${node.id} failed` }
+      : { success: true, output: node.id, branch: branches[node.id] };
+    return { currentNode: node.id, nodeResults: { [node.id]: result }, completedNodes: [node.id] };
+  };
+
+  const app = (await service.buildStateGraph(workflow, "exec-test")).compile({ checkpointer: new MemorySaver() });
+  const state = await app.invoke({ executionId: "exec-test", inputs: {} }, { configurable: { thread_id: "exec-test" } });
+  return { runs, completedNodes: state.completedNodes };
+}
+
+const node = (id, type = "transform") => ({ id, type, data: {}, config: {} });
+const edge = (source, target, extra = {}) => ({ id: `${source}-${target}`, source, target, ...extra });
+
+describe("LangGraphWorkflowService merge joins", () => {
+  const ifElse = {
+    nodes: [node("start", "start"), node("check", "condition"), node("a"), node("b"), node("merge", "merge"), node("after"), node("end", "end")],
+    edges: [
+      edge("start", "check"),
+      edge("check", "a", { sourceHandle: "true" }),
+      edge("check", "b", { sourceHandle: "false" }),
+      edge("a", "merge"),
+      edge("b", "merge"),
+      edge("merge", "after"),
+      edge("after", "end"),
+    ],
+  };
+
+  it.each(["true", "false"])("continues past the merge when an if/else takes the %s branch", async (branch) => {
+    const { runs, completedNodes } = await runGraph(ifElse, { branches: { check: branch } });
+
+    expect(runs).toEqual(["check", branch === "true" ? "a" : "b", "merge", "after"]);
+    expect(completedNodes).toContain("end");
+  });
+
+  it("waits at the merge for every branch of a fan-out", async () => {
+    const workflow = {
+      nodes: [node("start", "start"), node("a"), node("b"), node("b2"), node("merge", "merge"), node("end", "end")],
+      edges: [edge("start", "a"), edge("start", "b"), edge("b", "b2"), edge("a", "merge"), edge("b2", "merge"), edge("merge", "end")],
+    };
+    const service = new LangGraphWorkflowService(null, { jobQueue: null });
+    expect(service.buildJoinEdges(workflow)).toEqual(new Map([["merge", ["a", "b2"]]]));
+
+    const { runs, completedNodes } = await runGraph(workflow);
+
+    expect(runs.filter((id) => id === "merge")).toHaveLength(1);
+    expect(runs.indexOf("merge")).toBeGreaterThan(runs.indexOf("b2"));
+    expect(completedNodes).toContain("end");
+  });
+
+  it("does not wait for a branch that left through an error edge", async () => {
+    const workflow = {
+      nodes: [node("start", "start"), node("a"), node("a2"), node("b"), node("handler"), node("merge", "merge"), node("end", "end")],
+      edges: [
+        edge("start", "a"),
+        edge("start", "b"),
+        edge("a", "a2"),
+        edge("a", "handler", { type: "error" }),
+        edge("a2", "merge"),
+        edge("b", "merge"),
+        edge("merge", "end"),
+      ],
+    };
+
+    const { runs, completedNodes } = await runGraph(workflow, { failing: ["a"] });
+
+    expect(runs).not.toContain("a2");
+    expect(runs).toEqual(expect.arrayContaining(["handler", "merge"]));
+    expect(completedNodes).toContain("end");
+  });
+});
+
+describe("LangGraphWorkflowService retry policy", () => {
+  const service = new LangGraphWorkflowService(null, { jobQueue: null });
+
+  it("retries model nodes by default", () => {
+    expect(service.resolveRetryPolicy({ id: "llm", type: "llm", config: {} }, {}).maxRetries).toBe(3);
+  });
+
+  it("leaves retries to the model client when the node sets them", () => {
+    const llm = { id: "llm", type: "llm", config: { llm: { model: "openai:gpt-4o", retries: 2 } } };
+    expect(service.resolveRetryPolicy(llm, {}).maxRetries).toBe(0);
+
+    llm.config.retryPolicy = { maxRetries: 1 };
+    expect(service.resolveRetryPolicy(llm, {}).maxRetries).toBe(1);
+  });
+});
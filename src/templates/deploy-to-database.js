@@ -99,7 +99,7 @@ class TemplateDeploymentManager {
           retryPolicy: 'exponential',
           triggers: templateData.triggers || [],
           requiredEnvironment: templateData.configuration?.requiredEnvironment || [],
-          inputSchema: templateData.configuration?.inputSchema || {},
+          inputSchema: templateData.configuration?.inputSchema || templateData.inputs || {},
           ...templateData.configuration
         },
         metadata: {
@@ -0,0 +1,126 @@
+const { AIMessage, HumanMessage, SystemMessage } = require('@langchain/core/messages');
+
+// Chat prompts for LLM nodes. Besides `systemPrompt` and `prompt`, a node can
+// give an ordered `messages` array, few-shot `examples` and a `history` input:
+//
+//   messages  [{ role: 'system' | 'user' | 'assistant', content }], {{templated}}
+//   examples  [{ input, output }], sent as user/assistant turns
+//   history   earlier turns from the execution context, e.g. "{{conversation}}"
+//
+// They are sent as real LangChain messages, in the order providers expect:
+// system content first, then the examples, the history, the remaining
+// messages, and `prompt` as the last user turn.
+
+const ROLES = ['system', 'user', 'assistant'];
+
+// Message `type`s (LangChain) and role names other APIs use
+const ROLE_ALIASES = { human: 'user', ai: 'assistant', model: 'assistant' };
+
+const MESSAGE_TYPES = { system: SystemMessage, user: HumanMessage, assistant: AIMessage };
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function roleOf(entry) {
+  const role = typeof entry?._getType === 'function' ? entry._getType() : entry?.role || entry?.type;
+  return ROLE_ALIASES[role] || role;
+}
+
+function toMessage(role, content) {
+  return new MESSAGE_TYPES[role](typeof content === 'string' || Array.isArray(content) ? content : JSON.stringify(content));
+}
+
+/**
+ * Problems with a node's `messages` and `examples`, for workflow validation
+ */
+function validate(config = {}) {
+  const errors = [];
+  const { messages, examples } = config;
+
+  if (messages !== undefined) {
+    if (!Array.isArray(messages)) {
+      errors.push('messages must be an array');
+    } else {
+      messages.forEach((entry, index) => {
+        if (!isObject(entry) || !ROLES.includes(roleOf(entry))) {
+          errors.push(`messages[${index}].role must be one of ${ROLES.join(', ')}`);
+        } else if (entry.content === undefined || entry.content === '') {
+          errors.push(`messages[${index}] missing content`);
+        }
+      });
+    }
+  }
+
+  if (examples !== undefined) {
+    if (!Array.isArray(examples)) {
+      errors.push('examples must be an array');
+    } else {
+      examples.forEach((example, index) => {
+        if (!isObject(example) || example.input === undefined || example.output === undefined) {
+          errors.push(`examples[${index}] must have an input and an output`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * LangChain messages for earlier turns: `{ role, content }` entries (or
+ * LangChain messages) with role system, user or assistant. Throws on anything
+ * else, since a misread history silently changes what the model is told.
+ */
+function fromHistory(history) {
+  if (history === undefined || history === null) {
+    return [];
+  }
+  if (!Array.isArray(history)) {
+    throw new Error('history must resolve to an array of messages');
+  }
+
+  return history.map((entry, index) => {
+    const role = roleOf(entry);
+    if (!ROLES.includes(role)) {
+      throw new Error(`history[${index}] has no valid role (expected ${ROLES.join(', ')})`);
+    }
+    return toMessage(role, entry.content ?? '');
+  });
+}
+
+/**
+ * The messages of an LLM node. `render(text)` fills in {{templates}} in
+ * string contents; `history` is the node's history input, already resolved
+ * from the context and sent as it is.
+ */
+function build({ systemPrompt, messages = [], examples = [], prompt }, { history, render = text => text } = {}) {
+  const fill = content => (typeof content === 'string' ? render(content) : content);
+  const entries = (Array.isArray(messages) ? messages : []).map(entry => ({ role: roleOf(entry), content: fill(entry.content) }));
+
+  const past = fromHistory(history);
+  const isSystem = message => message._getType() === 'system';
+
+  const system = [
+    fill(systemPrompt),
+    ...entries.filter(entry => entry.role === 'system').map(entry => entry.content),
+    ...past.filter(isSystem).map(message => message.content),
+  ].filter(content => content !== undefined && content !== '');
+
+  return [
+    // Providers take one system prompt, at the start
+    ...(system.length ? [new SystemMessage(system.join('\n\n'))] : []),
+    ...(Array.isArray(examples) ? examples : []).flatMap(example => [
+      toMessage('user', fill(example.input)),
+      toMessage('assistant', fill(example.output)),
+    ]),
+    ...past.filter(message => !isSystem(message)),
+    ...entries.filter(entry => entry.role !== 'system').map(entry => toMessage(entry.role, entry.content)),
+    ...(prompt !== undefined && prompt !== '' ? [toMessage('user', fill(prompt))] : []),
+  ];
+}
+
+module.exports = {
+  ROLES,
+  validate,
+  fromHistory,
+  build,
+};
@@ -0,0 +1,52 @@
+const { EventEmitter } = require('events');
+const secretRedactor = require('./secretRedactor');
+
+// In-process bus for live execution events. Engines publish here; server.js
+// relays every event to the `execution_${id}` Socket.IO room and the SSE
+// endpoint subscribes per execution.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Events after which no more events are published for an execution
+const TERMINAL_EVENTS = ['execution_completed', 'execution_failed', 'execution_timeout', 'execution_aborted', 'execution_cancelled', 'execution_budget_exceeded'];
+
+function publish(executionId, type, data = {}) {
+  const event = {
+    // Listeners never see decrypted secret values
+    ...secretRedactor.redact(data),
+    type,
+    executionId,
+    timestamp: new Date().toISOString(),
+  };
+  emitter.emit('event', event);
+  emitter.emit(`execution:${executionId}`, event);
+}
+
+// Re-emit an event published in another process (e.g. a worker), as-is
+function relay(event) {
+  emitter.emit('event', event);
+  emitter.emit(`execution:${event.executionId}`, event);
+}
+
+function subscribe(executionId, listener) {
+  emitter.on(`execution:${executionId}`, listener);
+  return () => emitter.off(`execution:${executionId}`, listener);
+}
+
+function subscribeAll(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+function isTerminal(event) {
+  return TERMINAL_EVENTS.includes(event.type);
+}
+
+module.exports = {
+  publish,
+  relay,
+  subscribe,
+  subscribeAll,
+  isTerminal,
+  TERMINAL_EVENTS,
+};
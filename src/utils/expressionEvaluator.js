@@ -0,0 +1,723 @@
+// Sandboxed expression language for edge conditions, condition/loop nodes and
+// {{template}} parameters. Expressions are tokenized and parsed into an AST
+// that is walked directly: no eval/Function, and property access is limited to
+// own data properties, so `constructor`, `__proto__` and methods are out of reach.
+//
+//   score >= 0.8 && status in ['approved', 'auto'] || !exists(review)
+//   {{classify.output.label}} == urgent          (template style: bare words are text)
+//   lower(customer?.email) contains '@acme.com'
+//   items[0].price * qty + shipping ?? 0
+//
+// Operators, loosest first: `? :`, `??`, `||`/`or`, `&&`/`and`, `not`,
+// `== != === !==`, `< <= > >= in contains startsWith endsWith`, `+ -`,
+// `* / %`, unary `! - +`. Paths are null-safe: a missing segment is undefined.
+// Names may contain hyphens (`extract-details.output`), so write `a - b` to subtract.
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_NESTING = 50;
+const MAX_CACHED = 500;
+
+const BLOCKED_KEYS = ['__proto__', 'constructor', 'prototype'];
+const PUNCTUATION = ['===', '!==', '{{', '}}', '==', '!=', '>=', '<=', '&&', '||', '??', '?.', '>', '<', '!', '+', '-', '*', '/', '%', '?', ':', '(', ')', '[', ']', ',', '.'];
+const KEYWORD_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+const RELATIONAL = ['<', '<=', '>', '>=', 'in', 'contains', 'startsWith', 'endsWith'];
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at ${position})`);
+    this.name = 'ExpressionError';
+    this.code = 'INVALID_EXPRESSION';
+    this.position = position;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          const escaped = source[j + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          j += 2;
+        } else {
+          value += source[j++];
+        }
+      }
+      if (j >= source.length) {
+        throw new ExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      // Node ids are kebab-case, so `extract-details` is one name; subtract with spaces
+      const match = source.slice(i).match(/^[A-Za-z_$][\w$]*(?:-[A-Za-z_$][\w$]*)*/);
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const punctuation = PUNCTUATION.find(candidate => source.startsWith(candidate, i));
+    // `a ? .5 : 1` is a ternary, not optional chaining
+    if (punctuation === '?.' && /[0-9]/.test(source[i + 2] || '')) {
+      tokens.push({ type: 'punctuation', value: '?', position: i });
+      i += 1;
+      continue;
+    }
+    if (punctuation) {
+      tokens.push({ type: 'punctuation', value: punctuation, position: i });
+      i += punctuation.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent, one function per precedence level)
+
+function parse(source) {
+  if (typeof source !== 'string') {
+    throw new ExpressionError('Expression must be a string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new ExpressionError(`Expression longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  // Legacy template conditions: `{{path}} == approved` compares against the text "approved"
+  const templateMode = source.includes('{{');
+  let index = 0;
+  let depth = 0;
+  let templateDepth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isPunctuation = (value, token = peek()) => token.type === 'punctuation' && token.value === value;
+  const isWord = (value, token = peek()) => token.type === 'identifier' && token.value === value;
+
+  const expect = (value) => {
+    if (!isPunctuation(value)) {
+      throw new ExpressionError(`Expected "${value}"`, peek().position);
+    }
+    return next();
+  };
+
+  const nested = (parseFn) => {
+    if (++depth > MAX_NESTING) {
+      throw new ExpressionError(`Expression nested deeper than ${MAX_NESTING} levels`);
+    }
+    try {
+      return parseFn();
+    } finally {
+      depth--;
+    }
+  };
+
+  const binaryLevel = (operand, matchOperator) => () => {
+    let left = operand();
+    let operator;
+    while ((operator = matchOperator())) {
+      next();
+      left = { type: 'binary', operator, left, right: operand() };
+    }
+    return left;
+  };
+
+  const parseExpression = () => nested(parseConditional);
+
+  const parseConditional = () => {
+    const test = parseNullish();
+    if (!isPunctuation('?')) return test;
+    next();
+    const consequent = parseExpression();
+    expect(':');
+    return { type: 'conditional', test, consequent, alternate: parseExpression() };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === 'punctuation' && ['!', '-', '+'].includes(token.value)) {
+      next();
+      return { type: 'unary', operator: token.value, argument: nested(parseUnary) };
+    }
+    return parsePostfix();
+  };
+
+  const parseMultiplicative = binaryLevel(parseUnary, () => ['*', '/', '%'].find(op => isPunctuation(op)));
+  const parseAdditive = binaryLevel(parseMultiplicative, () => ['+', '-'].find(op => isPunctuation(op)));
+
+  const parseRelational = () => {
+    let left = parseAdditive();
+    for (;;) {
+      const token = peek();
+      let operator = null;
+      if (token.type === 'punctuation' && RELATIONAL.includes(token.value)) {
+        operator = token.value;
+      } else if (token.type === 'identifier' && RELATIONAL.includes(token.value)) {
+        operator = token.value;
+      } else if (isWord('not') && isWord('in', tokens[index + 1])) {
+        next();
+        operator = 'not in';
+      }
+      if (!operator) return left;
+      next();
+      left = { type: 'binary', operator, left, right: parseAdditive() };
+    }
+  };
+
+  const parseEquality = binaryLevel(parseRelational, () => ['===', '!==', '==', '!='].find(op => isPunctuation(op)));
+
+  const parseNot = () => {
+    if (isWord('not') && !isWord('in', tokens[index + 1])) {
+      next();
+      return { type: 'unary', operator: '!', argument: nested(parseNot) };
+    }
+    return parseEquality();
+  };
+
+  const parseAnd = binaryLevel(parseNot, () => (isPunctuation('&&') || isWord('and') ? '&&' : null));
+  const parseOr = binaryLevel(parseAnd, () => (isPunctuation('||') || isWord('or') ? '||' : null));
+  const parseNullish = binaryLevel(parseOr, () => (isPunctuation('??') ? '??' : null));
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    for (;;) {
+      if (isPunctuation('.') || isPunctuation('?.')) {
+        next();
+        if (isPunctuation('[')) {
+          next();
+          node = { type: 'member', object: node, property: parseExpression() };
+          expect(']');
+          continue;
+        }
+        const property = next();
+        if (property.type !== 'identifier' && property.type !== 'number') {
+          throw new ExpressionError('Expected a property name', property.position);
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: String(property.value) } };
+      } else if (isPunctuation('[')) {
+        next();
+        node = { type: 'member', object: node, property: parseExpression() };
+        expect(']');
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (isPunctuation('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new ExpressionError(`Unknown function "${token.value}"`, token.position);
+        }
+        next();
+        const args = [];
+        while (!isPunctuation(')')) {
+          args.push(parseExpression());
+          if (!isPunctuation(')')) expect(',');
+        }
+        next();
+        return { type: 'call', name: token.value, args };
+      }
+      if (Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, token.value)) {
+        return { type: 'literal', value: KEYWORD_LITERALS[token.value] };
+      }
+      if (templateMode && templateDepth === 0) {
+        return { type: 'literal', value: token.value };
+      }
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (isPunctuation('(', token)) {
+      const expression = parseExpression();
+      expect(')');
+      return expression;
+    }
+
+    if (isPunctuation('{{', token)) {
+      templateDepth++;
+      const expression = parseExpression();
+      expect('}}');
+      templateDepth--;
+      return expression;
+    }
+
+    if (isPunctuation('[', token)) {
+      const elements = [];
+      while (!isPunctuation(']')) {
+        elements.push(parseExpression());
+        if (!isPunctuation(']')) expect(',');
+      }
+      next();
+      return { type: 'array', elements };
+    }
+
+    throw new ExpressionError(
+      token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`,
+      token.position
+    );
+  };
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') {
+    throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+  }
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// Value semantics
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+}
+
+function getProperty(object, key) {
+  if (object === null || object === undefined) return undefined;
+
+  const name = String(key);
+  if (BLOCKED_KEYS.includes(name)) return undefined;
+
+  if ((typeof object === 'string' || Array.isArray(object)) && name === 'length') {
+    return object.length;
+  }
+  if (typeof object === 'string') {
+    return /^\d+$/.test(name) ? object[Number(name)] : undefined;
+  }
+  if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, name)) {
+    const value = object[name];
+    return typeof value === 'function' ? undefined : value;
+  }
+  return undefined;
+}
+
+function deepEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => looseEquals(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => looseEquals(a[key], b[key]));
+  }
+  return false;
+}
+
+// `==`: numbers match numeric strings, booleans match "true"/"false",
+// null matches undefined, arrays/objects compare structurally
+function looseEquals(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return isNumeric(a) && isNumeric(b) && Number(a) === Number(b);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return String(a) === String(b);
+  }
+  if (typeof a === 'object' && typeof b === 'object') {
+    return deepEqual(a, b);
+  }
+  return false;
+}
+
+// Ordering is numeric when both sides are numbers or numeric strings, otherwise
+// lexical for two strings; any other pair (null, objects) compares false
+function compareOrder(a, b, operator) {
+  let left = a;
+  let right = b;
+  if (left instanceof Date) left = left.getTime();
+  if (right instanceof Date) right = right.getTime();
+
+  if (isNumeric(left) && isNumeric(right)) {
+    left = Number(left);
+    right = Number(right);
+  } else if (typeof left !== 'string' || typeof right !== 'string') {
+    return false;
+  }
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+}
+
+// Arrays contain elements, strings contain substrings, objects contain keys
+function contains(haystack, needle) {
+  if (Array.isArray(haystack)) return haystack.some(item => looseEquals(item, needle));
+  if (typeof haystack === 'string') return needle !== null && needle !== undefined && haystack.includes(String(needle));
+  if (haystack && typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, String(needle));
+  return false;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+function arithmetic(operator, a, b) {
+  if (operator === '+') {
+    if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+    if (typeof a === 'string' || typeof b === 'string') return `${a ?? ''}${b ?? ''}`;
+  }
+
+  const left = toNumber(a);
+  const right = toNumber(b);
+  if (left === null || right === null) return null;
+
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right === 0 ? null : left / right;
+    case '%': return right === 0 ? null : left % right;
+    default: return null;
+  }
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+const asString = value => (value === null || value === undefined ? '' : String(value));
+const asArray = value => (Array.isArray(value) ? value : []);
+
+// Helpers callable from expressions. Pure functions of their arguments only.
+const FUNCTIONS = {
+  lower: value => asString(value).toLowerCase(),
+  upper: value => asString(value).toUpperCase(),
+  trim: value => asString(value).trim(),
+  length: value => {
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+  },
+  includes: (haystack, needle) => contains(haystack, needle),
+  contains: (haystack, needle) => contains(haystack, needle),
+  startsWith: (value, prefix) => typeof value === 'string' && value.startsWith(asString(prefix)),
+  endsWith: (value, suffix) => typeof value === 'string' && value.endsWith(asString(suffix)),
+  split: (value, separator = ',') => asString(value).split(asString(separator)),
+  join: (value, separator = ',') => asArray(value).join(asString(separator)),
+  first: value => (Array.isArray(value) || typeof value === 'string' ? value[0] : undefined),
+  last: value => (Array.isArray(value) || typeof value === 'string' ? value[value.length - 1] : undefined),
+  keys: value => (value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : []),
+  number: value => toNumber(value),
+  string: value => (value && typeof value === 'object' ? JSON.stringify(value) : asString(value)),
+  boolean: value => Boolean(value),
+  exists: value => value !== null && value !== undefined,
+  isEmpty,
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined),
+  abs: value => (toNumber(value) === null ? null : Math.abs(toNumber(value))),
+  floor: value => (toNumber(value) === null ? null : Math.floor(toNumber(value))),
+  ceil: value => (toNumber(value) === null ? null : Math.ceil(toNumber(value))),
+  round: (value, digits = 0) => {
+    const number = toNumber(value);
+    if (number === null) return null;
+    const factor = 10 ** (toNumber(digits) || 0);
+    return Math.round(number * factor) / factor;
+  },
+  min: (...values) => {
+    const numbers = values.flat().map(toNumber).filter(number => number !== null);
+    return numbers.length ? Math.min(...numbers) : null;
+  },
+  max: (...values) => {
+    const numbers = values.flat().map(toNumber).filter(number => number !== null);
+    return numbers.length ? Math.max(...numbers) : null;
+  },
+  sum: value => asArray(value).reduce((total, item) => total + (toNumber(item) || 0), 0),
+};
+
+// ---------------------------------------------------------------------------
+// Evaluation
+
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return getProperty(context, node.name);
+    case 'member':
+      return getProperty(evaluateNode(node.object, context), evaluateNode(node.property, context));
+    case 'array':
+      return node.elements.map(element => evaluateNode(element, context));
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, context)));
+    case 'conditional':
+      return evaluateNode(node.test, context)
+        ? evaluateNode(node.consequent, context)
+        : evaluateNode(node.alternate, context);
+    case 'unary': {
+      const value = evaluateNode(node.argument, context);
+      if (node.operator === '!') return !value;
+      const number = toNumber(value);
+      if (number === null) return null;
+      return node.operator === '-' ? -number : number;
+    }
+    case 'binary':
+      return evaluateBinary(node, context);
+    default:
+      throw new ExpressionError(`Unknown expression node ${node.type}`);
+  }
+}
+
+function evaluateBinary(node, context) {
+  const { operator } = node;
+
+  // Short-circuiting operators return operand values, as in JavaScript
+  if (operator === '&&') {
+    const left = evaluateNode(node.left, context);
+    return left ? evaluateNode(node.right, context) : left;
+  }
+  if (operator === '||') {
+    const left = evaluateNode(node.left, context);
+    return left ? left : evaluateNode(node.right, context);
+  }
+  if (operator === '??') {
+    const left = evaluateNode(node.left, context);
+    return left !== null && left !== undefined ? left : evaluateNode(node.right, context);
+  }
+
+  const left = evaluateNode(node.left, context);
+  const right = evaluateNode(node.right, context);
+
+  switch (operator) {
+    case '==': return looseEquals(left, right);
+    case '!=': return !looseEquals(left, right);
+    case '===': return left === right;
+    case '!==': return left !== right;
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return compareOrder(left, right, operator);
+    case 'in': return contains(right, left);
+    case 'not in': return !contains(right, left);
+    case 'contains': return contains(left, right);
+    case 'startsWith': return FUNCTIONS.startsWith(left, right);
+    case 'endsWith': return FUNCTIONS.endsWith(left, right);
+    default: return arithmetic(operator, left, right);
+  }
+}
+
+const cache = new Map();
+
+function compile(expression) {
+  const source = String(expression).trim();
+  if (!cache.has(source)) {
+    if (cache.size >= MAX_CACHED) cache.clear();
+    cache.set(source, parse(source));
+  }
+  return cache.get(source);
+}
+
+/**
+ * Evaluate an expression against a context object
+ */
+function evaluate(expression, context = {}) {
+  return evaluateNode(compile(expression), context || {});
+}
+
+/**
+ * Check an expression parses; returns the error message, or null if valid
+ */
+function validate(expression) {
+  try {
+    compile(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Variable paths an expression reads, e.g. `a.b[0] > c` gives [['a', 'b', '0'], ['c']].
+ * A computed segment (`a[key]`) ends its path; paths inside the segment are listed too.
+ */
+function references(expression) {
+  const paths = [];
+
+  const walk = (node) => {
+    switch (node.type) {
+      case 'identifier':
+      case 'member': {
+        let path = [];
+        let current = node;
+        while (current.type === 'member') {
+          if (current.property.type === 'literal') {
+            path.unshift(String(current.property.value));
+          } else {
+            walk(current.property);
+            path = [];
+          }
+          current = current.object;
+        }
+        if (current.type === 'identifier') {
+          paths.push([current.name, ...path]);
+        } else {
+          walk(current);
+        }
+        break;
+      }
+      case 'binary':
+        walk(node.left);
+        walk(node.right);
+        break;
+      case 'unary':
+        walk(node.argument);
+        break;
+      case 'conditional':
+        walk(node.test);
+        walk(node.consequent);
+        walk(node.alternate);
+        break;
+      case 'call':
+        node.args.forEach(walk);
+        break;
+      case 'array':
+        node.elements.forEach(walk);
+        break;
+      default:
+        break;
+    }
+  };
+
+  walk(compile(expression));
+  return paths;
+}
+
+// Operator names accepted in {field, operator, value} condition objects
+const CONDITION_OPERATORS = {
+  equals: (a, b) => looseEquals(a, b),
+  notEquals: (a, b) => !looseEquals(a, b),
+  greaterThan: (a, b) => compareOrder(a, b, '>'),
+  greaterThanOrEqual: (a, b) => compareOrder(a, b, '>='),
+  lessThan: (a, b) => compareOrder(a, b, '<'),
+  lessThanOrEqual: (a, b) => compareOrder(a, b, '<='),
+  contains: (a, b) => contains(a, b),
+  notContains: (a, b) => !contains(a, b),
+  in: (a, b) => contains(b, a),
+  notIn: (a, b) => !contains(b, a),
+  startsWith: (a, b) => FUNCTIONS.startsWith(a, b),
+  endsWith: (a, b) => FUNCTIONS.endsWith(a, b),
+  exists: a => a !== null && a !== undefined,
+  notExists: a => a === null || a === undefined,
+  isEmpty: a => isEmpty(a),
+  isNotEmpty: a => !isEmpty(a),
+};
+
+const OPERATOR_ALIASES = {
+  '==': 'equals', '===': 'equals', eq: 'equals',
+  '!=': 'notEquals', '!==': 'notEquals', ne: 'notEquals', not_equals: 'notEquals',
+  '>': 'greaterThan', gt: 'greaterThan', greater_than: 'greaterThan',
+  '>=': 'greaterThanOrEqual', gte: 'greaterThanOrEqual',
+  '<': 'lessThan', lt: 'lessThan', less_than: 'lessThan',
+  '<=': 'lessThanOrEqual', lte: 'lessThanOrEqual',
+  not_contains: 'notContains', not_in: 'notIn',
+};
+
+function resolveOperator(operator = 'equals') {
+  const name = OPERATOR_ALIASES[operator] || operator;
+  if (!Object.prototype.hasOwnProperty.call(CONDITION_OPERATORS, name)) {
+    throw new ExpressionError(`Unsupported condition operator: ${operator}`);
+  }
+  return CONDITION_OPERATORS[name];
+}
+
+/**
+ * Evaluate a condition to a boolean. Accepts an expression string, a
+ * `{ expression }` object, or a `{ field, operator, value }` object whose
+ * field is a path (optionally in {{ }}) and whose value may be a {{template}}.
+ */
+function evaluateCondition(condition, context = {}) {
+  if (typeof condition === 'boolean') return condition;
+  if (condition === null || condition === undefined || condition === '') return false;
+
+  if (typeof condition === 'object') {
+    if (condition.expression !== undefined) {
+      return Boolean(evaluate(condition.expression, context));
+    }
+    if (!condition.field) {
+      throw new ExpressionError('Condition object needs a field or an expression');
+    }
+    const actual = evaluate(String(condition.field).replace(/^\{\{\s*|\s*\}\}$/g, ''), context);
+    const expected = typeof condition.value === 'string' && condition.value.includes('{{')
+      ? evaluate(condition.value, context)
+      : condition.value;
+    return Boolean(resolveOperator(condition.operator)(actual, expected));
+  }
+
+  return Boolean(evaluate(String(condition), context));
+}
+
+/**
+ * Check a condition (string or object) is well-formed; returns the error message or null
+ */
+function validateCondition(condition) {
+  if (condition && typeof condition === 'object') {
+    if (condition.expression !== undefined) return validate(condition.expression);
+    if (!condition.field) return 'Condition object needs a field or an expression';
+    try {
+      resolveOperator(condition.operator);
+    } catch (error) {
+      return error.message;
+    }
+    return validate(String(condition.field).replace(/^\{\{\s*|\s*\}\}$/g, ''));
+  }
+  return typeof condition === 'string' ? validate(condition) : null;
+}
+
+module.exports = {
+  evaluate,
+  evaluateCondition,
+  validate,
+  validateCondition,
+  compile,
+  references,
+  looseEquals,
+  FUNCTIONS,
+  CONDITION_OPERATORS,
+  ExpressionError,
+};
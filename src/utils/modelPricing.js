@@ -0,0 +1,106 @@
+const workflowLogger = require('./workflowLogger');
+
+// Per-model token prices in USD per 1M tokens. MODEL_PRICES (JSON) adds or
+// overrides entries, e.g.
+//   MODEL_PRICES={"gpt-4o":{"prompt":2.5,"completion":10},"my-finetune":{"prompt":3,"completion":12}}
+// Dated or provider-prefixed names ("gpt-4o-mini-2024-07-18", "openai:gpt-4o")
+// use the longest matching entry.
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+  'gpt-4o': { prompt: 2.50, completion: 10.00 },
+  'gpt-4.1-nano': { prompt: 0.10, completion: 0.40 },
+  'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+  'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+  'gpt-4-turbo': { prompt: 10.00, completion: 30.00 },
+  'gpt-4': { prompt: 30.00, completion: 60.00 },
+  'gpt-3.5-turbo': { prompt: 0.50, completion: 1.50 },
+  'o1-mini': { prompt: 1.10, completion: 4.40 },
+  'o1': { prompt: 15.00, completion: 60.00 },
+  'o3-mini': { prompt: 1.10, completion: 4.40 },
+  'claude-3-5-haiku': { prompt: 0.80, completion: 4.00 },
+  'claude-3-5-sonnet': { prompt: 3.00, completion: 15.00 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'claude-3-opus': { prompt: 15.00, completion: 75.00 },
+};
+
+let priceTable = null;
+const unpriced = new Set();
+
+function loadOverrides() {
+  if (!process.env.MODEL_PRICES) {
+    return {};
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.MODEL_PRICES);
+    return Object.fromEntries(Object.entries(overrides).filter(([, price]) =>
+      Number.isFinite(Number(price?.prompt)) && Number.isFinite(Number(price?.completion))
+    ).map(([model, price]) => [model, { prompt: Number(price.prompt), completion: Number(price.completion) }]));
+  } catch (error) {
+    workflowLogger.error('Ignoring invalid MODEL_PRICES', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * The effective price table: defaults merged with MODEL_PRICES
+ */
+function getPriceTable() {
+  if (!priceTable) {
+    priceTable = { ...DEFAULT_PRICES, ...loadOverrides() };
+  }
+  return priceTable;
+}
+
+/**
+ * Price entry for a model, or null when the table has none
+ */
+function getPrice(model) {
+  if (!model) return null;
+
+  const table = getPriceTable();
+  // Strip a registry provider prefix ("openai:gpt-4o"); local model names may contain ':' themselves
+  const name = /^[a-z][\w-]*:/.test(String(model)) && table[String(model)] === undefined
+    ? String(model).slice(String(model).indexOf(':') + 1)
+    : String(model);
+  if (table[name]) return table[name];
+
+  const match = Object.keys(table)
+    .filter(key => name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/**
+ * USD cost of a call; 0 for models without a price (logged once per model)
+ */
+function calculateCost(model, promptTokens = 0, completionTokens = 0) {
+  const price = getPrice(model);
+  if (!price) {
+    if (model && !unpriced.has(model)) {
+      unpriced.add(model);
+      workflowLogger.warn('No price configured for model; its cost is recorded as 0', { model });
+    }
+    return 0;
+  }
+
+  const cost = (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+/**
+ * Drop the cached table so MODEL_PRICES is read again
+ */
+function reload() {
+  priceTable = null;
+  unpriced.clear();
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getPriceTable,
+  getPrice,
+  calculateCost,
+  reload,
+};
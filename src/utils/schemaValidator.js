@@ -0,0 +1,162 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// JSON Schema validation for workflow inputs and outputs. Schemas come either
+// as JSON Schema or as the shorthand used by the `inputs` block of
+// workflows/*.json: `{ name: { type, required, default, description } }`.
+
+// Inputs get schema defaults filled in; outputs are only checked
+const withDefaults = addFormats(new Ajv({ allErrors: true, useDefaults: true, strict: false }));
+const checkOnly = addFormats(new Ajv({ allErrors: true, strict: false }));
+
+const MAX_CACHED = 200;
+const caches = new Map([[withDefaults, new Map()], [checkOnly, new Map()]]);
+
+const JSON_SCHEMA_KEYWORDS = ['type', 'properties', '$ref', 'anyOf', 'oneOf', 'allOf', 'enum', 'const'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `required: true` on a property (shorthand style) becomes the parent's `required` list
+function liftRequiredFlags(schema) {
+  if (!isObject(schema)) return schema;
+
+  const result = { ...schema };
+  if (isObject(schema.properties)) {
+    const required = Array.isArray(schema.required) ? [...schema.required] : [];
+    result.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      if (!isObject(property)) continue;
+      const { required: flag, ...rest } = property;
+      if (flag === true && !required.includes(name)) required.push(name);
+      result.properties[name] = liftRequiredFlags(Array.isArray(flag) ? property : rest);
+    }
+    if (required.length) {
+      result.required = required;
+    } else {
+      delete result.required;
+    }
+  }
+  if (isObject(schema.items)) {
+    result.items = liftRequiredFlags(schema.items);
+  }
+  return result;
+}
+
+/**
+ * Normalize a JSON Schema or shorthand field map; null when there is nothing to check
+ */
+function toJsonSchema(schema) {
+  if (!isObject(schema) || Object.keys(schema).length === 0) return null;
+
+  const isJsonSchema = JSON_SCHEMA_KEYWORDS.some(keyword => keyword in schema);
+  return liftRequiredFlags(isJsonSchema ? schema : { type: 'object', properties: schema });
+}
+
+function compile(ajv, schema) {
+  const cache = caches.get(ajv);
+  const key = JSON.stringify(schema);
+  if (!cache.has(key)) {
+    if (cache.size >= MAX_CACHED) cache.clear();
+    cache.set(key, ajv.compile(schema));
+  }
+  return cache.get(key);
+}
+
+function formatErrors(errors = []) {
+  return errors.map((error) => {
+    const segments = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') segments.push(error.params.missingProperty);
+    const field = segments.join('.');
+    const message = error.keyword === 'required' ? 'is required' : error.message;
+    return { field: field || '(root)', message, keyword: error.keyword };
+  });
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns `{ valid, violations, value }`; with `applyDefaults` the value is a
+ * copy with schema defaults filled in. Throws if the schema itself is invalid.
+ */
+function validate(schema, data, { applyDefaults = false } = {}) {
+  const jsonSchema = toJsonSchema(schema);
+  if (!jsonSchema) {
+    return { valid: true, violations: [], value: data };
+  }
+
+  const value = applyDefaults && data !== undefined ? structuredClone(data) : data;
+  const check = compile(applyDefaults ? withDefaults : checkOnly, jsonSchema);
+  const valid = check(value);
+  return { valid, violations: valid ? [] : formatErrors(check.errors), value };
+}
+
+/**
+ * One-line summary of violations for error messages and logs
+ */
+function describeViolations(violations) {
+  return violations.map(({ field, message }) => `${field} ${message}`).join('; ');
+}
+
+/**
+ * Input schema for a workflow document or converted template:
+ * config.inputSchema, configuration.inputSchema, then a top-level `inputs` block
+ */
+function getInputSchema(workflow) {
+  return toJsonSchema(workflow?.config?.inputSchema)
+    || toJsonSchema(workflow?.configuration?.inputSchema)
+    || toJsonSchema(workflow?.inputs);
+}
+
+function getOutputSchema(workflow) {
+  return toJsonSchema(workflow?.config?.outputSchema) || toJsonSchema(workflow?.configuration?.outputSchema);
+}
+
+/**
+ * What to do with an output that fails its schema: 'warn' (default) or 'fail'
+ */
+function getOutputPolicy(workflow) {
+  return workflow?.config?.outputValidation || workflow?.configuration?.outputValidation || 'warn';
+}
+
+/**
+ * Check execution inputs against the workflow's input schema and fill in defaults.
+ * Keys starting with `_` (`_metadata`, `_event`) are added by the trigger, not
+ * the caller, so they are passed through unchecked.
+ */
+function validateInputs(workflow, inputs = {}) {
+  const schema = getInputSchema(workflow);
+  if (!schema) {
+    return { valid: true, violations: [], value: inputs };
+  }
+
+  const provided = {};
+  const reserved = {};
+  for (const [key, value] of Object.entries(inputs || {})) {
+    (key.startsWith('_') ? reserved : provided)[key] = value;
+  }
+
+  const { valid, violations, value } = validate(schema, provided, { applyDefaults: true });
+  return { valid, violations, value: { ...value, ...reserved } };
+}
+
+/**
+ * Check a final output against the workflow's output schema.
+ * Returns `{ valid, violations, policy }`, or null when there is no output schema.
+ */
+function checkOutput(workflow, output) {
+  const schema = getOutputSchema(workflow);
+  if (!schema) return null;
+
+  const { valid, violations } = validate(schema, output);
+  return { valid, violations, policy: getOutputPolicy(workflow) };
+}
+
+module.exports = {
+  validate,
+  validateInputs,
+  checkOutput,
+  toJsonSchema,
+  describeViolations,
+  getInputSchema,
+  getOutputSchema,
+  getOutputPolicy,
+};
@@ -0,0 +1,79 @@
+// Keeps secret values out of logs, events and exports. Values are registered
+// when SecretService decrypts them for a run; anything written afterwards has
+// them replaced by a marker.
+
+const REDACTED = '[REDACTED]';
+const MAX_KNOWN = 1000;
+const MIN_LENGTH = 4; // Shorter values would mask ordinary text
+
+// Keys whose values are credentials, for exporting workflow definitions
+const SENSITIVE_KEY = /(api[-_]?key|authorization|password|secret|token|credentials?)$/i;
+// Templated values (`Bearer {{secrets.CRM_TOKEN}}`, `${ENV_VAR}`) are placeholders, not credentials
+const PLACEHOLDER = /\{\{[^}]+\}\}|\$\{[^}]+\}/;
+
+const known = new Set();
+
+const isPlainObject = value => value !== null && typeof value === 'object'
+  && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Remember a decrypted secret value so later output can be redacted
+ */
+function register(value) {
+  if (typeof value !== 'string' || value.length < MIN_LENGTH || known.has(value)) return;
+  if (known.size >= MAX_KNOWN) {
+    known.delete(known.values().next().value);
+  }
+  known.add(value);
+}
+
+function redactString(text) {
+  let result = text;
+  for (const value of known) {
+    if (result.includes(value)) {
+      result = result.split(value).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+/**
+ * Copy of `value` with every registered secret value replaced.
+ * Walks plain objects and arrays; other objects (documents, dates) are returned as-is.
+ */
+function redact(value) {
+  if (known.size === 0) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Error) {
+    const copy = new Error(redactString(value.message));
+    return Object.assign(copy, { name: value.name, code: value.code, stack: value.stack && redactString(value.stack) });
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+  }
+  return value;
+}
+
+/**
+ * Copy of a workflow definition with credential-looking fields masked, for exports.
+ * Placeholders such as `{{secrets.NAME}}` are kept since they hold no secret.
+ */
+function redactFields(value) {
+  if (Array.isArray(value)) return value.map(redactFields);
+  if (!isPlainObject(value)) return redact(value);
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (SENSITIVE_KEY.test(key) && typeof item === 'string' && item && !PLACEHOLDER.test(item)) {
+      return [key, REDACTED];
+    }
+    return [key, redactFields(item)];
+  }));
+}
+
+module.exports = {
+  register,
+  redact,
+  redactFields,
+  REDACTED,
+};
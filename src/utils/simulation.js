@@ -0,0 +1,103 @@
+const { FakeListChatModel } = require('@langchain/core/utils/testing');
+
+// Dry-run support: executions started with `mode: 'dry-run'` replace every
+// call to an LLM, tool or external endpoint with a deterministic stand-in.
+//
+// Fixtures come from the workflow (`config.fixtures`) and the request, the
+// request winning per entry:
+//   { nodes: { <nodeId>: <output> }, tools: { <toolName>: <response> } }
+// A node fixture becomes that node's output; a tool fixture is what the tool
+// "returns". For human review nodes, `fixture.decision` is the simulated
+// reviewer's choice (default "approve").
+
+const DRY_RUN = 'dry-run';
+
+// Tools that only compute locally; every other tool is blocked unless a fixture stands in for it
+const OFFLINE_TOOLS = ['calculator', 'text_processor', 'data_validator'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Fixtures for a dry run: the workflow's, overridden by the request's
+ */
+function mergeFixtures(workflow, requestFixtures = {}) {
+  const declared = workflow?.config?.fixtures || {};
+  const requested = isObject(requestFixtures) ? requestFixtures : {};
+
+  return {
+    nodes: { ...(declared.nodes || {}), ...(requested.nodes || {}) },
+    tools: { ...(declared.tools || {}), ...(requested.tools || {}) },
+  };
+}
+
+function hasFixture(map, key) {
+  return isObject(map) && Object.prototype.hasOwnProperty.call(map, key);
+}
+
+function nodeFixture(fixtures, nodeId) {
+  return hasFixture(fixtures?.nodes, nodeId) ? { output: fixtures.nodes[nodeId] } : null;
+}
+
+function toolFixture(fixtures, toolName) {
+  return hasFixture(fixtures?.tools, toolName) ? { output: fixtures.tools[toolName] } : null;
+}
+
+function isOfflineTool(toolName) {
+  return OFFLINE_TOOLS.includes(toolName);
+}
+
+/**
+ * Chat model that answers every call with the same canned text.
+ * The text depends only on the node and model, so repeated dry runs match.
+ * `response` (e.g. a sample of the node's output schema) replaces the text.
+ */
+function createFakeChatModel(nodeId, modelName = 'default', response) {
+  return new FakeListChatModel({
+    responses: [response !== undefined ? JSON.stringify(response) : `[dry-run] Simulated ${modelName} response for node ${nodeId}`],
+  });
+}
+
+/**
+ * A value matching a JSON Schema, for dry runs of nodes that must answer in it:
+ * defaults, consts and first enum values where given, placeholders otherwise
+ */
+function sampleFromSchema(schema = {}) {
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  const variant = schema.anyOf?.[0] || schema.oneOf?.[0];
+  if (variant) return sampleFromSchema(variant);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (type === 'object' || isObject(schema.properties)) {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, sampleFromSchema(property)]));
+  }
+  switch (type) {
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items || {}));
+    case 'string': {
+      const text = '[dry-run]'.padEnd(schema.minLength || 0, '.');
+      return schema.maxLength !== undefined ? text.slice(0, schema.maxLength) : text;
+    }
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return '[dry-run]';
+  }
+}
+
+module.exports = {
+  DRY_RUN,
+  OFFLINE_TOOLS,
+  mergeFixtures,
+  nodeFixture,
+  toolFixture,
+  isOfflineTool,
+  createFakeChatModel,
+  sampleFromSchema,
+};
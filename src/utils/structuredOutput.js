@@ -0,0 +1,124 @@
+const { AIMessage, HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const schemaValidator = require('./schemaValidator');
+
+// JSON answers for LLM nodes that opt in with `structuredOutput: true` and an
+// object `outputSchema` (or a `json_schema` responseFormat). Models with
+// structured output (OpenAI JSON schema mode, Anthropic tool calling) get the
+// schema through the provider; others are asked for JSON in the prompt. The
+// answer is validated against the schema and, when it does not match, the
+// model is shown the violations and asked again, up to `repairAttempts` times.
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * The JSON Schema an LLM node's answer must match, or null when the node
+ * answers in text. Without `structuredOutput: true` or a `json_schema`
+ * responseFormat an `outputSchema` is only the node's output contract, and the
+ * prompt is left alone. Only object schemas are sent to the model.
+ */
+function getResponseSchema({ structuredOutput, outputSchema, responseFormat } = {}) {
+  const requested = responseFormat?.type === 'json_schema'
+    ? responseFormat.json_schema?.schema || outputSchema
+    : structuredOutput === true ? outputSchema : null;
+  const schema = isObject(requested) ? schemaValidator.toJsonSchema(requested) : null;
+  return schema && (schema.type === 'object' || isObject(schema.properties)) ? schema : null;
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  }
+  return '';
+}
+
+/**
+ * The JSON value in a model's text answer (code fences and surrounding prose
+ * are ignored), or undefined when there is none
+ */
+function parseJson(text) {
+  const trimmed = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  for (const candidate of [trimmed, trimmed.slice(trimmed.indexOf('{'), trimmed.lastIndexOf('}') + 1)]) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+}
+
+// Prompt-mode instructions go into the system message, which providers expect first
+function withJsonInstructions(messages, schema) {
+  const instructions = `Respond with only a JSON object that matches this JSON Schema, without any other text:\n${JSON.stringify(schema)}`;
+  const [first, ...rest] = messages;
+  if (first && first._getType() === 'system') {
+    return [new SystemMessage(`${messageText(first.content)}\n\n${instructions}`), ...rest];
+  }
+  return [new SystemMessage(instructions), ...messages];
+}
+
+function repairPrompt(violations) {
+  return `Your response does not match the required JSON Schema: ${schemaValidator.describeViolations(violations)}. `
+    + 'Respond again with the corrected JSON object only.';
+}
+
+/**
+ * Ask `model` for a JSON object matching `schema`.
+ * `native` uses the provider's structured output mode, otherwise the schema is
+ * put in the prompt. `options` are the invoke options (callbacks, signal);
+ * `onRepair(attempt, violations)` runs before each re-prompt. Resolves with
+ * `{ value, repairs }`; throws an OUTPUT_SCHEMA_VIOLATION error (with
+ * `violations`) when the last attempt still does not match.
+ */
+async function invoke(model, messages, schema, { native = true, repairAttempts = DEFAULT_REPAIR_ATTEMPTS, options = {}, onRepair } = {}) {
+  const structured = native && typeof model.withStructuredOutput === 'function'
+    ? model.withStructuredOutput(schema, { name: 'response', includeRaw: true })
+    : null;
+  const conversation = structured ? [...messages] : withJsonInstructions(messages, schema);
+
+  for (let attempt = 0; ; attempt++) {
+    let value;
+    let text = '';
+    if (structured) {
+      try {
+        const { raw, parsed } = await structured.invoke(conversation, options);
+        value = parsed ?? undefined;
+        text = raw.tool_calls?.length ? JSON.stringify(raw.tool_calls[0].args) : messageText(raw.content);
+      } catch (error) {
+        // OpenAI's JSON schema mode parses the answer in the client and throws on invalid JSON
+        if (!(error instanceof SyntaxError)) throw error;
+      }
+    } else {
+      text = messageText((await model.invoke(conversation, options)).content);
+      value = parseJson(text);
+    }
+
+    const violations = value === undefined
+      ? [{ field: '(root)', message: 'is not valid JSON', keyword: 'json' }]
+      : schemaValidator.validate(schema, value).violations;
+    if (violations.length === 0) {
+      return { value, repairs: attempt };
+    }
+
+    if (attempt >= repairAttempts) {
+      const error = new Error(`Model response does not match the output schema after ${attempt + 1} attempt(s): ${schemaValidator.describeViolations(violations)}`);
+      error.code = 'OUTPUT_SCHEMA_VIOLATION';
+      error.violations = violations;
+      throw error;
+    }
+
+    onRepair?.(attempt + 1, violations);
+    conversation.push(...(text ? [new AIMessage(text)] : []), new HumanMessage(repairPrompt(violations)));
+  }
+}
+
+module.exports = {
+  DEFAULT_REPAIR_ATTEMPTS,
+  getResponseSchema,
+  messageText,
+  parseJson,
+  invoke,
+};
@@ -0,0 +1,157 @@
+// Assertions for workflow test cases. Each assertion picks a value from a
+// finished run - its status, its route (node IDs in execution order) or an
+// output - optionally narrows it with a JSONPath, and compares it with
+// `expected` using one of:
+//   equals    deep equality
+//   contains  substring, array element, or partial object match
+//   regex     pattern test (non-strings are tested as JSON)
+//   jsonPath  `path` matches at least one value (equal to `expected`, if given)
+
+const OPERATORS = ['equals', 'contains', 'regex', 'jsonPath'];
+const VERBS = { equals: 'equal', contains: 'contain', regex: 'match' };
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isDeepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isDeepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+// `expected` appears somewhere in `actual`: every key of an expected object and
+// every element of an expected array must match, recursively, while extra keys
+// and elements in `actual` are ignored
+function isPartialMatch(actual, expected) {
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return expected.every(item => actual.some(element => isPartialMatch(element, item)));
+  }
+  if (isObject(actual) && isObject(expected)) {
+    return Object.entries(expected).every(([key, value]) => isPartialMatch(actual[key], value));
+  }
+  return isDeepEqual(actual, expected);
+}
+
+/**
+ * Segments of a JSONPath such as `$.items[0].sku`, `$['a b'].c` or `$.items[*]`.
+ * The leading `$` is optional.
+ */
+function parsePath(path) {
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*|\*)|\[\s*(\d+|\*)\s*\]|\[\s*(['"])(.*?)\3\s*\]/g;
+  let text = String(path).trim();
+  if (text.startsWith('$')) text = text.slice(1);
+  if (text && !/^[.[]/.test(text)) text = `.${text}`;
+
+  let index = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index !== index) break;
+    segments.push(match[1] ?? match[2] ?? match[4]);
+    index = pattern.lastIndex;
+  }
+  if (index !== text.length) {
+    throw new Error(`Invalid JSONPath: ${path}`);
+  }
+  return segments;
+}
+
+/**
+ * Every value `path` matches in `value`
+ */
+function queryPath(value, path) {
+  let current = [value];
+  for (const segment of parsePath(path)) {
+    const next = [];
+    for (const item of current) {
+      if (item === null || typeof item !== 'object') continue;
+      if (segment === '*') {
+        next.push(...Object.values(item));
+      } else if (Object.prototype.hasOwnProperty.call(item, segment)) {
+        next.push(item[segment]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+function contains(actual, expected) {
+  if (typeof actual === 'string') {
+    return actual.includes(String(expected));
+  }
+  if (Array.isArray(actual)) {
+    const wanted = Array.isArray(expected) ? expected : [expected];
+    return wanted.every(item => actual.some(element => isPartialMatch(element, item)));
+  }
+  return isObject(actual) && isPartialMatch(actual, expected);
+}
+
+function matchesRegex(actual, pattern) {
+  const text = typeof actual === 'string' ? actual : JSON.stringify(actual);
+  return new RegExp(pattern).test(text ?? '');
+}
+
+/**
+ * The value an assertion looks at, before any JSONPath
+ */
+function selectTarget(assertion, run) {
+  switch (assertion.target) {
+    case 'status':
+      return run.status;
+    case 'route':
+      return run.route;
+    case 'output':
+      return assertion.nodeId ? run.outputs?.[assertion.nodeId] : run.finalOutput;
+    default:
+      throw new Error(`Unknown assertion target: ${assertion.target}`);
+  }
+}
+
+/**
+ * Check one assertion against a finished run `{ status, route, outputs, finalOutput }`
+ */
+function evaluateAssertion(assertion, run) {
+  const { target, nodeId, path, expected } = assertion;
+  const operator = assertion.operator || 'equals';
+  const report = { target, nodeId, path, operator, expected };
+
+  try {
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown operator: ${operator}`);
+    }
+
+    const selected = selectTarget(assertion, run);
+    const matches = path ? queryPath(selected, path) : [selected];
+
+    if (operator === 'jsonPath') {
+      if (!path) throw new Error('jsonPath assertions need a path');
+      const passed = expected === undefined
+        ? matches.length > 0
+        : matches.some(value => isDeepEqual(value, expected));
+      return { ...report, actual: matches, passed, ...(!passed && { message: `No match for ${path}${expected === undefined ? '' : ' with the expected value'}` }) };
+    }
+
+    // A path that matches several values (wildcards) is compared as an array
+    const actual = matches.length === 1 ? matches[0] : (matches.length ? matches : undefined);
+    const passed = operator === 'equals' ? isDeepEqual(actual, expected)
+      : operator === 'contains' ? contains(actual, expected)
+      : matchesRegex(actual, expected);
+
+    return { ...report, actual, passed, ...(!passed && { message: `Expected ${target}${path ? ` ${path}` : ''} to ${VERBS[operator]} ${JSON.stringify(expected)}` }) };
+  } catch (error) {
+    return { ...report, passed: false, message: error.message };
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  evaluateAssertion,
+  queryPath,
+  isDeepEqual,
+};
@@ -0,0 +1,170 @@
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+const modelPricing = require('./modelPricing');
+
+// Token accounting for LLM and agent nodes. A tracker's callback handler is
+// passed alongside a node's other callbacks and adds up the usage every model
+// call reports in handleLLMEnd - one call for an LLM node, one per reasoning
+// step for an agent.
+
+/**
+ * Tokens reported for one model call. Exact counts come from the messages'
+ * usage_metadata (streaming included, via streamUsage); providers that only
+ * report llmOutput.tokenUsage are read from there. Tiktoken estimates are
+ * used last and flagged.
+ */
+function readUsage(output) {
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let reported = false;
+
+  for (const generation of (output?.generations || []).flat()) {
+    const usage = generation?.message?.usage_metadata;
+    if (usage) {
+      promptTokens += usage.input_tokens || 0;
+      completionTokens += usage.output_tokens || 0;
+      reported = true;
+    }
+  }
+
+  if (reported) {
+    return { promptTokens, completionTokens, estimated: false };
+  }
+
+  const { tokenUsage, estimatedTokenUsage } = output?.llmOutput || {};
+  const usage = tokenUsage || estimatedTokenUsage;
+  if (!usage) {
+    return null;
+  }
+
+  return {
+    promptTokens: usage.promptTokens ?? usage.input_tokens ?? 0,
+    completionTokens: usage.completionTokens ?? usage.output_tokens ?? 0,
+    estimated: !tokenUsage,
+  };
+}
+
+/**
+ * Collects the token usage of one node run against `model`. When the node
+ * fails over to a fallback model, `useModel` attributes later calls (and
+ * their price) to it.
+ */
+function createUsageTracker(model, provider = 'openai') {
+  const current = { model, provider };
+  const totals = { promptTokens: 0, completionTokens: 0, calls: 0, estimated: false };
+  const byModel = new Map();
+  const fallbacks = [];
+
+  const handler = BaseCallbackHandler.fromMethods({
+    handleLLMEnd: (output) => {
+      const usage = readUsage(output);
+      totals.calls += 1;
+      if (usage) {
+        totals.promptTokens += usage.promptTokens;
+        totals.completionTokens += usage.completionTokens;
+        totals.estimated = totals.estimated || usage.estimated;
+
+        const modelTotals = byModel.get(current.model) || { promptTokens: 0, completionTokens: 0 };
+        modelTotals.promptTokens += usage.promptTokens;
+        modelTotals.completionTokens += usage.completionTokens;
+        byModel.set(current.model, modelTotals);
+      }
+    },
+  });
+
+  return {
+    handler,
+
+    useModel(nextModel, nextProvider) {
+      current.model = nextModel;
+      current.provider = nextProvider;
+    },
+
+    /**
+     * Note a model the node gave up on (`key` is provider:model)
+     */
+    recordFallback(key, error) {
+      fallbacks.push({ model: key, error: String(error.message).split('\n')[0] });
+    },
+
+    /**
+     * `{ model, provider, promptTokens, completionTokens, totalTokens, calls, cost, estimated }`,
+     * plus `fallbacks` when models failed over; `model` is the one that answered
+     */
+    summary() {
+      const cost = [...byModel].reduce((sum, [name, usage]) =>
+        sum + modelPricing.calculateCost(name, usage.promptTokens, usage.completionTokens), 0);
+
+      return {
+        model: current.model,
+        provider: current.provider,
+        promptTokens: totals.promptTokens,
+        completionTokens: totals.completionTokens,
+        totalTokens: totals.promptTokens + totals.completionTokens,
+        calls: totals.calls,
+        cost: Math.round(cost * 1e8) / 1e8,
+        estimated: totals.estimated,
+        ...(fallbacks.length > 0 && { fallbacks: [...fallbacks] }),
+      };
+    },
+  };
+}
+
+/**
+ * Usage of a node answered from the LLM response cache: no tokens, calls or
+ * cost, with what the cached call cost as `savedCost`
+ */
+function cachedUsage(usage) {
+  return {
+    model: usage.model,
+    provider: usage.provider,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    calls: 0,
+    cost: 0,
+    estimated: false,
+    cache: 'hit',
+    savedCost: usage.cost || 0,
+  };
+}
+
+/**
+ * Attach what a failed node run spent (a tracker summary) to its error as
+ * `error.usage`, so paid calls before the failure are recorded too
+ */
+function attachUsage(error, usage) {
+  if (usage && error instanceof Object && !error.usage) {
+    error.usage = usage;
+  }
+  return error;
+}
+
+/**
+ * A tracker summary in the shape of WorkflowExecution's `steps.agentExecution`
+ */
+function toAgentExecution(usage, responseTime) {
+  return {
+    model: usage.model,
+    provider: usage.provider,
+    tokenUsage: {
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+    },
+    calls: usage.calls,
+    cost: usage.cost,
+    estimated: usage.estimated,
+    fallbacks: usage.fallbacks,
+    cache: usage.cache,
+    savedCost: usage.savedCost,
+    responseTime,
+  };
+}
+
+module.exports = {
+  readUsage,
+  createUsageTracker,
+  cachedUsage,
+  attachUsage,
+  toAgentExecution,
+};
@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const secretRedactor = require('./secretRedactor');
 
 const LOG_FILE = path.join(__dirname, '../../logs/workflow.log');
 
 function log(message, data = {}) {
+  data = secretRedactor.redact(data);
   const entry = {
     timestamp: new Date().toISOString(),
     level: 'info',
@@ -18,6 +20,7 @@ function log(message, data = {}) {
 }
 
 function error(message, data = {}) {
+  data = secretRedactor.redact(data);
   const entry = {
     timestamp: new Date().toISOString(),
     level: 'error',
@@ -32,6 +35,7 @@ function error(message, data = {}) {
 }
 
 function warn(message, data = {}) {
+  data = secretRedactor.redact(data);
   const entry = {
     timestamp: new Date().toISOString(),
     level: 'warn',
@@ -50,6 +54,7 @@ function info(message, data = {}) {
 }
 
 function debug(message, data = {}) {
+  data = secretRedactor.redact(data);
   const entry = {
     timestamp: new Date().toISOString(),
     level: 'debug',
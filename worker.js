@@ -0,0 +1,66 @@
+/**
+ * Execution worker entrypoint
+ *
+ * Claims workflow execution jobs from the Redis job queue and runs them
+ * through LangGraphWorkflowService. Run as many as needed alongside the API:
+ *
+ *   EXECUTION_QUEUE=redis npm run worker
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const ExecutionJobQueue = require("./src/services/ExecutionJobQueue");
+const ExecutionWorker = require("./src/services/ExecutionWorker");
+const LangGraphWorkflowService = require("./src/services/LangGraphWorkflowService");
+const executionEvents = require("./src/utils/executionEvents");
+const workflowLogger = require("./src/utils/workflowLogger");
+
+const start = async () => {
+  if (process.env.EXECUTION_QUEUE !== "redis") {
+    workflowLogger.error("Worker requires EXECUTION_QUEUE=redis");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 30000,
+    maxPoolSize: 10,
+    retryWrites: true,
+    w: "majority",
+  });
+
+  const queue = ExecutionJobQueue.fromEnv();
+  const engine = new LangGraphWorkflowService(null, { jobQueue: queue });
+
+  // Forward live events to the API nodes, which relay them to Socket.IO and SSE clients
+  executionEvents.subscribeAll((event) => {
+    queue.publishEvent(event).catch((error) => {
+      workflowLogger.error("Failed to publish execution event", { executionId: event.executionId, error: error.message });
+    });
+  });
+
+  const worker = new ExecutionWorker({
+    queue,
+    engine,
+    concurrency: Number(process.env.EXECUTION_WORKER_CONCURRENCY) || undefined,
+    pollInterval: Number(process.env.EXECUTION_WORKER_POLL_MS) || undefined,
+  });
+
+  await worker.start();
+
+  const shutdown = async (signal) => {
+    workflowLogger.log("Worker shutting down", { signal, workerId: worker.workerId });
+    await worker.stop({ drain: signal === "SIGTERM" });
+    await queue.close();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+};
+
+start().catch((error) => {
+  workflowLogger.error("Worker failed to start", { error: error.message });
+  process.exit(1);
+});